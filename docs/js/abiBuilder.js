@@ -0,0 +1,463 @@
+// abiBuilder.js - Build raw transaction calldata from a contract ABI
+
+// LocalStorage key for saved ABIs (lowercased target address -> { name, abi, savedAt })
+const ABI_LIBRARY_STORAGE_KEY = 'timelock-vault-abi-library';
+
+// Interface and function currently loaded into the builder
+let abiBuilderInterface = null;
+let abiBuilderFragment = null;
+let abiBuilderName = null; // Name for the library entry, from an uploaded file
+let abiBuilderAutofill = null; // ABI text last filled in from the library, safe to replace
+
+// Load the saved ABI library from localStorage
+function getAbiLibrary() {
+    try {
+        return JSON.parse(localStorage.getItem(ABI_LIBRARY_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading ABI library:', error);
+        return {};
+    }
+}
+
+// Saved ABI for a contract address (null if none)
+function getStoredAbi(address) {
+    if (!address || !ethers.utils.isAddress(address)) {
+        return null;
+    }
+    const entry = getAbiLibrary()[address.toLowerCase()];
+    return entry ? entry.abi : null;
+}
+
+// Save an ABI for a contract address so later operations to it can be decoded
+function saveAbiForAddress(address, abi, name) {
+    const library = getAbiLibrary();
+    const key = address.toLowerCase();
+    library[key] = {
+        name: name || (library[key] && library[key].name) || formatAddress(address),
+        abi,
+        savedAt: Date.now()
+    };
+    localStorage.setItem(ABI_LIBRARY_STORAGE_KEY, JSON.stringify(library));
+    console.log('Saved ABI for', address);
+    populateAbiLibrarySelect();
+}
+
+// Parse pasted or uploaded ABI JSON. Accepts a bare ABI array or a Hardhat/Foundry artifact with an "abi" field
+function parseAbiJson(text) {
+    const parsed = JSON.parse(text);
+    const abi = Array.isArray(parsed) ? parsed : parsed.abi;
+    if (!Array.isArray(abi)) {
+        throw new Error('JSON does not contain an ABI array');
+    }
+    // Let ethers validate every fragment
+    new ethers.utils.Interface(abi);
+    return abi;
+}
+
+// Wire up the ABI builder controls in the Raw Transaction panel
+function initializeAbiBuilder() {
+    const abiInput = document.getElementById('abiInput');
+    const abiFileInput = document.getElementById('abiFileInput');
+    const abiLibrarySelect = document.getElementById('abiLibrarySelect');
+    const abiFunctionSelect = document.getElementById('abiFunctionSelect');
+    const targetInput = document.getElementById('targetAddress');
+    const valueInput = document.getElementById('value');
+
+    if (!abiInput) {
+        return;
+    }
+
+    abiInput.addEventListener('input', () => loadAbiIntoBuilder(abiInput.value));
+    abiFileInput.addEventListener('change', handleAbiFileUpload);
+    abiLibrarySelect.addEventListener('change', () => {
+        const entry = getAbiLibrary()[abiLibrarySelect.value];
+        if (entry) {
+            abiInput.value = JSON.stringify(entry.abi, null, 2);
+            abiBuilderAutofill = abiInput.value;
+            loadAbiIntoBuilder(abiInput.value);
+        }
+    });
+    abiFunctionSelect.addEventListener('change', () => selectAbiFunction(abiFunctionSelect.value));
+    targetInput.addEventListener('input', handleAbiTargetChange);
+    valueInput.addEventListener('input', updateAbiCalldata);
+
+    populateAbiLibrarySelect();
+}
+
+// Fill the saved ABI dropdown
+function populateAbiLibrarySelect() {
+    const select = document.getElementById('abiLibrarySelect');
+    if (!select) {
+        return;
+    }
+
+    const library = getAbiLibrary();
+    select.innerHTML = '<option value="">Saved ABIs...</option>';
+    Object.entries(library).forEach(([address, entry]) => {
+        const option = document.createElement('option');
+        option.value = address;
+        option.textContent = `${entry.name} (${formatAddress(address)})`;
+        select.appendChild(option);
+    });
+}
+
+// Load a saved ABI automatically when the target address has one, unless the user typed or
+// uploaded an ABI of their own
+function handleAbiTargetChange() {
+    const target = document.getElementById('targetAddress').value.trim();
+    const abi = getStoredAbi(target);
+    const abiInput = document.getElementById('abiInput');
+    if (abi && (abiInput.value.trim() === '' || abiInput.value === abiBuilderAutofill)) {
+        abiInput.value = JSON.stringify(abi, null, 2);
+        abiBuilderAutofill = abiInput.value;
+        loadAbiIntoBuilder(abiInput.value);
+    }
+}
+
+async function handleAbiFileUpload(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+
+    const text = await file.text();
+    const abiInput = document.getElementById('abiInput');
+    abiInput.value = text;
+    loadAbiIntoBuilder(text, file.name.replace(/\.json$/i, ''));
+    event.target.value = '';
+}
+
+// Parse ABI text and list its state-changing functions
+function loadAbiIntoBuilder(text, name) {
+    const abiError = document.getElementById('abiError');
+    const functionGroup = document.getElementById('abiFunctionGroup');
+    const functionSelect = document.getElementById('abiFunctionSelect');
+
+    abiError.style.display = 'none';
+    abiBuilderInterface = null;
+    abiBuilderFragment = null;
+    abiBuilderName = name || null;
+    document.getElementById('abiFunctionInputs').innerHTML = '';
+
+    if (!text.trim()) {
+        functionGroup.style.display = 'none';
+        return;
+    }
+
+    let abi;
+    try {
+        abi = parseAbiJson(text);
+    } catch (error) {
+        abiError.textContent = 'Invalid ABI: ' + error.message;
+        abiError.style.display = 'block';
+        functionGroup.style.display = 'none';
+        return;
+    }
+
+    abiBuilderInterface = new ethers.utils.Interface(abi);
+    const functions = Object.values(abiBuilderInterface.functions).filter(fragment => !fragment.constant);
+
+    functionSelect.innerHTML = '<option value="">Select a function...</option>';
+    functions.forEach(fragment => {
+        const option = document.createElement('option');
+        option.value = fragment.format();
+        option.textContent = fragment.format() + (fragment.payable ? ' (payable)' : '');
+        functionSelect.appendChild(option);
+    });
+    functionGroup.style.display = 'block';
+
+    if (functions.length === 0) {
+        abiError.textContent = 'This ABI has no state-changing functions.';
+        abiError.style.display = 'block';
+    }
+}
+
+// Persist the builder's ABI under the current target address (once the operation is proposed)
+function saveBuilderAbi() {
+    const target = document.getElementById('targetAddress').value.trim();
+    if (abiBuilderInterface && ethers.utils.isAddress(target)) {
+        const abi = JSON.parse(abiBuilderInterface.format(ethers.utils.FormatTypes.json));
+        saveAbiForAddress(target, abi, abiBuilderName);
+    }
+}
+
+// Render typed inputs for the chosen function
+function selectAbiFunction(signature) {
+    const inputsContainer = document.getElementById('abiFunctionInputs');
+    abiBuilderFragment = signature ? abiBuilderInterface.getFunction(signature) : null;
+
+    if (!abiBuilderFragment) {
+        inputsContainer.innerHTML = '';
+        return;
+    }
+
+    inputsContainer.innerHTML = abiBuilderFragment.inputs.length > 0 ?
+        abiBuilderFragment.inputs.map((param, index) => renderAbiParamInput(param, `${index}`)).join('') :
+        '<div class="form-help">This function takes no arguments.</div>';
+
+    inputsContainer.querySelectorAll('input, select, textarea').forEach(element => {
+        element.addEventListener('input', updateAbiCalldata);
+        element.addEventListener('change', updateAbiCalldata);
+    });
+
+    updateAbiCalldata();
+}
+
+// Input markup for one parameter. Tuples get nested fields, arrays take JSON
+function renderAbiParamInput(param, path) {
+    const label = `${escapeHtml(param.name || `arg${path.split('-').pop()}`)} <span class="abi-param-type">${escapeHtml(param.type)}</span>`;
+
+    if (param.baseType === 'tuple') {
+        return `
+            <div class="abi-tuple-group">
+                <div class="abi-param-label">${label}</div>
+                ${param.components.map((component, index) => renderAbiParamInput(component, `${path}-${index}`)).join('')}
+            </div>
+        `;
+    }
+
+    let input;
+    if (param.baseType === 'array') {
+        input = `<textarea id="abiArg-${path}" class="form-textarea abi-array-input" placeholder='JSON array, e.g. ${escapeHtml(getAbiArrayPlaceholder(param))}'></textarea>`;
+    } else if (param.baseType === 'bool') {
+        input = `
+            <select id="abiArg-${path}" class="form-select">
+                <option value="false">false</option>
+                <option value="true">true</option>
+            </select>
+        `;
+    } else {
+        input = `<input type="text" id="abiArg-${path}" class="form-input" placeholder="${escapeHtml(getAbiScalarPlaceholder(param.type))}">`;
+    }
+
+    return `
+        <div class="form-group abi-param">
+            <label for="abiArg-${path}">${label}</label>
+            ${input}
+            <div id="abiArgError-${path}" class="error-message" style="display: none;"></div>
+        </div>
+    `;
+}
+
+function getAbiScalarPlaceholder(type) {
+    if (type === 'address') return '0x...';
+    if (type === 'string') return 'text';
+    if (type === 'bytes') return '0x (hex bytes)';
+    if (type.startsWith('bytes')) return `0x (${type.slice(5)} bytes hex)`;
+    if (type.startsWith('int') || type.startsWith('uint')) return 'Integer (decimal or 0x hex)';
+    return type;
+}
+
+function getAbiArrayPlaceholder(param) {
+    const child = param.arrayChildren;
+    const example = child.baseType === 'tuple' ? '[{...}]' :
+        child.baseType === 'address' ? '["0x..."]' :
+        child.baseType === 'bool' ? '[true, false]' :
+        child.baseType.startsWith('int') || child.baseType.startsWith('uint') ? '["1", "2"]' :
+        '[...]';
+    return param.arrayLength >= 0 ? `${example} (exactly ${param.arrayLength})` : example;
+}
+
+// Validate and convert a user-entered value to what ethers expects for a Solidity type.
+// Strings come from form inputs; arrays and tuples may also arrive already parsed from JSON.
+function coerceAbiValue(param, value) {
+    if (param.baseType === 'array') {
+        let items = value;
+        if (typeof items === 'string') {
+            try {
+                items = JSON.parse(items.trim() || '[]');
+            } catch (error) {
+                throw new Error('must be a valid JSON array');
+            }
+        }
+        if (!Array.isArray(items)) {
+            throw new Error('must be a JSON array');
+        }
+        if (param.arrayLength >= 0 && items.length !== param.arrayLength) {
+            throw new Error(`must contain exactly ${param.arrayLength} items`);
+        }
+        return items.map((item, index) => {
+            try {
+                return coerceAbiValue(param.arrayChildren, item);
+            } catch (error) {
+                throw new Error(`item ${index} ${error.message}`);
+            }
+        });
+    }
+
+    if (param.baseType === 'tuple') {
+        let tuple = value;
+        if (typeof tuple === 'string') {
+            try {
+                tuple = JSON.parse(tuple);
+            } catch (error) {
+                throw new Error('must be a valid JSON tuple');
+            }
+        }
+        if (Array.isArray(tuple)) {
+            if (tuple.length !== param.components.length) {
+                throw new Error(`must have ${param.components.length} fields`);
+            }
+            return param.components.map((component, index) => coerceAbiValue(component, tuple[index]));
+        }
+        if (tuple && typeof tuple === 'object') {
+            return param.components.map(component => {
+                if (!(component.name in tuple)) {
+                    throw new Error(`is missing field "${component.name}"`);
+                }
+                return coerceAbiValue(component, tuple[component.name]);
+            });
+        }
+        throw new Error('must be a tuple');
+    }
+
+    const text = typeof value === 'string' ? value.trim() : value;
+    const type = param.type;
+
+    if (type === 'address') {
+        if (typeof text !== 'string' || !ethers.utils.isAddress(text)) {
+            throw new Error('must be a valid address');
+        }
+        return ethers.utils.getAddress(text);
+    }
+
+    if (type === 'bool') {
+        if (text === true || text === 'true') return true;
+        if (text === false || text === 'false') return false;
+        throw new Error('must be true or false');
+    }
+
+    if (type === 'string') {
+        return String(text);
+    }
+
+    if (type === 'bytes') {
+        if (typeof text !== 'string' || !ethers.utils.isHexString(text) || text.length % 2 !== 0) {
+            throw new Error('must be 0x-prefixed hex with an even number of digits');
+        }
+        return text;
+    }
+
+    const bytesMatch = type.match(/^bytes(\d+)$/);
+    if (bytesMatch) {
+        const size = parseInt(bytesMatch[1]);
+        if (typeof text !== 'string' || !ethers.utils.isHexString(text, size)) {
+            throw new Error(`must be exactly ${size} bytes of 0x-prefixed hex`);
+        }
+        return text;
+    }
+
+    const intMatch = type.match(/^(u?)int(\d*)$/);
+    if (intMatch) {
+        const unsigned = intMatch[1] === 'u';
+        const bits = parseInt(intMatch[2] || '256');
+        if (text === '' || text === null || text === undefined) {
+            throw new Error('is required');
+        }
+
+        let number;
+        try {
+            number = ethers.BigNumber.from(typeof text === 'number' ? text.toString() : text);
+        } catch (error) {
+            throw new Error('must be a whole number (decimal or 0x hex)');
+        }
+
+        const min = unsigned ? ethers.BigNumber.from(0) : ethers.BigNumber.from(2).pow(bits - 1).mul(-1);
+        const max = unsigned ? ethers.BigNumber.from(2).pow(bits).sub(1) : ethers.BigNumber.from(2).pow(bits - 1).sub(1);
+        if (number.lt(min) || number.gt(max)) {
+            throw new Error(`is out of range for ${type}`);
+        }
+        return number;
+    }
+
+    throw new Error(`has unsupported type ${type}`);
+}
+
+// Read and validate the value of one rendered parameter, marking the field on error
+function readAbiParamInput(param, path) {
+    if (param.baseType === 'tuple') {
+        return param.components.map((component, index) => readAbiParamInput(component, `${path}-${index}`));
+    }
+
+    const element = document.getElementById(`abiArg-${path}`);
+    const errorDiv = document.getElementById(`abiArgError-${path}`);
+
+    try {
+        const value = coerceAbiValue(param, element.value);
+        errorDiv.style.display = 'none';
+        return value;
+    } catch (error) {
+        // Don't nag about fields the user hasn't filled in yet
+        if (element.value.trim()) {
+            errorDiv.textContent = `${param.name || 'Value'} ${error.message}`;
+            errorDiv.style.display = 'block';
+        } else {
+            errorDiv.style.display = 'none';
+        }
+        throw error;
+    }
+}
+
+// Re-encode the calldata from the current inputs and write it into the calldata field
+function updateAbiCalldata() {
+    if (!abiBuilderFragment) {
+        return;
+    }
+
+    const calldataInput = document.getElementById('calldata');
+    const status = document.getElementById('abiCalldataStatus');
+
+    const values = [];
+    let valid = true;
+    abiBuilderFragment.inputs.forEach((param, index) => {
+        try {
+            values.push(readAbiParamInput(param, `${index}`));
+        } catch (error) {
+            valid = false;
+        }
+    });
+
+    if (!valid) {
+        calldataInput.value = '';
+        status.textContent = 'Fill in all arguments to encode the call data.';
+        status.className = 'form-help';
+        status.style.display = 'block';
+        return;
+    }
+
+    try {
+        calldataInput.value = abiBuilderInterface.encodeFunctionData(abiBuilderFragment, values);
+    } catch (error) {
+        calldataInput.value = '';
+        status.textContent = 'Encoding failed: ' + error.message;
+        status.className = 'error-message';
+        status.style.display = 'block';
+        return;
+    }
+
+    const valueInput = document.getElementById('value').value.trim();
+    if (!abiBuilderFragment.payable && valueInput && parseFloat(valueInput) > 0) {
+        status.textContent = `${abiBuilderFragment.name} is not payable - the call will revert if ETH is sent.`;
+        status.className = 'error-message';
+    } else {
+        status.textContent = `Encoded ${abiBuilderFragment.format()} (${abiBuilderInterface.getSighash(abiBuilderFragment)})`;
+        status.className = 'form-help';
+    }
+    status.style.display = 'block';
+}
+
+// Clear the builder after a successful proposal (the saved library is kept)
+function resetAbiBuilder() {
+    const abiInput = document.getElementById('abiInput');
+    if (!abiInput) {
+        return;
+    }
+
+    abiInput.value = '';
+    abiBuilderAutofill = null;
+    document.getElementById('abiLibrarySelect').value = '';
+    document.getElementById('abiCalldataStatus').style.display = 'none';
+    loadAbiIntoBuilder('');
+}
+
+document.addEventListener('DOMContentLoaded', initializeAbiBuilder);
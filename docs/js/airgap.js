@@ -0,0 +1,455 @@
+// airgap.js - Air-gapped signing: export unsigned transactions (JSON / QR), import signed ones and broadcast
+//
+// The air-gapped connector never holds a key. Every transaction the dApp sends through it (proposals,
+// execute, recoveryExecute, role changes, ...) is exported for the cold key to sign on another machine,
+// and the signed raw transaction is imported back, checked against the export and broadcast.
+
+const AIRGAP_ADDRESS_STORAGE_KEY = 'timelock-vault-airgap-address';
+const UNSIGNED_TX_FILE_TYPE = 'timelock-vault-unsigned-transaction';
+
+let airgapRequest = null; // { file, resolve, reject } while a flow waits for its signed transaction
+let airgapScanStream = null;
+
+// Signer for an offline key: populates the transaction like any ethers signer, then hands it to the export dialog
+class AirGappedSigner extends ethers.Signer {
+    constructor(address, provider) {
+        super();
+        ethers.utils.defineReadOnly(this, 'address', address);
+        ethers.utils.defineReadOnly(this, 'provider', provider);
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new AirGappedSigner(this.address, provider);
+    }
+
+    async signMessage() {
+        throw new Error('Messages cannot be signed with an air-gapped key');
+    }
+
+    async signTransaction() {
+        throw new Error('Air-gapped transactions are signed offline through the export dialog');
+    }
+
+    // Resolves once the signed transaction is broadcast, so callers can tx.wait() as usual
+    async sendTransaction(transaction) {
+        const populated = await this.populateTransaction(transaction);
+        const rawTransaction = await requestAirGappedSignature(populated, this.address);
+        return this.provider.sendTransaction(rawTransaction);
+    }
+}
+
+// Connector for a key that lives offline: reads and broadcasts over JSON-RPC, signs through export/import
+function createAirGappedConnector() {
+    let rpcProvider = null;
+    let signerAddress = null;
+
+    return {
+        id: 'airgap',
+        name: 'Air-gapped signer (export / import)',
+        icon: '🧊',
+        canSign: true,
+        isAvailable: () => true,
+        async connect({ silent = false } = {}) {
+            let url = localStorage.getItem(READONLY_RPC_STORAGE_KEY);
+            let address = localStorage.getItem(AIRGAP_ADDRESS_STORAGE_KEY);
+            if (!silent) {
+                url = prompt('JSON-RPC URL to read the vault and broadcast from:', url || 'http://127.0.0.1:8545');
+                address = url && prompt('Address of the offline signing key:', address || '');
+            }
+            if (!url || !address || !ethers.utils.isAddress(address.trim())) {
+                if (silent) {
+                    return { provider: null, address: null };
+                }
+                throw new Error('A JSON-RPC URL and a valid signer address are required');
+            }
+
+            rpcProvider = new ethers.providers.JsonRpcProvider(url.trim());
+            await rpcProvider.getNetwork(); // Fail early on a bad URL
+            signerAddress = ethers.utils.getAddress(address.trim());
+            localStorage.setItem(READONLY_RPC_STORAGE_KEY, url.trim());
+            localStorage.setItem(AIRGAP_ADDRESS_STORAGE_KEY, signerAddress);
+            return { provider: rpcProvider, address: signerAddress };
+        },
+        getSigner() {
+            return new AirGappedSigner(signerAddress, rpcProvider);
+        },
+        subscribe() {
+            return () => {};
+        }
+    };
+}
+
+// Plain JSON form of a decoded call tree (BigNumbers as decimal strings)
+function toPortableDecodedCall(target, value, data) {
+    const decoded = decodeCalldata(target, data);
+    const portable = {
+        target,
+        value: ethers.BigNumber.from(value || 0).toString(),
+        function: decoded ? decoded.signature : (data && data !== '0x' ? `unknown (${data.slice(0, 10)})` : 'ETH transfer')
+    };
+
+    if (decoded) {
+        portable.params = decoded.params;
+        if (decoded.nestedCalls.length > 0) {
+            portable.calls = decoded.nestedCalls.map(call => toPortableDecodedCall(call.target, call.value, call.data));
+        }
+    }
+    return portable;
+}
+
+// Readable one-call-per-line summary of a decoded call tree
+function describePortableCall(call, indent = '') {
+    const value = call.value !== '0' ? ` with ${ethers.utils.formatEther(call.value)} ETH` : '';
+    const lines = [`${indent}${call.function} on ${call.target}${value}`];
+    for (const param of call.params || []) {
+        if (!call.calls || !['bytes', 'bytes[]'].includes(param.type)) {
+            lines.push(`${indent}  ${param.name}: ${param.value}`);
+        }
+    }
+    for (const nested of call.calls || []) {
+        lines.push(...describePortableCall(nested, `${indent}    `));
+    }
+    return lines;
+}
+
+// The portable file: everything an offline signer needs, plus the same transaction pre-serialized
+function buildUnsignedTransactionFile(populated, from) {
+    const transaction = {
+        type: populated.type,
+        chainId: populated.chainId,
+        nonce: ethers.BigNumber.from(populated.nonce).toNumber(),
+        to: populated.to,
+        value: populated.value || 0,
+        data: populated.data || '0x',
+        gasLimit: populated.gasLimit
+    };
+    if (populated.type === 2) {
+        transaction.maxFeePerGas = populated.maxFeePerGas;
+        transaction.maxPriorityFeePerGas = populated.maxPriorityFeePerGas;
+        transaction.accessList = populated.accessList || [];
+    } else {
+        transaction.gasPrice = populated.gasPrice;
+    }
+
+    const decoded = toPortableDecodedCall(transaction.to, transaction.value, transaction.data);
+    const asString = amount => amount === undefined ? undefined : ethers.BigNumber.from(amount).toString();
+
+    return {
+        type: UNSIGNED_TX_FILE_TYPE,
+        version: 1,
+        createdAt: new Date().toISOString(),
+        network: getCurrentChainInfo(transaction.chainId).name,
+        chainId: transaction.chainId,
+        from,
+        to: transaction.to,
+        value: asString(transaction.value),
+        data: transaction.data,
+        nonce: transaction.nonce, // Suggestion: the sender's next nonce when exported
+        gasLimit: asString(transaction.gasLimit),
+        txType: transaction.type,
+        maxFeePerGas: asString(transaction.maxFeePerGas),
+        maxPriorityFeePerGas: asString(transaction.maxPriorityFeePerGas),
+        gasPrice: asString(transaction.gasPrice),
+        unsignedSerialized: ethers.utils.serializeTransaction(transaction),
+        decoded,
+        description: describePortableCall(decoded)
+    };
+}
+
+// Show the export dialog and wait until a matching signed transaction is imported (or the dialog is closed)
+function requestAirGappedSignature(populated, from) {
+    if (airgapRequest) {
+        airgapRequest.reject(new Error('Air-gapped signing replaced by a newer transaction'));
+    }
+
+    const file = buildUnsignedTransactionFile(populated, from);
+    console.log('Exporting unsigned transaction:', file);
+
+    return new Promise((resolve, reject) => {
+        airgapRequest = { file, resolve, reject };
+        openAirGapDialog(file);
+    });
+}
+
+function openAirGapDialog(file) {
+    document.getElementById('airgapDialogTitle').textContent = file ? 'Sign Offline' : 'Import Signed Transaction';
+    document.getElementById('airgapExport').style.display = file ? 'block' : 'none';
+    document.getElementById('airgapSignedInput').value = '';
+    document.getElementById('airgapSignedPreview').textContent = '';
+    setAirGapStatus('', '');
+
+    if (file) {
+        document.getElementById('airgapSummary').textContent = [
+            `Network: ${file.network} (chain ${file.chainId})`,
+            `From: ${file.from}`,
+            `Nonce: ${file.nonce} (suggested)`,
+            '',
+            ...file.description
+        ].join('\n');
+        renderTransactionQr(file.unsignedSerialized);
+    }
+
+    document.getElementById('airgapDialog').style.display = 'flex';
+}
+
+// Standalone import: broadcast any signed transaction, e.g. one prepared on another machine
+function openSignedTransactionImport() {
+    openAirGapDialog(null);
+}
+
+window.openSignedTransactionImport = openSignedTransactionImport;
+
+function closeAirGapDialog() {
+    stopQrScan();
+    document.getElementById('airgapDialog').style.display = 'none';
+
+    if (airgapRequest) {
+        const request = airgapRequest;
+        airgapRequest = null;
+        request.reject(new Error('Air-gapped signing cancelled by user'));
+    }
+}
+
+window.closeAirGapDialog = closeAirGapDialog;
+
+function setAirGapStatus(message, type) {
+    const status = document.getElementById('airgapStatus');
+    status.textContent = message;
+    status.className = `airgap-status ${type}`;
+}
+
+// QR with the serialized unsigned transaction; large batches don't fit and need the JSON file
+function renderTransactionQr(text) {
+    const container = document.getElementById('airgapQr');
+    if (typeof qrcode === 'undefined') {
+        container.textContent = 'QR library not loaded. Use the JSON file instead.';
+        return;
+    }
+
+    try {
+        const qr = qrcode(0, 'L');
+        qr.addData(text);
+        qr.make();
+        container.innerHTML = qr.createSvgTag({ cellSize: 3, margin: 4 });
+    } catch (error) {
+        console.warn('Transaction too large for a QR code:', error);
+        container.textContent = 'This transaction is too large for a QR code. Use the JSON file instead.';
+    }
+}
+
+function downloadUnsignedTransaction() {
+    const { file } = airgapRequest;
+    downloadFile(`unsigned-tx-${file.chainId}-${file.from.slice(0, 8)}-${file.nonce}.json`, JSON.stringify(file, null, 2), 'application/json');
+}
+
+window.downloadUnsignedTransaction = downloadUnsignedTransaction;
+
+async function copyUnsignedTransaction() {
+    const json = JSON.stringify(airgapRequest.file, null, 2);
+    try {
+        await navigator.clipboard.writeText(json);
+        setAirGapStatus('Unsigned transaction JSON copied to clipboard.', 'success');
+    } catch (error) {
+        prompt('Copy the unsigned transaction:', json);
+    }
+}
+
+window.copyUnsignedTransaction = copyUnsignedTransaction;
+
+// Raw hex, or a JSON file carrying it (rawTransaction / signedTransaction / raw)
+function extractRawTransaction(text) {
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{')) {
+        const parsed = JSON.parse(trimmed);
+        return parsed.rawTransaction || parsed.signedTransaction || parsed.raw || '';
+    }
+    return trimmed;
+}
+
+function parseSignedTransaction(text) {
+    const transaction = ethers.utils.parseTransaction(extractRawTransaction(text));
+    if (!transaction.from) {
+        throw new Error('The transaction is not signed');
+    }
+    return transaction;
+}
+
+// What differs between the exported transaction and the signed one (null when they match).
+// Nonce and gas are the signer's choice; the call itself must be identical.
+function findSignedTransactionMismatch(file, signed) {
+    if (signed.chainId !== file.chainId) {
+        return `signed for chain ${signed.chainId}, expected ${file.chainId}`;
+    }
+    if (signed.from.toLowerCase() !== file.from.toLowerCase()) {
+        return `signed by ${signed.from}, expected ${file.from}`;
+    }
+    if ((signed.to || '').toLowerCase() !== file.to.toLowerCase()) {
+        return `sent to ${signed.to}, expected ${file.to}`;
+    }
+    if (!signed.value.eq(file.value)) {
+        return `value ${signed.value.toString()}, expected ${file.value}`;
+    }
+    if (signed.data.toLowerCase() !== file.data.toLowerCase()) {
+        return 'calldata differs from the exported transaction';
+    }
+    return null;
+}
+
+// Live decode of whatever is pasted into the import box
+function previewSignedTransaction() {
+    const preview = document.getElementById('airgapSignedPreview');
+    const input = document.getElementById('airgapSignedInput').value;
+    if (!input.trim()) {
+        preview.textContent = '';
+        return;
+    }
+
+    try {
+        const signed = parseSignedTransaction(input);
+        const decoded = toPortableDecodedCall(signed.to, signed.value, signed.data);
+        preview.textContent = [
+            `Chain: ${signed.chainId} · From: ${signed.from} · Nonce: ${signed.nonce}`,
+            ...describePortableCall(decoded)
+        ].join('\n');
+    } catch (error) {
+        preview.textContent = `Not a valid signed transaction: ${error.message}`;
+    }
+}
+
+window.previewSignedTransaction = previewSignedTransaction;
+
+function loadSignedTransactionFile(input) {
+    const file = input.files[0];
+    if (!file) {
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        document.getElementById('airgapSignedInput').value = reader.result;
+        previewSignedTransaction();
+    };
+    reader.readAsText(file);
+    input.value = '';
+}
+
+window.loadSignedTransactionFile = loadSignedTransactionFile;
+
+// Scan a signed transaction QR with the camera
+async function scanSignedTransactionQr() {
+    if (typeof jsQR === 'undefined' || !navigator.mediaDevices) {
+        setAirGapStatus('QR scanning is not available in this browser. Paste the signed transaction instead.', 'error');
+        return;
+    }
+
+    const video = document.getElementById('airgapScanVideo');
+    try {
+        airgapScanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+    } catch (error) {
+        setAirGapStatus('Camera access denied: ' + error.message, 'error');
+        return;
+    }
+
+    video.srcObject = airgapScanStream;
+    video.style.display = 'block';
+    await video.play();
+    setAirGapStatus('Point the camera at the signed transaction QR code...', 'pending');
+
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    const scanFrame = () => {
+        if (!airgapScanStream) {
+            return;
+        }
+        if (video.readyState === video.HAVE_ENOUGH_DATA) {
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            context.drawImage(video, 0, 0, canvas.width, canvas.height);
+            const code = jsQR(context.getImageData(0, 0, canvas.width, canvas.height).data, canvas.width, canvas.height);
+            if (code && code.data) {
+                stopQrScan();
+                document.getElementById('airgapSignedInput').value = code.data.replace(/^0X/, '0x');
+                previewSignedTransaction();
+                setAirGapStatus('QR code scanned.', 'success');
+                return;
+            }
+        }
+        requestAnimationFrame(scanFrame);
+    };
+    requestAnimationFrame(scanFrame);
+}
+
+window.scanSignedTransactionQr = scanSignedTransactionQr;
+
+function stopQrScan() {
+    if (airgapScanStream) {
+        airgapScanStream.getTracks().forEach(track => track.stop());
+        airgapScanStream = null;
+    }
+    const video = document.getElementById('airgapScanVideo');
+    if (video) {
+        video.style.display = 'none';
+    }
+}
+
+// Hand the signed transaction to the waiting flow, or broadcast it directly for a standalone import
+async function broadcastSignedTransaction() {
+    let signed;
+    const input = document.getElementById('airgapSignedInput').value;
+    try {
+        signed = parseSignedTransaction(input);
+    } catch (error) {
+        setAirGapStatus(`Not a valid signed transaction: ${error.message}`, 'error');
+        return;
+    }
+    const rawTransaction = extractRawTransaction(input);
+
+    if (airgapRequest) {
+        const mismatch = findSignedTransactionMismatch(airgapRequest.file, signed);
+        if (mismatch) {
+            setAirGapStatus(`This is not the exported transaction: ${mismatch}.`, 'error');
+            return;
+        }
+        const request = airgapRequest;
+        airgapRequest = null;
+        closeAirGapDialog();
+        request.resolve(rawTransaction);
+        return;
+    }
+
+    if (!provider) {
+        setAirGapStatus('Connect a wallet or RPC first.', 'error');
+        return;
+    }
+
+    try {
+        const { chainId } = await provider.getNetwork();
+        if (signed.chainId !== chainId) {
+            setAirGapStatus(`This transaction is for chain ${signed.chainId}, but you are connected to chain ${chainId}.`, 'error');
+            return;
+        }
+
+        setAirGapStatus('Broadcasting...', 'pending');
+        const tx = await provider.sendTransaction(rawTransaction);
+        setAirGapStatus(`Broadcast ${tx.hash}. Waiting for confirmation...`, 'pending');
+        await tx.wait();
+        setAirGapStatus(`Transaction ${tx.hash} confirmed.`, 'success');
+
+        if (contract) {
+            setTimeout(() => {
+                loadContractData();
+            }, 2000);
+        }
+    } catch (error) {
+        console.error('Error broadcasting signed transaction:', error);
+        setAirGapStatus(`Broadcast failed: ${error.reason || error.message}`, 'error');
+    }
+}
+
+window.broadcastSignedTransaction = broadcastSignedTransaction;
+
+registerWalletConnector(createAirGappedConnector());
@@ -0,0 +1,337 @@
+// alerts.js - In-app alert inbox and browser notifications for vault activity
+
+const ALERTS_STORAGE_KEY = 'timelock-vault-alerts';
+const ALERT_MUTES_STORAGE_KEY = 'timelock-vault-alert-mutes';
+
+// Most alerts kept per vault; older ones are dropped
+const MAX_ALERTS_PER_VAULT = 200;
+
+// Alert types users can mute
+const ALERT_TYPES = {
+    proposal: { label: 'New proposals', icon: '📝' },
+    ready: { label: 'Operations ready to execute', icon: '⏰' },
+    recovery: { label: 'Recovery mode changes', icon: '🚨' },
+    role: { label: 'Role changes', icon: '🔑' }
+};
+
+// Alert records for every vault, keyed by chainId:address
+function getAlertStore() {
+    try {
+        return JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY)) || {};
+    } catch (error) {
+        console.error('Error reading alerts:', error);
+        return {};
+    }
+}
+
+function saveAlertStore(store) {
+    localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(store));
+}
+
+function getAlertMutes() {
+    try {
+        return JSON.parse(localStorage.getItem(ALERT_MUTES_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Key for the vault the dApp is connected to (null when not connected)
+async function getAlertVaultKey() {
+    if (!provider || !window.CONFIG.CONTRACT_ADDRESS) {
+        return null;
+    }
+    const { chainId } = await provider.getNetwork();
+    return getEventCacheKey(chainId, window.CONFIG.CONTRACT_ADDRESS);
+}
+
+function getVaultAlertRecord(store, vaultKey) {
+    if (!store[vaultKey]) {
+        store[vaultKey] = { alerts: [], seen: {}, baselined: {}, recoveryMode: null };
+    }
+    return store[vaultKey];
+}
+
+// Record candidate alerts from one source. The first time a source is seen for a vault, everything
+// already on chain is marked as seen instead of flooding the inbox with history.
+async function recordAlerts(source, candidates) {
+    try {
+        const vaultKey = await getAlertVaultKey();
+        if (!vaultKey) {
+            return;
+        }
+
+        const store = getAlertStore();
+        const record = getVaultAlertRecord(store, vaultKey);
+        const baselining = !record.baselined[source];
+        const mutes = getAlertMutes();
+        const added = [];
+
+        for (const candidate of candidates) {
+            if (record.seen[candidate.key]) {
+                continue;
+            }
+            record.seen[candidate.key] = true;
+
+            if (baselining || mutes[candidate.type]) {
+                continue;
+            }
+
+            const alert = {
+                ...candidate,
+                timestamp: Date.now(),
+                read: false
+            };
+            record.alerts.unshift(alert);
+            added.push(alert);
+        }
+
+        record.baselined[source] = true;
+        record.alerts = record.alerts.slice(0, MAX_ALERTS_PER_VAULT);
+        saveAlertStore(store);
+
+        added.forEach(showBrowserNotification);
+        if (added.length > 0 || baselining) {
+            renderAlerts();
+        }
+    } catch (error) {
+        console.error('Error recording alerts:', error);
+    }
+}
+
+// New proposals and operations that have become Ready
+async function recordOperationAlerts(operations) {
+    const candidates = [];
+
+    for (const operation of operations) {
+        const displayName = analyzeTransactionType(operation.calls).displayName;
+
+        candidates.push({
+            key: `proposal:${operation.id}`,
+            type: 'proposal',
+            operationId: operation.id,
+            title: `New proposal: ${displayName}`,
+            message: `Operation ${formatAddress(operation.id)} was scheduled in block ${operation.blockNumber}.`
+        });
+
+        if (operation.status === 'Ready') {
+            candidates.push({
+                key: `ready:${operation.id}`,
+                type: 'ready',
+                operationId: operation.id,
+                title: `Ready to execute: ${displayName}`,
+                message: `Operation ${formatAddress(operation.id)} has passed its delay and can now be executed.`
+            });
+        }
+    }
+
+    await recordAlerts('operations', candidates);
+}
+
+// RoleGranted / RoleRevoked events
+async function recordRoleAlerts(grantedEvents, revokedEvents) {
+    const candidates = [...grantedEvents, ...revokedEvents].map(event => {
+        const granted = event.event === 'RoleGranted';
+        const roleName = getRoleName(event.args.role) || formatAddress(event.args.role);
+        return {
+            key: `role:${event.transactionHash}:${event.logIndex}`,
+            type: 'role',
+            title: `${roleName} ${granted ? 'granted' : 'revoked'}`,
+            message: `${roleName} was ${granted ? 'granted to' : 'revoked from'} ${formatAddress(event.args.account)} by ${formatAddress(event.args.sender)}.`
+        };
+    });
+
+    await recordAlerts('roles', candidates);
+}
+
+// Recovery mode switched on or off since we last looked
+async function recordRecoveryModeAlert(isRecoveryMode) {
+    try {
+        const vaultKey = await getAlertVaultKey();
+        if (!vaultKey) {
+            return;
+        }
+
+        const store = getAlertStore();
+        const record = getVaultAlertRecord(store, vaultKey);
+        const previous = record.recoveryMode;
+        record.recoveryMode = isRecoveryMode;
+        record.baselined.recovery = true; // The first reading is the baseline itself
+        saveAlertStore(store);
+
+        if (previous === null || previous === isRecoveryMode) {
+            return;
+        }
+
+        await recordAlerts('recovery', [{
+            key: `recovery:${Date.now()}`,
+            type: 'recovery',
+            title: isRecoveryMode ? 'Recovery mode triggered' : 'Recovery mode exited',
+            message: isRecoveryMode ?
+                'The vault is in recovery mode. Scheduled operations can no longer be executed.' :
+                'The vault is back in normal mode.'
+        }]);
+    } catch (error) {
+        console.error('Error recording recovery mode alert:', error);
+    }
+}
+
+// Browser popup for a new alert, if permitted
+function showBrowserNotification(alert) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') {
+        return;
+    }
+
+    const notification = new Notification(`${ALERT_TYPES[alert.type].icon} ${alert.title}`, {
+        body: alert.message,
+        tag: alert.key
+    });
+    notification.onclick = () => {
+        window.focus();
+        openAlert(alert.key);
+        notification.close();
+    };
+}
+
+async function requestNotificationPermission() {
+    if (!('Notification' in window)) {
+        alert('This browser does not support notifications.');
+        return;
+    }
+    await Notification.requestPermission();
+    updateNotificationPermissionStatus();
+}
+
+window.requestNotificationPermission = requestNotificationPermission;
+
+function updateNotificationPermissionStatus() {
+    const status = document.getElementById('notificationPermissionStatus');
+    const button = document.getElementById('enableNotifications');
+    if (!status || !button) {
+        return;
+    }
+
+    if (!('Notification' in window)) {
+        status.textContent = 'Browser notifications are not supported';
+        button.style.display = 'none';
+    } else if (Notification.permission === 'granted') {
+        status.textContent = 'Browser notifications enabled';
+        button.style.display = 'none';
+    } else if (Notification.permission === 'denied') {
+        status.textContent = 'Browser notifications are blocked in your browser settings';
+        button.style.display = 'none';
+    } else {
+        status.textContent = 'Browser notifications are off';
+        button.style.display = 'inline-block';
+    }
+}
+
+// Update one vault's alerts and re-render
+async function updateVaultAlerts(update) {
+    const vaultKey = await getAlertVaultKey();
+    if (!vaultKey) {
+        return;
+    }
+    const store = getAlertStore();
+    update(getVaultAlertRecord(store, vaultKey));
+    saveAlertStore(store);
+    renderAlerts();
+}
+
+// Mark an alert read and jump to its operation
+async function openAlert(key) {
+    let operationId = null;
+    await updateVaultAlerts(record => {
+        const alert = record.alerts.find(item => item.key === key);
+        if (alert) {
+            alert.read = true;
+            operationId = alert.operationId || null;
+        }
+    });
+
+    if (operationId) {
+        switchMainTab('operations');
+        scrollToOperation(operationId);
+    }
+}
+
+window.openAlert = openAlert;
+
+async function markAllAlertsRead() {
+    await updateVaultAlerts(record => {
+        record.alerts.forEach(alert => {
+            alert.read = true;
+        });
+    });
+}
+
+window.markAllAlertsRead = markAllAlertsRead;
+
+async function clearAlerts() {
+    if (!confirm('Clear all alerts for this vault?')) {
+        return;
+    }
+    await updateVaultAlerts(record => {
+        record.alerts = [];
+    });
+}
+
+window.clearAlerts = clearAlerts;
+
+function toggleAlertMute(type, muted) {
+    const mutes = getAlertMutes();
+    mutes[type] = muted;
+    localStorage.setItem(ALERT_MUTES_STORAGE_KEY, JSON.stringify(mutes));
+}
+
+window.toggleAlertMute = toggleAlertMute;
+
+// Draw the inbox and the unread badge for the connected vault
+async function renderAlerts() {
+    const list = document.getElementById('alertsList');
+    const badge = document.getElementById('alertsUnreadBadge');
+    if (!list || !badge) {
+        return;
+    }
+
+    const vaultKey = await getAlertVaultKey();
+    const alerts = vaultKey ? (getAlertStore()[vaultKey] || { alerts: [] }).alerts : [];
+    const unreadCount = alerts.filter(alert => !alert.read).length;
+
+    badge.textContent = unreadCount;
+    badge.style.display = unreadCount > 0 ? 'inline' : 'none';
+
+    if (alerts.length === 0) {
+        list.innerHTML = '<div class="no-alerts">No alerts yet. New proposals, Ready operations, recovery mode and role changes will show up here.</div>';
+        return;
+    }
+
+    list.innerHTML = alerts.map(alert => `
+        <div class="alert-item ${alert.read ? '' : 'unread'}" onclick="openAlert('${alert.key}')">
+            <span class="alert-icon">${ALERT_TYPES[alert.type].icon}</span>
+            <div class="alert-body">
+                <div class="alert-title">${escapeHtml(alert.title)}</div>
+                <div class="alert-message">${escapeHtml(alert.message)}</div>
+                <div class="alert-time">${new Date(alert.timestamp).toLocaleString()}</div>
+            </div>
+        </div>
+    `).join('');
+}
+
+function initializeAlerts() {
+    const mutes = getAlertMutes();
+    const muteList = document.getElementById('alertMuteList');
+    if (muteList) {
+        muteList.innerHTML = Object.entries(ALERT_TYPES).map(([type, { label, icon }]) => `
+            <label class="alert-mute-option">
+                <input type="checkbox" ${mutes[type] ? 'checked' : ''} onchange="toggleAlertMute('${type}', this.checked)">
+                Mute ${icon} ${label}
+            </label>
+        `).join('');
+    }
+
+    updateNotificationPermissionStatus();
+    renderAlerts();
+}
+
+document.addEventListener('DOMContentLoaded', initializeAlerts);
@@ -0,0 +1,302 @@
+// balanceHistory.js - Vault balance history for ETH and the configured tokens, with a chart and CSV export
+// Token balances are replayed from Transfer logs in and out of the vault; ETH from the deposits the ledger
+// finds (see ledger.js) minus the value sent by executed operations, or not at all when the node can't list
+// those deposits. The replay is then checked against on-chain balances at a few sampled blocks, which needs
+// a node that serves historical state.
+
+const BALANCE_CHECK_SAMPLES = 6; // blocks at which the reconstruction is compared with the chain
+
+let balanceHistory = null; // { key, vault, chainId, assets, points, checks, ethSource } of the last reconstruction
+let balanceHistoryAsset = 'ETH'; // asset shown in the chart
+let balanceHistoryBuilding = false;
+
+// Reconstruct balances from the vault's deployment to now.
+// Returns assets [{ key, symbol, decimals, label }], points [{ blockNumber, timestamp, balances: Map }] with one
+// point per block that changed a balance, and checks [{ blockNumber, asset, expected, actual, matches }].
+async function reconstructBalanceHistory(contract, buckets, { onProgress, lookups = createChainLookups(contract.provider) } = {}) {
+    const provider = contract.provider;
+    const vault = contract.address;
+    const currentBlock = await provider.getBlockNumber();
+    const fromBlock = await findDeploymentBlock(provider, vault, currentBlock);
+
+    // Without the deposits, replaying outflows alone would chart a negative ETH balance: leave ETH out instead
+    const eth = await fetchIncomingEth(provider, vault, fromBlock, currentBlock);
+    const includeEth = eth.source !== 'unavailable';
+
+    const assets = (includeEth ? [{ key: 'ETH', symbol: 'ETH', decimals: 18, address: null }] : []).concat(
+        window.CONFIG.SUPPORTED_TOKENS.map(token => ({ key: token.address.toLowerCase(), symbol: token.symbol, decimals: token.decimals, address: token.address }))
+    );
+    const symbolCounts = assets.reduce((counts, asset) => counts.set(asset.symbol, (counts.get(asset.symbol) || 0) + 1), new Map());
+    assets.forEach(asset => {
+        asset.label = symbolCounts.get(asset.symbol) > 1 ? `${asset.symbol} (${formatAddress(asset.address)})` : asset.symbol;
+    });
+    const assetKeys = new Set(assets.map(asset => asset.key));
+
+    // Signed balance changes, grouped by block
+    const changes = new Map();
+    const addChange = (blockNumber, asset, amount) => {
+        if (!changes.has(blockNumber)) {
+            changes.set(blockNumber, new Map());
+        }
+        const deltas = changes.get(blockNumber);
+        deltas.set(asset, (deltas.get(asset) || ethers.BigNumber.from(0)).add(amount));
+    };
+
+    if (includeEth) {
+        eth.transfers.forEach(transfer => addChange(transfer.blockNumber, 'ETH', transfer.value));
+
+        const records = (await buildOperationHistory(contract, buckets, {}, lookups))
+            .filter(record => record.status === 'Executed' || record.type === 'recovery');
+        for (const record of records) {
+            for (const call of record.calls) {
+                const value = ethers.BigNumber.from(call.value || 0);
+                if (!value.isZero()) {
+                    addChange(record.executedBlock, 'ETH', value.mul(-1));
+                }
+            }
+        }
+    }
+
+    for (const direction of ['in', 'out']) {
+        const transfers = await fetchTokenTransfers(provider, vault, direction, fromBlock, currentBlock, onProgress);
+        for (const transfer of transfers.filter(transfer => assetKeys.has(transfer.token))) {
+            addChange(transfer.blockNumber, transfer.token, direction === 'in' ? transfer.value : transfer.value.mul(-1));
+        }
+    }
+
+    // Replay the changes in block order, starting from empty balances at deployment
+    const running = new Map(assets.map(asset => [asset.key, ethers.BigNumber.from(0)]));
+    const blocks = Array.from(new Set([fromBlock, ...changes.keys(), currentBlock])).sort((a, b) => a - b);
+    const timestamps = await Promise.all(blocks.map(blockNumber => lookups.getTimestamp(blockNumber)));
+    const points = [];
+    for (const [index, blockNumber] of blocks.entries()) {
+        for (const [asset, delta] of changes.get(blockNumber) || []) {
+            running.set(asset, running.get(asset).add(delta));
+        }
+        points.push({
+            blockNumber,
+            timestamp: timestamps[index],
+            balances: new Map(running)
+        });
+    }
+
+    const checks = await checkBalanceHistory(provider, vault, assets, points, fromBlock, currentBlock);
+    return { assets, points, checks, ethSource: eth.source };
+}
+
+// Balances of the point in effect at a block
+function getBalancesAtBlock(points, blockNumber) {
+    let balances = points[0].balances;
+    for (const point of points) {
+        if (point.blockNumber > blockNumber) {
+            break;
+        }
+        balances = point.balances;
+    }
+    return balances;
+}
+
+// Compare the reconstruction with getBalance/balanceOf at evenly spaced blocks (always including the latest).
+// Samples the node can't serve (no archive state) are left out.
+async function checkBalanceHistory(provider, vault, assets, points, fromBlock, toBlock) {
+    const sampleBlocks = Array.from(new Set(Array.from({ length: BALANCE_CHECK_SAMPLES }, (_, index) =>
+        Math.round(fromBlock + (toBlock - fromBlock) * (index + 1) / BALANCE_CHECK_SAMPLES)
+    )));
+
+    const checks = [];
+    for (const blockNumber of sampleBlocks) {
+        const expected = getBalancesAtBlock(points, blockNumber);
+        for (const asset of assets) {
+            try {
+                const actual = asset.key === 'ETH' ?
+                    await withProviderRetry(() => provider.getBalance(vault, blockNumber)) :
+                    await withProviderRetry(() => new ethers.Contract(asset.address, window.CONFIG.ERC20_ABI, provider).balanceOf(vault, { blockTag: blockNumber }));
+                checks.push({
+                    blockNumber,
+                    asset: asset.key,
+                    expected: expected.get(asset.key),
+                    actual,
+                    matches: actual.eq(expected.get(asset.key))
+                });
+            } catch (error) {
+                console.log(`Balance check of ${asset.symbol} at block ${blockNumber} unavailable:`, error.message);
+            }
+        }
+    }
+    return checks;
+}
+
+function toBalanceHistoryCsv({ assets, points }) {
+    const header = ['block', 'timestamp', ...assets.map(asset => asset.label)];
+    const rows = points.map(point => [
+        point.blockNumber,
+        toIsoTime(point.timestamp),
+        ...assets.map(asset => ethers.utils.formatUnits(point.balances.get(asset.key), asset.decimals))
+    ].map(escapeCsvValue).join(','));
+    return [header.map(escapeCsvValue).join(','), ...rows].join('\n') + '\n';
+}
+
+function formatChartAmount(value) {
+    return value.toLocaleString(undefined, { maximumFractionDigits: value >= 100 ? 0 : 4 });
+}
+
+// Step chart of one asset's balance over time, with the sampled checks as dots
+function renderBalanceHistoryChart() {
+    const container = document.getElementById('balanceHistoryChart');
+    const asset = balanceHistory.assets.find(item => item.key === balanceHistoryAsset) || balanceHistory.assets[0];
+    const points = balanceHistory.points;
+
+    const width = 640;
+    const height = 220;
+    const padding = { top: 12, right: 16, bottom: 28, left: 72 };
+    const toNumber = amount => parseFloat(ethers.utils.formatUnits(amount, asset.decimals));
+
+    const values = points.map(point => toNumber(point.balances.get(asset.key)));
+    const checks = balanceHistory.checks.filter(check => check.asset === asset.key);
+    const minTime = points[0].timestamp;
+    const maxTime = Math.max(points[points.length - 1].timestamp, minTime + 1);
+    const maxValue = Math.max(...values, ...checks.map(check => toNumber(check.actual)), 0) || 1;
+    const minValue = Math.min(...values, 0);
+
+    const x = timestamp => padding.left + (timestamp - minTime) / (maxTime - minTime) * (width - padding.left - padding.right);
+    const y = value => padding.top + (maxValue - value) / (maxValue - minValue) * (height - padding.top - padding.bottom);
+
+    let path = `M ${x(points[0].timestamp).toFixed(1)} ${y(values[0]).toFixed(1)}`;
+    points.slice(1).forEach((point, index) => {
+        path += ` H ${x(point.timestamp).toFixed(1)} V ${y(values[index + 1]).toFixed(1)}`;
+    });
+
+    const timestampAt = blockNumber => points.filter(point => point.blockNumber <= blockNumber).pop().timestamp;
+    const dots = checks.map(check => `
+        <circle class="balance-check ${check.matches ? 'balance-check-ok' : 'balance-check-mismatch'}"
+            cx="${x(timestampAt(check.blockNumber)).toFixed(1)}" cy="${y(toNumber(check.actual)).toFixed(1)}" r="4">
+            <title>Block ${check.blockNumber}: on-chain ${formatChartAmount(toNumber(check.actual))}${check.matches ? '' : `, reconstructed ${formatChartAmount(toNumber(check.expected))}`}</title>
+        </circle>
+    `).join('');
+
+    container.innerHTML = `
+        <svg class="balance-history-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(asset.label)} balance history">
+            <line class="balance-axis" x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}"></line>
+            <line class="balance-axis" x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${height - padding.bottom}"></line>
+            <text class="balance-axis-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${formatChartAmount(maxValue)}</text>
+            <text class="balance-axis-label" x="${padding.left - 6}" y="${height - padding.bottom}" text-anchor="end">${formatChartAmount(minValue)}</text>
+            <text class="balance-axis-label" x="${padding.left}" y="${height - 8}">${new Date(minTime * 1000).toLocaleDateString()}</text>
+            <text class="balance-axis-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${new Date(maxTime * 1000).toLocaleDateString()}</text>
+            <path class="balance-line" d="${path}"></path>
+            ${dots}
+        </svg>
+    `;
+}
+
+function describeBalanceChecks(checks) {
+    if (checks.length === 0) {
+        return 'not checked (the node has no historical state)';
+    }
+    const mismatches = checks.filter(check => !check.matches);
+    if (mismatches.length === 0) {
+        return `matches the chain at ${new Set(checks.map(check => check.blockNumber)).size} sampled blocks`;
+    }
+    const assets = new Set(mismatches.map(check => balanceHistory.assets.find(asset => asset.key === check.asset).label));
+    return `differs from the chain for ${Array.from(assets).join(', ')} (red dots)`;
+}
+
+// "Reconstruct" button on the dashboard
+async function buildBalanceHistory() {
+    if (!contract || !provider) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+    if (balanceHistoryBuilding) {
+        return;
+    }
+
+    const status = document.getElementById('balanceHistoryStatus');
+    const button = document.getElementById('buildBalanceHistoryButton');
+    try {
+        balanceHistoryBuilding = true;
+        button.disabled = true;
+        status.textContent = 'Reading transfers and executed operations...';
+        await syncVaultEvents();
+
+        const { chainId } = await provider.getNetwork();
+        const vault = window.CONFIG.CONTRACT_ADDRESS;
+        const result = await reconstructBalanceHistory(contract, {
+            scheduled: allScheduledEvents,
+            executed: allExecutedEvents,
+            cancelled: allCancelledEvents,
+            salt: allSaltEvents,
+            recoveryExecution: allRecoveryExecutionEvents,
+            allOperationsCancelled: allAllOperationsCancelledEvents
+        }, {
+            lookups: getChainLookups(),
+            onProgress: ({ scannedTo, toBlock, percent }) => {
+                status.textContent = `Scanning token transfers: block ${scannedTo.toLocaleString()} of ${toBlock.toLocaleString()} (${percent}%)`;
+            }
+        });
+
+        if (result.assets.length === 0) {
+            balanceHistory = null;
+            document.getElementById('balanceHistoryControls').style.display = 'none';
+            document.getElementById('balanceHistoryChart').innerHTML = '';
+            status.textContent = `Nothing to chart: no tokens configured · ${describeEthSource(result.ethSource)}`;
+            return;
+        }
+
+        balanceHistory = { ...result, key: getEventCacheKey(chainId, vault), vault, chainId };
+        const select = document.getElementById('balanceHistoryAsset');
+        select.innerHTML = result.assets.map(asset => `<option value="${asset.key}">${escapeHtml(asset.label)}</option>`).join('');
+        if (!result.assets.some(asset => asset.key === balanceHistoryAsset)) {
+            balanceHistoryAsset = result.assets[0].key;
+        }
+        select.value = balanceHistoryAsset;
+        renderBalanceHistoryChart();
+
+        status.textContent = `Reconstruction ${describeBalanceChecks(result.checks)}` +
+            (result.ethSource === 'traces' ? '' : ` · ${describeEthSource(result.ethSource)}`);
+        document.getElementById('balanceHistoryControls').style.display = 'flex';
+    } catch (error) {
+        console.error('Error reconstructing balance history:', error);
+        status.textContent = '';
+        showError('Failed to reconstruct balance history: ' + error.message);
+    } finally {
+        balanceHistoryBuilding = false;
+        button.disabled = false;
+    }
+}
+
+window.buildBalanceHistory = buildBalanceHistory;
+
+function selectBalanceHistoryAsset(asset) {
+    balanceHistoryAsset = asset;
+    if (balanceHistory) {
+        renderBalanceHistoryChart();
+    }
+}
+
+window.selectBalanceHistoryAsset = selectBalanceHistoryAsset;
+
+function exportBalanceHistory() {
+    if (!balanceHistory) {
+        return;
+    }
+    const { vault, chainId } = balanceHistory;
+    downloadFile(`vault-balances-${chainId}-${vault.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.csv`,
+        toBalanceHistoryCsv(balanceHistory), 'text/csv');
+}
+
+window.exportBalanceHistory = exportBalanceHistory;
+
+// Drop a reconstruction made for another vault (called after switching vaults or disconnecting)
+function resetBalanceHistory() {
+    const activeKey = connectedChainId && window.CONFIG.CONTRACT_ADDRESS ?
+        getEventCacheKey(connectedChainId, window.CONFIG.CONTRACT_ADDRESS) :
+        null;
+    if (!balanceHistory || balanceHistory.key === activeKey) {
+        return;
+    }
+
+    balanceHistory = null;
+    document.getElementById('balanceHistoryChart').innerHTML = '';
+    document.getElementById('balanceHistoryStatus').textContent = '';
+    document.getElementById('balanceHistoryControls').style.display = 'none';
+}
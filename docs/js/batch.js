@@ -0,0 +1,410 @@
+// batch.js - Batch builder for scheduling several calls as a single operation
+
+// Calls queued in the batch builder, in execution order.
+// Each entry: { type: 'raw' | 'token' | 'nft', target, value (wei string), data, description }
+let batchCalls = [];
+
+// Type of call the "add call" form is currently building
+let batchCallType = 'raw';
+
+// Wire up the batch builder controls
+function initializeBatchBuilder() {
+    const rawCallTab = document.getElementById('batchRawCallTab');
+    const tokenCallTab = document.getElementById('batchTokenCallTab');
+    const tokenSelect = document.getElementById('batchTokenSelect');
+    const addCallButton = document.getElementById('addBatchCall');
+    const proposeBatchButton = document.getElementById('proposeBatch');
+
+    if (!rawCallTab || !addCallButton || !proposeBatchButton) {
+        return;
+    }
+
+    rawCallTab.addEventListener('click', () => switchBatchCallType('raw'));
+    tokenCallTab.addEventListener('click', () => switchBatchCallType('token'));
+    tokenSelect.addEventListener('change', () => {
+        if (tokenSelect.value) {
+            document.getElementById('batchTokenAddress').value = tokenSelect.value;
+        }
+    });
+    addCallButton.addEventListener('click', addBatchCall);
+    proposeBatchButton.addEventListener('click', proposeBatchTransaction);
+
+    populateBatchTokenSelect();
+    renderBatchCalls();
+}
+
+// Switch the "add call" form between raw calls and token transfers
+function switchBatchCallType(type) {
+    batchCallType = type;
+    document.getElementById('batchRawCallTab').classList.toggle('active', type === 'raw');
+    document.getElementById('batchTokenCallTab').classList.toggle('active', type === 'token');
+    document.getElementById('batchRawCallForm').style.display = type === 'raw' ? 'block' : 'none';
+    document.getElementById('batchTokenCallForm').style.display = type === 'token' ? 'block' : 'none';
+    hideBatchCallError();
+}
+
+// Fill the batch token dropdown from the tokens configured for the current chain
+function populateBatchTokenSelect() {
+    const select = document.getElementById('batchTokenSelect');
+    if (!select) {
+        return;
+    }
+
+    select.innerHTML = '<option value="">Select a token...</option>';
+    window.CONFIG.SUPPORTED_TOKENS.forEach(token => {
+        const option = document.createElement('option');
+        option.value = token.address;
+        option.textContent = `${token.name} (${token.address.slice(0, 6)}...${token.address.slice(-4)})`;
+        select.appendChild(option);
+    });
+}
+
+function showBatchCallError(message) {
+    const errorDiv = document.getElementById('batchCallError');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+function hideBatchCallError() {
+    const errorDiv = document.getElementById('batchCallError');
+    if (errorDiv) {
+        errorDiv.style.display = 'none';
+    }
+}
+
+// Add the call described by the active form to the batch
+async function addBatchCall() {
+    hideBatchCallError();
+
+    try {
+        const call = batchCallType === 'token' ? await buildBatchTokenCall() : buildBatchRawCall();
+        if (!call) {
+            return;
+        }
+
+        batchCalls.push(call);
+        console.log('Added call to batch:', call);
+        clearBatchCallForm();
+        renderBatchCalls();
+    } catch (error) {
+        console.error('Error adding call to batch:', error);
+        showBatchCallError('Failed to add call: ' + error.message);
+    }
+}
+
+// Build a raw call from the raw call form
+function buildBatchRawCall() {
+    const target = document.getElementById('batchTarget').value.trim();
+    const valueInput = document.getElementById('batchValue').value.trim();
+    const dataInput = document.getElementById('batchCalldata').value.trim();
+
+    if (!target || !ethers.utils.isAddress(target)) {
+        showBatchCallError('Please enter a valid target address.');
+        return null;
+    }
+
+    let value;
+    try {
+        value = valueInput ? ethers.utils.parseEther(valueInput) : ethers.BigNumber.from(0);
+    } catch (error) {
+        showBatchCallError('Invalid ETH value.');
+        return null;
+    }
+
+    const data = dataInput || '0x';
+    if (!ethers.utils.isHexString(data) || data.length % 2 !== 0) {
+        showBatchCallError('Call data must be a hex string starting with 0x.');
+        return null;
+    }
+
+    let description;
+    if (data === '0x') {
+        description = `Send ${ethers.utils.formatEther(value)} ETH to ${formatAddress(target)}`;
+    } else {
+        description = `Call ${formatAddress(target)} (${data.slice(0, 10)})`;
+        if (!value.isZero()) {
+            description += ` with ${ethers.utils.formatEther(value)} ETH`;
+        }
+    }
+
+    return {
+        type: 'raw',
+        target: ethers.utils.getAddress(target),
+        value: value.toString(),
+        data,
+        description
+    };
+}
+
+// Build an ERC20 transfer call from the token transfer form
+async function buildBatchTokenCall() {
+    const tokenAddr = document.getElementById('batchTokenAddress').value.trim();
+    const toAddress = document.getElementById('batchTokenTo').value.trim();
+    const amount = document.getElementById('batchTokenAmount').value.trim();
+
+    if (!tokenAddr || !ethers.utils.isAddress(tokenAddr)) {
+        showBatchCallError('Please enter a valid token address.');
+        return null;
+    }
+
+    if (!toAddress || !ethers.utils.isAddress(toAddress)) {
+        showBatchCallError('Please enter a valid recipient address.');
+        return null;
+    }
+
+    if (!amount || parseFloat(amount) <= 0) {
+        showBatchCallError('Amount must be greater than 0.');
+        return null;
+    }
+
+    // Prefer the configured token metadata, otherwise ask the token contract
+    let tokenInfo = window.CONFIG.SUPPORTED_TOKENS.find(token =>
+        token.address.toLowerCase() === tokenAddr.toLowerCase()
+    );
+    if (!tokenInfo) {
+        if (!provider) {
+            showBatchCallError('Please connect your wallet first.');
+            return null;
+        }
+        const tokenContract = new ethers.Contract(tokenAddr, window.CONFIG.ERC20_ABI, provider);
+        const decimals = await tokenContract.decimals();
+        let symbol = 'TOKEN';
+        try {
+            symbol = await tokenContract.symbol();
+        } catch (error) {
+            console.log('Could not get token symbol:', error);
+        }
+        tokenInfo = { address: tokenAddr, symbol, decimals };
+    }
+
+    const rawAmount = ethers.utils.parseUnits(amount, tokenInfo.decimals);
+    const erc20Interface = new ethers.utils.Interface(window.CONFIG.ERC20_ABI);
+    const data = erc20Interface.encodeFunctionData('transfer', [toAddress, rawAmount]);
+
+    return {
+        type: 'token',
+        target: ethers.utils.getAddress(tokenAddr),
+        value: '0',
+        data,
+        description: `Transfer ${amount} ${tokenInfo.symbol} to ${formatAddress(toAddress)}`
+    };
+}
+
+function clearBatchCallForm() {
+    ['batchTarget', 'batchValue', 'batchCalldata', 'batchTokenAddress', 'batchTokenTo', 'batchTokenAmount'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('batchTokenSelect').value = '';
+}
+
+// Move a call up (-1) or down (+1) in the batch
+function moveBatchCall(index, direction) {
+    const newIndex = index + direction;
+    if (newIndex < 0 || newIndex >= batchCalls.length) {
+        return;
+    }
+
+    [batchCalls[index], batchCalls[newIndex]] = [batchCalls[newIndex], batchCalls[index]];
+    renderBatchCalls();
+}
+
+function removeBatchCall(index) {
+    batchCalls.splice(index, 1);
+    renderBatchCalls();
+}
+
+// Render the queued calls in execution order
+function renderBatchCalls() {
+    const list = document.getElementById('batchCallsList');
+    const count = document.getElementById('batchCallsCount');
+    if (!list) {
+        return;
+    }
+
+    count.textContent = `${batchCalls.length} call${batchCalls.length === 1 ? '' : 's'}`;
+
+    if (batchCalls.length === 0) {
+        list.innerHTML = '<div class="batch-empty">No calls added yet. Add raw calls or token transfers below.</div>';
+        return;
+    }
+
+    list.innerHTML = batchCalls.map((call, index) => `
+        <div class="batch-call-item">
+            <div class="batch-call-index">${index + 1}</div>
+            <div class="batch-call-info">
+                <div class="batch-call-title">${call.type === 'token' ? '🪙' : call.type === 'nft' ? '🖼️' : '⚙️'} ${escapeHtml(call.description)}</div>
+                <div class="batch-call-data" title="${escapeHtml(call.data)}">${escapeHtml(call.target)} · ${escapeHtml(call.data.length > 42 ? call.data.slice(0, 42) + '...' : call.data)}</div>
+            </div>
+            <div class="batch-call-actions">
+                <button class="batch-move-button" onclick="moveBatchCall(${index}, -1)" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                <button class="batch-move-button" onclick="moveBatchCall(${index}, 1)" ${index === batchCalls.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                <button class="remove-token-button" onclick="removeBatchCall(${index})" title="Remove call">×</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Schedule the batch as one operation, or execute it immediately in recovery mode
+async function proposeBatchTransaction() {
+    if (!contract || !provider) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+
+    if (batchCalls.length === 0) {
+        showProposalStatus('Add at least one call to the batch.', 'error');
+        return;
+    }
+
+    const proposeBatchButton = document.getElementById('proposeBatch');
+
+    try {
+        const saltInput = document.getElementById('batchSalt').value.trim();
+        const delayInput = document.getElementById('batchDelay').value.trim();
+
+        const targets = batchCalls.map(call => call.target);
+        const values = batchCalls.map(call => ethers.BigNumber.from(call.value));
+        const payloads = batchCalls.map(call => call.data);
+        const predecessor = getSelectedPredecessor('batchPredecessorSelect');
+
+        // Generate salt if not provided
+        let salt;
+        if (saltInput) {
+            salt = ethers.utils.formatBytes32String(saltInput);
+        } else {
+            salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        }
+
+        // Get delay
+        let delay;
+        if (delayInput) {
+            delay = parseInt(delayInput);
+        } else {
+            const minDelay = await contract.getMinDelay();
+            delay = minDelay.toNumber();
+        }
+
+        showProposalStatus('Preparing batch...', 'pending');
+        proposeBatchButton.disabled = true;
+
+        // Dry-run the calls in order from the vault and confirm with the result
+        const proceed = await confirmWithSimulation(
+            batchCalls,
+            `${window.isInRecoveryMode ? 'Execute' : 'Propose'} this batch of ${batchCalls.length} calls?`
+        );
+        if (!proceed) {
+            return;
+        }
+
+        const signer = getWalletSigner();
+        const contractWithSigner = contract.connect(signer);
+
+        let tx;
+        let operationHash = null;
+
+        if (window.isInRecoveryMode) {
+            // In recovery mode: run every call immediately
+            console.log('Recovery mode active - using recoveryExecuteBatch with parameters:', {
+                targets,
+                values: values.map(value => value.toString()),
+                payloads
+            });
+
+            tx = await contractWithSigner.recoveryExecuteBatch(targets, values, payloads);
+
+            showProposalStatus('Recovery batch execute submitted! Waiting for confirmation...', 'pending');
+        } else {
+            operationHash = await contract.hashOperationBatch(targets, values, payloads, predecessor, salt);
+
+            console.log('Normal mode - using scheduleBatch with parameters:', {
+                targets,
+                values: values.map(value => value.toString()),
+                payloads,
+                predecessor,
+                salt,
+                delay
+            });
+
+            tx = await contractWithSigner.scheduleBatch(targets, values, payloads, predecessor, salt, delay);
+
+            showProposalStatus('Batch submitted! Waiting for confirmation...', 'pending');
+        }
+
+        const receipt = await tx.wait();
+
+        if (window.isInRecoveryMode) {
+            showProposalStatus(
+                `Batch of ${batchCalls.length} calls executed immediately via recoveryExecuteBatch!
+                Transaction Hash: ${receipt.transactionHash}
+                No delay required in recovery mode.`,
+                'success'
+            );
+        } else {
+            showProposalStatus(
+                `Batch of ${batchCalls.length} calls proposed successfully!
+                Transaction Hash: ${receipt.transactionHash}
+                Operation Hash: ${operationHash}
+                Ready for execution after delay period.`,
+                'success'
+            );
+        }
+
+        console.log('Batch submitted:', {
+            txHash: receipt.transactionHash,
+            operationHash,
+            calls: batchCalls.length,
+            mode: window.isInRecoveryMode ? 'recovery (immediate execution)' : 'normal (scheduled for later execution)'
+        });
+
+        // Clear the batch
+        batchCalls = [];
+        document.getElementById('batchSalt').value = '';
+        document.getElementById('batchDelay').value = '';
+        document.getElementById('batchPredecessorSelect').value = '';
+        renderBatchCalls();
+
+        // Automatically refresh operations after successful proposal
+        setTimeout(() => {
+            loadScheduledOperations();
+        }, 1000);
+
+        // Auto-switch to operations tab after successful transaction
+        setTimeout(() => {
+            switchMainTab('operations');
+        }, 1500);
+    } catch (error) {
+        console.error('Error proposing batch:', error);
+
+        let errorMsg = window.isInRecoveryMode ?
+            'Failed to execute batch via recovery execute: ' :
+            'Failed to propose batch: ';
+
+        if (error.code === 4001) {
+            errorMsg += 'Transaction rejected by user.';
+        } else if (error.message.includes('AccessControl') || error.message.includes('CallerIsNotRecoverer')) {
+            if (window.isInRecoveryMode) {
+                errorMsg += 'You do not have the RECOVERER_ROLE required for recovery execute.';
+            } else {
+                errorMsg += 'You do not have the PROPOSER_ROLE required to propose transactions.';
+            }
+        } else if (error.message.includes('NotInRecoveryMode')) {
+            errorMsg += 'Recovery execute requires recovery mode to be active.';
+        } else if (error.message.includes('TimelockController: insufficient delay')) {
+            errorMsg += 'The specified delay is less than the minimum required delay.';
+        } else if (error.message.includes('TimelockController: operation already scheduled')) {
+            errorMsg += 'An identical batch is already scheduled. Use a different salt.';
+        } else {
+            errorMsg += error.message;
+        }
+
+        showProposalStatus(errorMsg, 'error');
+    } finally {
+        proposeBatchButton.disabled = proposeBatchButton.classList.contains('role-disabled');
+    }
+}
+
+// Make functions available globally for onclick handlers
+window.moveBatchCall = moveBatchCall;
+window.removeBatchCall = removeBatchCall;
+
+document.addEventListener('DOMContentLoaded', initializeBatchBuilder);
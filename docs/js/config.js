@@ -10,9 +10,11 @@ const CONTRACT_ABI = [
     "function getRoleAdmin(bytes32 role) view returns (bytes32)",
     "function schedule(address target, uint256 value, bytes calldata data, bytes32 predecessor, bytes32 salt, uint256 delay)",
     "function cancel(bytes32 id)",
+    "function scheduleBatch(address[] calldata targets, uint256[] calldata values, bytes[] calldata payloads, bytes32 predecessor, bytes32 salt, uint256 delay)",
     "function execute(address target, uint256 value, bytes calldata data, bytes32 predecessor, bytes32 salt)",
     "function executeBatch(address[] calldata targets, uint256[] calldata values, bytes[] calldata payloads, bytes32 predecessor, bytes32 salt)",
     "function hashOperation(address target, uint256 value, bytes calldata data, bytes32 predecessor, bytes32 salt) pure returns (bytes32)",
+    "function hashOperationBatch(address[] calldata targets, uint256[] calldata values, bytes[] calldata payloads, bytes32 predecessor, bytes32 salt) pure returns (bytes32)",
     "function getOperationState(bytes32 id) view returns (uint8)",
     "function getTimestamp(bytes32 id) view returns (uint256)",
     "function isOperation(bytes32 id) view returns (bool)",
@@ -27,6 +29,7 @@ const CONTRACT_ABI = [
     "function exitRecoveryMode()",
     "function cancelAllOperations()",
     "function recoveryExecute(address target, uint256 value, bytes calldata data) payable",
+    "function recoveryExecuteBatch(address[] calldata targets, uint256[] calldata values, bytes[] calldata payloads) payable",
     
     // Role management functions
     "function grantRole(bytes32 role, address account)",
@@ -61,7 +64,36 @@ const ERC20_ABI = [
     "function balanceOf(address owner) view returns (uint256)",
     "function decimals() view returns (uint8)",
     "function symbol() view returns (string)",
-    "function name() view returns (string)"
+    "function name() view returns (string)",
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function transferFrom(address from, address to, uint256 amount) returns (bool)"
+];
+
+// ERC721 ABI for NFT holdings and transfers
+const ERC721_ABI = [
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function name() view returns (string)",
+    "function symbol() view returns (string)",
+    "function ownerOf(uint256 tokenId) view returns (address)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)"
+];
+
+// ERC1155 ABI for multi-token holdings and transfers
+const ERC1155_ABI = [
+    "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+    "function balanceOf(address account, uint256 id) view returns (uint256)",
+    "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+    "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)",
+    "event TransferSingle(address indexed operator, address indexed from, address indexed to, uint256 id, uint256 value)",
+    "event TransferBatch(address indexed operator, address indexed from, address indexed to, uint256[] ids, uint256[] values)"
+];
+
+// Multicall3 - deployed at the same address on most chains (https://www.multicall3.com)
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
 ];
 
 // Token lists by chain ID
@@ -121,9 +153,63 @@ const NETWORK_INFO = {
     11155111: { name: "Sepolia Testnet", shortName: "Sepolia" }
 };
 
+// Tokens added by the user and built-in tokens they removed, per chain, kept across reloads.
+// TOKENS_BY_CHAIN above stays the built-in list; removing a built-in token only hides it.
+const CUSTOM_TOKENS_STORAGE_KEY = 'timelock-vault-custom-tokens'; // { chainId: [token] }
+const HIDDEN_TOKENS_STORAGE_KEY = 'timelock-vault-hidden-tokens'; // { chainId: [lowercased address] }
+
+let currentTokenChainId = 31337; // Chain SUPPORTED_TOKENS currently holds
+
+function loadTokenStorage(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key) || '{}');
+    } catch (error) {
+        console.error(`Error loading ${key}:`, error);
+        return {};
+    }
+}
+
+function saveTokenStorage(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+function getCustomTokens(chainId) {
+    return loadTokenStorage(CUSTOM_TOKENS_STORAGE_KEY)[chainId] || [];
+}
+
+function getHiddenTokens(chainId) {
+    return loadTokenStorage(HIDDEN_TOKENS_STORAGE_KEY)[chainId] || [];
+}
+
+function isBuiltInToken(chainId, address) {
+    return (TOKENS_BY_CHAIN[chainId] || []).some(token => token.address.toLowerCase() === address.toLowerCase());
+}
+
+// Built-in tokens that aren't hidden, then custom tokens, each address once
+function getTokensForChain(chainId) {
+    const hidden = new Set(getHiddenTokens(chainId));
+    const seen = new Set();
+
+    return [...(TOKENS_BY_CHAIN[chainId] || []), ...getCustomTokens(chainId)].filter(token => {
+        const key = token.address.toLowerCase();
+        if (hidden.has(key) || seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
+}
+
+// Chains with built-in or custom tokens
+function getTokenChainIds() {
+    const chainIds = [...Object.keys(TOKENS_BY_CHAIN), ...Object.keys(loadTokenStorage(CUSTOM_TOKENS_STORAGE_KEY))];
+    return Array.from(new Set(chainIds.map(Number)));
+}
+
 // Function to update tokens based on current chain
 function updateTokensForChain(chainId) {
-    const tokens = TOKENS_BY_CHAIN[chainId] || [];
+    const tokens = getTokensForChain(chainId);
+    currentTokenChainId = chainId;
     SUPPORTED_TOKENS.length = 0; // Clear current array
     SUPPORTED_TOKENS.push(...tokens); // Add new tokens
     
@@ -131,52 +217,79 @@ function updateTokensForChain(chainId) {
     return tokens;
 }
 
+// Refresh SUPPORTED_TOKENS only when the change is for the chain it holds
+function refreshTokensIfCurrent(chainId) {
+    if (Number(chainId) === Number(currentTokenChainId)) {
+        updateTokensForChain(currentTokenChainId);
+    }
+}
+
 // Function to get current chain info
 function getCurrentChainInfo(chainId) {
     return NETWORK_INFO[chainId] || { name: `Unknown Chain (${chainId})`, shortName: `Chain ${chainId}` };
 }
 
-// Function to add token to current chain
+// Function to add token to a chain (persisted). A hidden built-in token is shown again instead
 function addTokenToCurrentChain(chainId, tokenInfo) {
-    if (!TOKENS_BY_CHAIN[chainId]) {
-        TOKENS_BY_CHAIN[chainId] = [];
-    }
-    
-    // Check if token already exists
-    const existingToken = TOKENS_BY_CHAIN[chainId].find(token => 
-        token.address.toLowerCase() === tokenInfo.address.toLowerCase()
-    );
-    
-    if (existingToken) {
+    const address = tokenInfo.address.toLowerCase();
+    if (getTokensForChain(chainId).some(token => token.address.toLowerCase() === address)) {
         return false; // Token already exists
     }
     
-    // Add to chain-specific list
-    TOKENS_BY_CHAIN[chainId].push(tokenInfo);
-    
-    // Update current SUPPORTED_TOKENS if this is the current chain
-    updateTokensForChain(chainId);
+    if (isBuiltInToken(chainId, address)) {
+        const hidden = loadTokenStorage(HIDDEN_TOKENS_STORAGE_KEY);
+        hidden[chainId] = (hidden[chainId] || []).filter(item => item !== address);
+        saveTokenStorage(HIDDEN_TOKENS_STORAGE_KEY, hidden);
+    } else {
+        const custom = loadTokenStorage(CUSTOM_TOKENS_STORAGE_KEY);
+        custom[chainId] = [...(custom[chainId] || []), {
+            name: tokenInfo.name,
+            symbol: tokenInfo.symbol,
+            address: tokenInfo.address,
+            decimals: tokenInfo.decimals
+        }];
+        saveTokenStorage(CUSTOM_TOKENS_STORAGE_KEY, custom);
+    }
     
+    refreshTokensIfCurrent(chainId);
     return true; // Successfully added
 }
 
-// Function to remove token from current chain
-function removeTokenFromCurrentChain(chainId, tokenIndex) {
-    if (!TOKENS_BY_CHAIN[chainId] || tokenIndex >= TOKENS_BY_CHAIN[chainId].length) {
+// Function to remove token from a chain: custom tokens are deleted, built-in tokens are hidden
+function removeTokenFromCurrentChain(chainId, address) {
+    const key = address.toLowerCase();
+    const token = getTokensForChain(chainId).find(item => item.address.toLowerCase() === key);
+    if (!token) {
         return false;
     }
     
-    // Remove from chain-specific list
-    const removedToken = TOKENS_BY_CHAIN[chainId].splice(tokenIndex, 1)[0];
+    if (isBuiltInToken(chainId, key)) {
+        const hidden = loadTokenStorage(HIDDEN_TOKENS_STORAGE_KEY);
+        hidden[chainId] = [...(hidden[chainId] || []), key];
+        saveTokenStorage(HIDDEN_TOKENS_STORAGE_KEY, hidden);
+    } else {
+        const custom = loadTokenStorage(CUSTOM_TOKENS_STORAGE_KEY);
+        custom[chainId] = (custom[chainId] || []).filter(item => item.address.toLowerCase() !== key);
+        saveTokenStorage(CUSTOM_TOKENS_STORAGE_KEY, custom);
+    }
     
-    // Update current SUPPORTED_TOKENS if this is the current chain
-    updateTokensForChain(chainId);
+    refreshTokensIfCurrent(chainId);
+    return token;
+}
+
+// Show every hidden built-in token of a chain again. Returns how many were restored
+function restoreHiddenTokens(chainId) {
+    const hidden = loadTokenStorage(HIDDEN_TOKENS_STORAGE_KEY);
+    const count = (hidden[chainId] || []).length;
+    delete hidden[chainId];
+    saveTokenStorage(HIDDEN_TOKENS_STORAGE_KEY, hidden);
     
-    return removedToken;
+    refreshTokensIfCurrent(chainId);
+    return count;
 }
 
 // Initialize SUPPORTED_TOKENS with default chain (localhost for development)
-let SUPPORTED_TOKENS = [...(TOKENS_BY_CHAIN[31337] || [])];
+let SUPPORTED_TOKENS = getTokensForChain(31337);
 
 // Role configuration for UI management
 const ROLES_CONFIG = [
@@ -210,6 +323,17 @@ const UI_CONFIG = {
     MAX_ETHERS_LOAD_ATTEMPTS: 20,
     ETHERS_LOAD_CHECK_INTERVAL: 100, // milliseconds
     
+    // Event cache settings
+    EVENT_CACHE_REORG_DEPTH: 12, // trailing blocks re-checked against the chain on reload
+    
+    // Log scanning settings (most providers cap eth_getLogs at 10k blocks or fewer)
+    LOG_SCAN_INITIAL_CHUNK: 5000, // blocks per eth_getLogs request
+    LOG_SCAN_MIN_CHUNK: 10,
+    LOG_SCAN_MAX_CHUNK: 50000,
+    LOG_SCAN_MAX_RETRIES: 5,
+    LOG_SCAN_RETRY_BASE_DELAY: 500, // milliseconds, doubled on every retry
+    EVENT_SYNC_MIN_INTERVAL: 2000, // milliseconds a finished event sync is reused by role lookups
+    
     // MetaMask URLs
     METAMASK_INSTALL_URL: 'https://metamask.io/download/',
     
@@ -222,6 +346,10 @@ window.CONFIG = {
     CONTRACT_ADDRESS,
     CONTRACT_ABI,
     ERC20_ABI,
+    ERC721_ABI,
+    ERC1155_ABI,
+    MULTICALL3_ADDRESS,
+    MULTICALL3_ABI,
     SUPPORTED_TOKENS,
     TOKENS_BY_CHAIN,
     NETWORK_INFO,
@@ -231,12 +359,18 @@ window.CONFIG = {
     // Token management functions
     updateTokensForChain,
     getCurrentChainInfo,
+    getTokensForChain,
+    getTokenChainIds,
+    getHiddenTokens,
     addTokenToCurrentChain,
-    removeTokenFromCurrentChain
+    removeTokenFromCurrentChain,
+    restoreHiddenTokens
 };
 
 // Also make individual constants available for backward compatibility
 window.CONTRACT_ADDRESS = CONTRACT_ADDRESS;
 window.CONTRACT_ABI = CONTRACT_ABI;
 window.ERC20_ABI = ERC20_ABI;
+window.ERC721_ABI = ERC721_ABI;
+window.ERC1155_ABI = ERC1155_ABI;
 window.SUPPORTED_TOKENS = SUPPORTED_TOKENS;
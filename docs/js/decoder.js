@@ -0,0 +1,205 @@
+// decoder.js - Decode operation calldata into named, typed arguments
+// Sources, in order: the user's saved ABI for the target, the vault ABI, then the bundled signature database.
+
+// Deepest level of nested calls (schedule payloads, batches, multicalls) we decode
+const MAX_DECODE_DEPTH = 3;
+
+// Interfaces built from ABIs and single signatures, keyed so they're only parsed once
+const decoderInterfaceCache = new Map();
+
+// Functions that carry further calls in their arguments
+const NESTED_SINGLE_CALL_FUNCTIONS = ['schedule', 'execute', 'recoveryExecute', 'execTransaction'];
+const NESTED_BATCH_CALL_FUNCTIONS = ['scheduleBatch', 'executeBatch', 'recoveryExecuteBatch'];
+const NESTED_AGGREGATE_FUNCTIONS = ['aggregate', 'aggregate3', 'tryAggregate'];
+
+// ERC20 functions whose uint256 arguments are token amounts
+const TOKEN_AMOUNT_FUNCTIONS = ['transfer', 'approve', 'transferFrom', 'increaseAllowance', 'decreaseAllowance', 'mint', 'burn', 'burnFrom'];
+
+// AccessControl functions whose bytes32 argument is a role hash
+const ROLE_FUNCTIONS = ['grantRole', 'revokeRole', 'renounceRole'];
+
+let knownRoleNames = null;
+
+function getCachedInterface(key, abi) {
+    if (!decoderInterfaceCache.has(key)) {
+        decoderInterfaceCache.set(key, new ethers.utils.Interface(abi));
+    }
+    return decoderInterfaceCache.get(key);
+}
+
+// ABI-backed interfaces to try for a target, most specific first
+function getDecoderInterfaces(target) {
+    const interfaces = [];
+
+    const entry = target ? getAbiLibrary()[target.toLowerCase()] : null;
+    if (entry) {
+        try {
+            interfaces.push({
+                source: `ABI: ${entry.name}`,
+                contractInterface: getCachedInterface(`abi:${target.toLowerCase()}:${entry.savedAt}`, entry.abi)
+            });
+        } catch (error) {
+            console.warn('Saved ABI for', target, 'could not be parsed:', error.message);
+        }
+    }
+
+    interfaces.push({
+        source: 'Vault ABI',
+        contractInterface: getCachedInterface('vault', window.CONFIG.CONTRACT_ABI)
+    });
+
+    return interfaces;
+}
+
+// Role hash -> role name for the roles the vault knows about
+function getRoleName(hash) {
+    if (!knownRoleNames) {
+        knownRoleNames = { [ethers.constants.HashZero]: 'DEFAULT_ADMIN_ROLE' };
+        window.CONFIG.RECOVERY_ROLES_CONFIG.forEach(role => {
+            knownRoleNames[ethers.utils.id(role.roleFunction)] = role.roleFunction;
+        });
+    }
+    return knownRoleNames[hash.toLowerCase()] || null;
+}
+
+// Human readable form of a decoded argument
+function formatDecodedValue(param, value, context) {
+    if (param.baseType === 'array') {
+        return `[${value.map(item => formatDecodedValue(param.arrayChildren, item, context)).join(', ')}]`;
+    }
+
+    if (param.baseType === 'tuple') {
+        return `(${param.components.map((component, index) => formatDecodedValue(component, value[index], context)).join(', ')})`;
+    }
+
+    if (param.type === 'bytes32' && ROLE_FUNCTIONS.includes(context.functionName)) {
+        const roleName = getRoleName(value);
+        return roleName ? `${roleName} (${value})` : value;
+    }
+
+    if (param.type === 'string') {
+        return JSON.stringify(value);
+    }
+
+    if (ethers.BigNumber.isBigNumber(value)) {
+        if (context.token && param.type === 'uint256' && TOKEN_AMOUNT_FUNCTIONS.includes(context.functionName)) {
+            return `${ethers.utils.formatUnits(value, context.token.decimals)} ${context.token.symbol} (${value.toString()})`;
+        }
+        return value.toString();
+    }
+
+    return String(value);
+}
+
+// Calls carried inside the arguments of a schedule/execute/batch/multicall style function
+function extractNestedCalls(target, fragment, args) {
+    const types = fragment.inputs.map(input => input.type);
+
+    if (NESTED_SINGLE_CALL_FUNCTIONS.includes(fragment.name) &&
+        types[0] === 'address' && types[1] === 'uint256' && types[2] === 'bytes') {
+        return [{ target: args[0], value: args[1], data: args[2] }];
+    }
+
+    if (NESTED_BATCH_CALL_FUNCTIONS.includes(fragment.name) &&
+        types[0] === 'address[]' && types[1] === 'uint256[]' && types[2] === 'bytes[]') {
+        return args[0].map((callTarget, index) => ({
+            target: callTarget,
+            value: args[1][index],
+            data: args[2][index]
+        }));
+    }
+
+    // multicall(bytes[]) calls back into the same contract
+    if (fragment.name === 'multicall' && types.includes('bytes[]')) {
+        return args[types.indexOf('bytes[]')].map(data => ({ target, value: ethers.BigNumber.from(0), data }));
+    }
+
+    // Multicall3-style (address target, ..., bytes callData)[]
+    if (NESTED_AGGREGATE_FUNCTIONS.includes(fragment.name)) {
+        const callsIndex = types.findIndex(type => type.startsWith('tuple(address') && type.endsWith('bytes)[]'));
+        if (callsIndex >= 0) {
+            return args[callsIndex].map(call => ({
+                target: call[0],
+                value: ethers.BigNumber.from(0),
+                data: call[call.length - 1]
+            }));
+        }
+    }
+
+    return [];
+}
+
+function buildDecodedCall(target, fragment, args, source, depth) {
+    const context = {
+        functionName: fragment.name,
+        token: target ? window.CONFIG.SUPPORTED_TOKENS.find(token => token.address.toLowerCase() === target.toLowerCase()) : null
+    };
+
+    const nestedCalls = depth < MAX_DECODE_DEPTH ?
+        extractNestedCalls(target, fragment, args).map(call => decodeOperationCall(call, depth + 1)) :
+        [];
+
+    return {
+        name: fragment.name,
+        signature: fragment.format(),
+        selector: ethers.utils.Interface.getSighash(fragment),
+        source,
+        params: fragment.inputs.map((input, index) => ({
+            name: input.name || `arg${index}`,
+            type: input.type,
+            value: formatDecodedValue(input, args[index], context)
+        })),
+        nestedCalls
+    };
+}
+
+// Decode calldata sent to target. Returns null for plain transfers and unknown selectors
+function decodeCalldata(target, data, depth = 0) {
+    if (!data || data.length < 10) {
+        return null;
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+
+    for (const { source, contractInterface } of getDecoderInterfaces(target)) {
+        let fragment;
+        try {
+            fragment = contractInterface.getFunction(selector);
+        } catch (error) {
+            continue;
+        }
+
+        try {
+            const args = contractInterface.decodeFunctionData(fragment, data);
+            return buildDecodedCall(target, fragment, args, source, depth);
+        } catch (error) {
+            console.warn(`Calldata for ${fragment.name} does not match the ${source}:`, error.message);
+        }
+    }
+
+    // Signature database: several signatures can share a selector, keep the one that re-encodes to the same bytes
+    for (const signature of FUNCTION_SIGNATURES[selector] || []) {
+        try {
+            const contractInterface = getCachedInterface(`sig:${signature}`, [`function ${signature}`]);
+            const fragment = contractInterface.getFunction(selector);
+            const args = contractInterface.decodeFunctionData(fragment, data);
+            if (contractInterface.encodeFunctionData(fragment, args).toLowerCase() === data.toLowerCase()) {
+                return buildDecodedCall(target, fragment, args, 'Signature database', depth);
+            }
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+
+    return null;
+}
+
+// Decode one { target, value, data } call, keeping the original fields alongside the result
+function decodeOperationCall(call, depth = 0) {
+    return {
+        target: call.target,
+        value: ethers.BigNumber.from(call.value || 0),
+        data: call.data || '0x',
+        decoded: decodeCalldata(call.target, call.data, depth)
+    };
+}
@@ -389,7 +389,7 @@ async function deployTimelockVaultContract(params) {
         const contractFactory = new ethers.ContractFactory(
             TIMELOCK_VAULT_CONSTRUCTOR_ABI,
             TIMELOCK_VAULT_BYTECODE,
-            provider.getSigner()
+            getWalletSigner()
         );
         
         showDeploymentStatus('Deploying contract... (this may take a few minutes)', 'pending');
@@ -428,25 +428,18 @@ async function deployTimelockVaultContract(params) {
             Block Number: ${deployedContract.deployTransaction.blockNumber || 'Pending'}
         `, 'success');
         
+        // Save the new vault to the registry so it shows up in the vault switcher
+        const { chainId } = await deployedContract.provider.getNetwork();
+        const vaultId = saveVaultToRegistry({
+            chainId,
+            address: contractAddress,
+            notes: `Deployed in ${contract.deployTransaction.hash}`
+        });
+        
         // Show option to connect to deployed contract
         setTimeout(() => {
             if (confirm(`Connect to deployed contract at ${contractAddress}?`)) {
-                // Update config and save to localStorage
-                window.CONFIG.CONTRACT_ADDRESS = contractAddress;
-                if (window.saveContractAddressToStorage) {
-                    window.saveContractAddressToStorage(contractAddress);
-                }
-                
-                // Update display
-                const contractAddressElement = document.getElementById('contractAddress');
-                if (contractAddressElement) {
-                    contractAddressElement.textContent = contractAddress;
-                }
-                
-                // Switch to dashboard
-                if (window.switchMainTab) {
-                    window.switchMainTab('dashboard');
-                }
+                switchVault(vaultId);
             }
         }, 2000);
         
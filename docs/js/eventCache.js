@@ -0,0 +1,194 @@
+// eventCache.js - Persistent IndexedDB cache for vault event logs
+
+const EVENT_CACHE_DB_NAME = 'timelock-vault-events';
+const EVENT_CACHE_DB_VERSION = 1;
+const EVENT_CACHE_STORE = 'vaultEvents';
+// Shape of a cached record; bump it when the cached buckets or log fields change so older records are
+// rescanned instead of resuming with events missing (2: roleGranted/roleRevoked buckets)
+const EVENT_CACHE_RECORD_FORMAT = 2;
+
+let eventCacheDbPromise = null;
+
+// Open (or create) the event cache database. Resolves to null when IndexedDB is unavailable
+function openEventCacheDb() {
+    if (eventCacheDbPromise) {
+        return eventCacheDbPromise;
+    }
+
+    eventCacheDbPromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            console.warn('IndexedDB not available - event cache disabled');
+            resolve(null);
+            return;
+        }
+
+        const request = indexedDB.open(EVENT_CACHE_DB_NAME, EVENT_CACHE_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(EVENT_CACHE_STORE)) {
+                db.createObjectStore(EVENT_CACHE_STORE, { keyPath: 'key' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            console.error('Failed to open event cache database:', request.error);
+            resolve(null);
+        };
+    });
+
+    return eventCacheDbPromise;
+}
+
+// Cache entries are scoped per chain and vault address
+function getEventCacheKey(chainId, address) {
+    return `${chainId}:${address.toLowerCase()}`;
+}
+
+// Run a single request against the event cache store
+async function runEventCacheRequest(mode, createRequest) {
+    const db = await openEventCacheDb();
+    if (!db) {
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(EVENT_CACHE_STORE, mode);
+        const request = createRequest(transaction.objectStore(EVENT_CACHE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Load the cached event record for a vault (null if nothing usable is cached)
+async function loadEventCache(chainId, address) {
+    try {
+        const record = await runEventCacheRequest('readonly', store => store.get(getEventCacheKey(chainId, address)));
+        if (record && record.format !== EVENT_CACHE_RECORD_FORMAT) {
+            console.log(`Discarding event cache for ${address} written in an older format`);
+            await clearEventCache(chainId, address);
+            return null;
+        }
+        return record || null;
+    } catch (error) {
+        console.error('Error reading event cache:', error);
+        return null;
+    }
+}
+
+// Save the event record for a vault
+async function saveEventCache(chainId, address, record) {
+    try {
+        await runEventCacheRequest('readwrite', store => store.put({
+            ...record,
+            format: EVENT_CACHE_RECORD_FORMAT,
+            key: getEventCacheKey(chainId, address),
+            chainId,
+            address,
+            updatedAt: Date.now()
+        }));
+    } catch (error) {
+        console.error('Error writing event cache:', error);
+    }
+}
+
+// Remove the cached events for a vault
+async function clearEventCache(chainId, address) {
+    try {
+        await runEventCacheRequest('readwrite', store => store.delete(getEventCacheKey(chainId, address)));
+    } catch (error) {
+        console.error('Error clearing event cache:', error);
+    }
+}
+
+// Strip an ethers event down to the raw log fields (IndexedDB can't store BigNumbers or functions)
+function serializeEventLog(event) {
+    return {
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        transactionIndex: event.transactionIndex,
+        logIndex: event.logIndex,
+        address: event.address,
+        topics: event.topics,
+        data: event.data,
+        // Sender and block time, once annotateVaultEvents has looked them up
+        from: event.from,
+        timestamp: event.timestamp
+    };
+}
+
+// Rebuild an event object (with decoded args) from a cached raw log
+function hydrateEventLog(rawLog, contractInterface) {
+    const parsed = contractInterface.parseLog(rawLog);
+    return {
+        ...rawLog,
+        event: parsed.name,
+        eventSignature: parsed.signature,
+        args: parsed.args
+    };
+}
+
+// Check cached logs against the current chain and drop anything that was reorged out.
+// Returns the record with logs and lastIndexedBlock adjusted so the dropped range is re-queried.
+async function dropReorgedLogs(provider, record) {
+    const allLogs = Object.values(record.logs).flat();
+    const depth = window.CONFIG.UI_CONFIG.EVENT_CACHE_REORG_DEPTH;
+    const windowStart = Math.max(record.lastIndexedBlock - depth + 1, 0);
+
+    // Blocks to verify: the last indexed block plus every cached log inside the reorg window
+    const expectedHashes = new Map();
+    expectedHashes.set(record.lastIndexedBlock, record.lastIndexedBlockHash);
+    for (const log of allLogs) {
+        if (log.blockNumber >= windowStart) {
+            expectedHashes.set(log.blockNumber, log.blockHash);
+        }
+    }
+
+    const blockMatches = async (blockNumber, expectedHash) => {
+        const block = await provider.getBlock(blockNumber);
+        return !!block && block.hash === expectedHash;
+    };
+
+    let reorged = false;
+    for (const [blockNumber, expectedHash] of expectedHashes) {
+        if (!(await blockMatches(blockNumber, expectedHash))) {
+            console.warn(`Cached block ${blockNumber} no longer matches the chain`);
+            reorged = true;
+            break;
+        }
+    }
+
+    if (!reorged) {
+        return record;
+    }
+
+    // A chain shorter than the cache is a different chain (e.g. a restarted local node)
+    const currentBlock = await provider.getBlockNumber();
+    if (record.lastIndexedBlock > currentBlock) {
+        console.warn(`Cache indexed to block ${record.lastIndexedBlock} but the chain is at ${currentBlock} - discarding cache`);
+        return null;
+    }
+
+    // Only rewind when the oldest cached log still matches below the window; otherwise nothing anchors the cache
+    const oldestLog = allLogs.reduce((oldest, log) => (!oldest || log.blockNumber < oldest.blockNumber ? log : oldest), null);
+    if (!oldestLog || oldestLog.blockNumber >= windowStart || !(await blockMatches(oldestLog.blockNumber, oldestLog.blockHash))) {
+        console.warn('Cached events cannot be anchored on the current chain - discarding cache');
+        return null;
+    }
+
+    // Drop the reorg window; it will be re-queried from the chain
+    const logs = {};
+    for (const [type, typeLogs] of Object.entries(record.logs)) {
+        logs[type] = typeLogs.filter(log => log.blockNumber < windowStart);
+    }
+
+    console.warn(`Dropped cached events from block ${windowStart} onwards after reorg`);
+    return {
+        ...record,
+        logs,
+        lastIndexedBlock: Math.max(windowStart - 1, 0),
+        lastIndexedBlockHash: null
+    };
+}
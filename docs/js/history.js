@@ -0,0 +1,294 @@
+// history.js - Operation history records with CSV and JSON export
+// Shared by the Operations tab and scripts/export-history.js, so both produce the same report.
+
+// CSV columns, in order (calls are embedded as JSON)
+const HISTORY_CSV_COLUMNS = [
+    'type', 'id', 'status', 'intent', 'callCount', 'totalValueEth', 'calls',
+    'proposer', 'proposalTxHash', 'scheduledBlock', 'scheduledAt', 'readyAt',
+    'executor', 'executionTxHash', 'executedBlock', 'executedAt',
+    'canceller', 'cancelTxHash', 'cancelledBlock', 'cancelledAt', 'newEpoch'
+];
+
+// RPC requests a set of chain lookups keeps in flight at once
+const CHAIN_LOOKUP_CONCURRENCY = 4;
+
+// Block timestamps and transaction senders, fetched once each (failed lookups are retried next time).
+// At most CHAIN_LOOKUP_CONCURRENCY requests run at a time; the rest queue.
+function createChainLookups(provider) {
+    const timestamps = new Map();
+    const senders = new Map();
+    const limited = createRequestLimiter(CHAIN_LOOKUP_CONCURRENCY);
+
+    const cached = (cache, key, load) => {
+        if (!cache.has(key)) {
+            cache.set(key, limited(load).catch(error => {
+                cache.delete(key);
+                throw error;
+            }));
+        }
+        return cache.get(key);
+    };
+
+    return {
+        getTimestamp: blockNumber => cached(timestamps, blockNumber,
+            () => withProviderRetry(() => provider.getBlock(blockNumber)).then(block => block.timestamp)),
+        getSender: transactionHash => cached(senders, transactionHash,
+            () => withProviderRetry(() => provider.getTransaction(transactionHash)).then(tx => tx.from)),
+        // Seed the caches from an event that already carries its sender and block time (see annotateVaultEvents)
+        remember: event => {
+            if (event.timestamp !== undefined && !timestamps.has(event.blockNumber)) {
+                timestamps.set(event.blockNumber, Promise.resolve(event.timestamp));
+            }
+            if (event.from !== undefined && !senders.has(event.transactionHash)) {
+                senders.set(event.transactionHash, Promise.resolve(event.from));
+            }
+        }
+    };
+}
+
+function toIsoTime(timestamp) {
+    return timestamp === null ? null : new Date(timestamp * 1000).toISOString();
+}
+
+// First event per operation id (batches emit one CallExecuted per call)
+function indexEventsById(events) {
+    const byId = new Map();
+    for (const event of events) {
+        if (!byId.has(event.args.id)) {
+            byId.set(event.args.id, event);
+        }
+    }
+    return byId;
+}
+
+// Whether any of the blocks falls inside the range (missing bounds are open)
+function isBlockInRange(blocks, { fromBlock = null, toBlock = null }) {
+    return blocks.some(block => block !== null &&
+        (fromBlock === null || block >= fromBlock) &&
+        (toBlock === null || block <= toBlock));
+}
+
+function isTimeInRange(timestamps, { fromTime = null, toTime = null }) {
+    return timestamps.some(timestamp => timestamp !== null &&
+        (fromTime === null || timestamp >= fromTime) &&
+        (toTime === null || timestamp <= toTime));
+}
+
+// History of every operation, recovery execution and cancel-all epoch with activity in the range
+// (scheduled, executed or cancelled inside it). buckets are the vault's decoded event buckets.
+// Pass the page's shared lookups to reuse block times and senders already fetched.
+async function buildOperationHistory(contract, buckets, range = {}, lookups = createChainLookups(contract.provider)) {
+    Object.values(buckets).forEach(events => events.forEach(lookups.remember));
+
+    const executedById = indexEventsById(buckets.executed);
+    const cancelledById = indexEventsById(buckets.cancelled);
+    const saltById = new Map(buckets.salt.map(event => [event.args.id, event.args.salt]));
+
+    // Group scheduled calls by operation id, like the operations list
+    const operations = new Map();
+    for (const event of buckets.scheduled) {
+        const { id, index, target, value, data, predecessor, delay } = event.args;
+        if (!operations.has(id)) {
+            operations.set(id, { id, event, predecessor, delay: delay.toNumber(), calls: [] });
+        }
+        operations.get(id).calls.push({ index: index.toNumber(), target, value: value.toString(), data });
+    }
+
+    const candidates = Array.from(operations.values()).filter(operation => isBlockInRange([
+        operation.event.blockNumber,
+        executedById.has(operation.id) ? executedById.get(operation.id).blockNumber : null,
+        cancelledById.has(operation.id) ? cancelledById.get(operation.id).blockNumber : null
+    ], range));
+
+    // Current state of everything that isn't executed or cancelled, in one multicall
+    const openIds = candidates.map(operation => operation.id).filter(id => !executedById.has(id) && !cancelledById.has(id));
+    const states = await multicallContract(contract, 'getOperationState', openIds.map(id => [id]));
+    const stateById = new Map(openIds.map((id, index) => [id, states[index]]));
+
+    const operationRecords = await Promise.all(candidates.map(async operation => {
+        const executed = executedById.get(operation.id);
+        const cancelled = cancelledById.get(operation.id);
+        const [scheduledTimestamp, executedTimestamp, cancelledTimestamp, proposer, executor, canceller] = await Promise.all([
+            lookups.getTimestamp(operation.event.blockNumber),
+            executed ? lookups.getTimestamp(executed.blockNumber) : null,
+            cancelled ? lookups.getTimestamp(cancelled.blockNumber) : null,
+            lookups.getSender(operation.event.transactionHash),
+            executed ? lookups.getSender(executed.transactionHash) : null,
+            cancelled ? lookups.getSender(cancelled.transactionHash) : null
+        ]);
+
+        let status;
+        if (cancelled) {
+            status = 'Cancelled';
+        } else if (executed) {
+            status = 'Executed';
+        } else {
+            status = describeOperationState(stateById.get(operation.id)).status;
+        }
+
+        const calls = operation.calls.sort((a, b) => a.index - b.index).map(({ target, value, data }) => ({ target, value, data }));
+        return {
+            type: 'operation',
+            id: operation.id,
+            status,
+            intent: analyzeTransactionType(calls).displayName,
+            calls,
+            predecessor: operation.predecessor,
+            salt: saltById.get(operation.id) || ethers.constants.HashZero,
+            delay: operation.delay,
+            proposer,
+            proposalTxHash: operation.event.transactionHash,
+            scheduledBlock: operation.event.blockNumber,
+            scheduledAt: toIsoTime(scheduledTimestamp),
+            readyAt: toIsoTime(scheduledTimestamp + operation.delay),
+            executor,
+            executionTxHash: executed ? executed.transactionHash : null,
+            executedBlock: executed ? executed.blockNumber : null,
+            executedAt: toIsoTime(executedTimestamp),
+            canceller,
+            cancelTxHash: cancelled ? cancelled.transactionHash : null,
+            cancelledBlock: cancelled ? cancelled.blockNumber : null,
+            cancelledAt: toIsoTime(cancelledTimestamp),
+            activity: [scheduledTimestamp, executedTimestamp, cancelledTimestamp]
+        };
+    }));
+
+    const recoveryEvents = buckets.recoveryExecution.filter(event => isBlockInRange([event.blockNumber], range));
+    const recoveryRecords = await Promise.all(recoveryEvents.map(async event => {
+        const calls = [{ target: event.args.target, value: event.args.value.toString(), data: event.args.data }];
+        const timestamp = await lookups.getTimestamp(event.blockNumber);
+        return {
+            type: 'recovery',
+            id: `recovery-${event.transactionHash}-${event.logIndex}`,
+            status: 'Recovery Executed',
+            intent: analyzeRecoveryTransactionType({ calls }).displayName,
+            calls,
+            executor: event.args.recoverer,
+            executionTxHash: event.transactionHash,
+            executedBlock: event.blockNumber,
+            executedAt: toIsoTime(timestamp),
+            activity: [timestamp]
+        };
+    }));
+
+    const cancelAllEvents = buckets.allOperationsCancelled.filter(event => isBlockInRange([event.blockNumber], range));
+    const cancelAllRecords = await Promise.all(cancelAllEvents.map(async event => {
+        const timestamp = await lookups.getTimestamp(event.blockNumber);
+        return {
+            type: 'cancel-all',
+            id: `cancel-all-${event.transactionHash}-${event.logIndex}`,
+            status: 'All Operations Cancelled',
+            intent: `Cancel all operations (epoch ${event.args.newEpoch.toString()})`,
+            calls: [],
+            canceller: event.args.canceller,
+            cancelTxHash: event.transactionHash,
+            cancelledBlock: event.blockNumber,
+            cancelledAt: toIsoTime(timestamp),
+            newEpoch: event.args.newEpoch.toString(),
+            activity: [timestamp]
+        };
+    }));
+
+    // Oldest activity first; the activity timestamps are only needed for the time filter
+    return [...operationRecords, ...recoveryRecords, ...cancelAllRecords]
+        .filter(record => isTimeInRange(record.activity, range))
+        .sort((a, b) => Math.min(...a.activity.filter(Boolean)) - Math.min(...b.activity.filter(Boolean)))
+        .map(({ activity, ...record }) => record);
+}
+
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toHistoryCsv(records) {
+    const rows = records.map(record => {
+        const totalValue = record.calls.reduce((sum, call) => sum.add(call.value), ethers.BigNumber.from(0));
+        const row = {
+            ...record,
+            callCount: record.calls.length,
+            totalValueEth: ethers.utils.formatEther(totalValue),
+            calls: JSON.stringify(record.calls)
+        };
+        return HISTORY_CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(',');
+    });
+    return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// meta: { vault, chainId, network, range }
+function toHistoryJson(records, meta) {
+    return JSON.stringify({
+        ...meta,
+        generatedAt: new Date().toISOString(),
+        operations: records
+    }, null, 2) + '\n';
+}
+
+// Range from the export form: dates are whole days in UTC, blocks are inclusive
+function readHistoryExportRange() {
+    const value = id => document.getElementById(id).value.trim();
+    const range = { fromBlock: null, toBlock: null, fromTime: null, toTime: null };
+
+    if (value('historyFromBlock')) {
+        range.fromBlock = parseInt(value('historyFromBlock'), 10);
+    }
+    if (value('historyToBlock')) {
+        range.toBlock = parseInt(value('historyToBlock'), 10);
+    }
+    if (value('historyFromDate')) {
+        range.fromTime = Date.parse(value('historyFromDate')) / 1000;
+    }
+    if (value('historyToDate')) {
+        range.toTime = Date.parse(value('historyToDate')) / 1000 + 24 * 60 * 60 - 1;
+    }
+    return range;
+}
+
+// Export button on the Operations tab
+async function exportOperationHistory(format) {
+    if (!contract || !provider) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+
+    const status = document.getElementById('historyExportStatus');
+    try {
+        status.textContent = 'Building history...';
+        await syncVaultEvents();
+
+        const range = readHistoryExportRange();
+        const records = await buildOperationHistory(contract, {
+            scheduled: allScheduledEvents,
+            executed: allExecutedEvents,
+            cancelled: allCancelledEvents,
+            salt: allSaltEvents,
+            recoveryExecution: allRecoveryExecutionEvents,
+            allOperationsCancelled: allAllOperationsCancelledEvents
+        }, range, getChainLookups());
+
+        const { chainId } = await provider.getNetwork();
+        const vault = window.CONFIG.CONTRACT_ADDRESS;
+        const filename = `vault-history-${chainId}-${vault.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        if (format === 'csv') {
+            downloadFile(filename, toHistoryCsv(records), 'text/csv');
+        } else {
+            downloadFile(filename, toHistoryJson(records, {
+                vault,
+                chainId,
+                network: getCurrentChainInfo(chainId).name,
+                range
+            }), 'application/json');
+        }
+
+        status.textContent = `Exported ${records.length} record${records.length !== 1 ? 's' : ''}`;
+    } catch (error) {
+        console.error('Error exporting operation history:', error);
+        status.textContent = '';
+        showError('Failed to export operation history: ' + error.message);
+    }
+}
+
+window.exportOperationHistory = exportOperationHistory;
@@ -0,0 +1,363 @@
+// ledger.js - Incoming deposits ledger and account statement
+// Inbound ETH comes from call traces (trace_filter) when the node has them, else from the transactions sent
+// straight to the vault; inbound tokens from ERC-20 Transfer logs. Both are merged with executed operations.
+
+const STATEMENT_CSV_COLUMNS = [
+    'timestamp', 'block', 'direction', 'type', 'asset', 'symbol', 'amount', 'amountRaw',
+    'counterparty', 'description', 'operationId', 'txHash'
+];
+
+const LEDGER_TRACE_CHUNK_SIZE = 10000; // blocks per trace_filter request
+const LEDGER_BLOCK_SCAN_LIMIT = 2000; // most blocks read one by one when the node has no trace API
+
+let statementEntries = []; // Last built statement, oldest first
+let statementMeta = null; // { key, vault, chainId, ethSource } of the last built statement
+let statementBuilding = false;
+
+// Value-carrying calls into the vault from any depth of any transaction. Throws when the node has no trace API.
+async function fetchEthTracesToVault(provider, vault, fromBlock, toBlock) {
+    const transfers = [];
+    for (let start = fromBlock; start <= toBlock; start += LEDGER_TRACE_CHUNK_SIZE) {
+        const end = Math.min(start + LEDGER_TRACE_CHUNK_SIZE - 1, toBlock);
+        const traces = await withProviderRetry(() => provider.send('trace_filter', [{
+            fromBlock: ethers.utils.hexValue(start),
+            toBlock: ethers.utils.hexValue(end),
+            toAddress: [vault]
+        }]));
+
+        for (const trace of traces) {
+            const action = trace.action || {};
+            // Delegate and static calls don't move ETH; the vault paying itself isn't a deposit
+            if (trace.type !== 'call' || action.callType !== 'call' || trace.error ||
+                action.from.toLowerCase() === vault.toLowerCase() || ethers.BigNumber.from(action.value).isZero()) {
+                continue;
+            }
+            transfers.push({
+                blockNumber: trace.blockNumber,
+                order: trace.transactionPosition,
+                transactionHash: trace.transactionHash,
+                from: ethers.utils.getAddress(action.from),
+                value: ethers.BigNumber.from(action.value)
+            });
+        }
+    }
+    return transfers;
+}
+
+// Successful transactions sending ETH straight to the vault (misses ETH forwarded by other contracts)
+async function fetchEthTransactionsToVault(provider, vault, fromBlock, toBlock) {
+    const transfers = [];
+    for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+        const block = await withProviderRetry(() => provider.getBlockWithTransactions(blockNumber));
+        for (const tx of block.transactions) {
+            if (!tx.to || tx.to.toLowerCase() !== vault.toLowerCase() || tx.value.isZero()) {
+                continue;
+            }
+            const receipt = await withProviderRetry(() => provider.getTransactionReceipt(tx.hash));
+            if (receipt.status === 1) {
+                transfers.push({
+                    blockNumber,
+                    order: tx.transactionIndex,
+                    transactionHash: tx.hash,
+                    from: tx.from,
+                    value: tx.value
+                });
+            }
+        }
+    }
+    return transfers;
+}
+
+// Inbound ETH with where it was read from: 'traces', 'transactions' or 'unavailable' (range too long to read block by block)
+async function fetchIncomingEth(provider, vault, fromBlock, toBlock) {
+    try {
+        return { source: 'traces', transfers: await fetchEthTracesToVault(provider, vault, fromBlock, toBlock) };
+    } catch (error) {
+        console.log('trace_filter unavailable, falling back to vault transactions:', error.message);
+    }
+
+    if (toBlock - fromBlock + 1 > LEDGER_BLOCK_SCAN_LIMIT) {
+        return { source: 'unavailable', transfers: [] };
+    }
+    return { source: 'transactions', transfers: await fetchEthTransactionsToVault(provider, vault, fromBlock, toBlock) };
+}
+
+// ERC-20 Transfer logs into ('in') or out of ('out') the vault. ERC-721 Transfers, which index the token id, are skipped.
+async function fetchTokenTransfers(provider, vault, direction, fromBlock, toBlock, onProgress) {
+    const vaultTopic = ethers.utils.hexZeroPad(vault, 32);
+    const filter = { topics: direction === 'in' ? [ERC20_TRANSFER_TOPIC, null, vaultTopic] : [ERC20_TRANSFER_TOPIC, vaultTopic] };
+    const logs = await scanLogs(provider, filter, fromBlock, toBlock, { onProgress });
+
+    return logs.filter(log => log.topics.length === 3).map(log => ({
+        blockNumber: log.blockNumber,
+        order: log.transactionIndex,
+        logIndex: log.logIndex,
+        transactionHash: log.transactionHash,
+        token: log.address.toLowerCase(),
+        from: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[1], 12)),
+        to: ethers.utils.getAddress(ethers.utils.hexDataSlice(log.topics[2], 12)),
+        value: ethers.BigNumber.from(log.data)
+    }));
+}
+
+// ETH and ERC-20 amounts an executed call sent out of the vault: [{ asset, amount, to }].
+// Tokens pulled into the vault with transferFrom show up as deposits, from their Transfer log.
+function getCallOutflows(call, vault) {
+    const erc20Interface = new ethers.utils.Interface(window.CONFIG.ERC20_ABI);
+    const outflows = [];
+
+    const value = ethers.BigNumber.from(call.value || 0);
+    if (!value.isZero()) {
+        outflows.push({ asset: 'ETH', amount: value, to: call.target });
+    }
+
+    if (call.data && call.data.length >= 10) {
+        try {
+            const parsed = erc20Interface.parseTransaction({ data: call.data });
+            if (parsed.name === 'transfer') {
+                outflows.push({ asset: call.target.toLowerCase(), amount: parsed.args.amount, to: parsed.args.to });
+            } else if (parsed.name === 'transferFrom' && parsed.args.from.toLowerCase() === vault.toLowerCase()) {
+                outflows.push({ asset: call.target.toLowerCase(), amount: parsed.args.amount, to: parsed.args.to });
+            }
+        } catch (error) {
+            // Not an ERC20 transfer
+        }
+    }
+    return outflows;
+}
+
+// Every deposit into the vault and every executed operation, oldest first.
+// buckets are the vault's decoded event buckets (see buildOperationHistory).
+async function buildAccountStatement(contract, buckets, { onProgress, lookups = createChainLookups(contract.provider) } = {}) {
+    const provider = contract.provider;
+    const vault = contract.address;
+    const currentBlock = await provider.getBlockNumber();
+    const fromBlock = await findDeploymentBlock(provider, vault, currentBlock);
+
+    const eth = await fetchIncomingEth(provider, vault, fromBlock, currentBlock);
+    const tokenTransfers = await fetchTokenTransfers(provider, vault, 'in', fromBlock, currentBlock, onProgress);
+    const records = (await buildOperationHistory(contract, buckets, {}, lookups))
+        .filter(record => record.status === 'Executed' || record.type === 'recovery');
+
+    // Symbol and decimals of every token involved, looked up once
+    const tokens = new Map();
+    const getToken = async address => {
+        if (!tokens.has(address)) {
+            tokens.set(address, await getSimulationTokenInfo(provider, address));
+        }
+        return tokens.get(address);
+    };
+
+    const entries = [];
+    const addEntry = async (entry, asset, amount) => {
+        const token = asset && asset !== 'ETH' ? await getToken(asset) : null;
+        const decimals = asset === 'ETH' ? 18 : token ? token.decimals : null;
+        entries.push({
+            ...entry,
+            asset: asset ? (asset === 'ETH' ? 'ETH' : ethers.utils.getAddress(asset)) : '',
+            symbol: asset === 'ETH' ? 'ETH' : token ? token.symbol : asset ? formatAddress(asset) : '',
+            amount: amount && decimals !== null ? ethers.utils.formatUnits(amount, decimals) : '',
+            amountRaw: amount ? amount.toString() : ''
+        });
+    };
+
+    // Look up the deposits' block times together; the loops below then read them from the cache
+    await Promise.all([...eth.transfers, ...tokenTransfers].map(transfer => lookups.getTimestamp(transfer.blockNumber)));
+
+    for (const transfer of eth.transfers) {
+        await addEntry({
+            direction: 'in',
+            type: 'ETH deposit',
+            blockNumber: transfer.blockNumber,
+            order: transfer.order,
+            timestamp: toIsoTime(await lookups.getTimestamp(transfer.blockNumber)),
+            counterparty: transfer.from,
+            description: 'ETH received',
+            operationId: '',
+            txHash: transfer.transactionHash
+        }, 'ETH', transfer.value);
+    }
+
+    for (const transfer of tokenTransfers) {
+        await addEntry({
+            direction: 'in',
+            type: 'Token deposit',
+            blockNumber: transfer.blockNumber,
+            order: transfer.order,
+            timestamp: toIsoTime(await lookups.getTimestamp(transfer.blockNumber)),
+            counterparty: transfer.from,
+            description: 'Token transfer received',
+            operationId: '',
+            txHash: transfer.transactionHash
+        }, transfer.token, transfer.value);
+    }
+
+    // One row per asset an operation sent out, or a single row for operations that moved nothing we can read
+    for (const record of records) {
+        const entry = {
+            direction: 'out',
+            type: record.type === 'recovery' ? 'Recovery' : 'Operation',
+            blockNumber: record.executedBlock,
+            order: null,
+            timestamp: record.executedAt,
+            description: record.intent,
+            operationId: record.type === 'recovery' ? '' : record.id,
+            txHash: record.executionTxHash
+        };
+        const outflows = record.calls.flatMap(call => getCallOutflows(call, vault));
+        if (outflows.length === 0) {
+            await addEntry({ ...entry, counterparty: record.calls.length === 1 ? record.calls[0].target : '' }, null, null);
+        }
+        for (const outflow of outflows) {
+            await addEntry({ ...entry, counterparty: ethers.utils.getAddress(outflow.to) }, outflow.asset, outflow.amount);
+        }
+    }
+
+    // Executions don't carry their transaction index; within a block they follow the deposits
+    entries.sort((a, b) => a.blockNumber - b.blockNumber ||
+        (a.order === null ? Infinity : a.order) - (b.order === null ? Infinity : b.order));
+
+    return { entries, ethSource: eth.source };
+}
+
+function toStatementCsv(entries) {
+    const rows = entries.map(entry => STATEMENT_CSV_COLUMNS.map(column =>
+        escapeCsvValue(column === 'block' ? entry.blockNumber : entry[column])
+    ).join(','));
+    return [STATEMENT_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// meta: { vault, chainId, network, ethSource }
+function toStatementJson(entries, meta) {
+    return JSON.stringify({
+        ...meta,
+        generatedAt: new Date().toISOString(),
+        entries: entries.map(({ order, ...entry }) => entry)
+    }, null, 2) + '\n';
+}
+
+function describeEthSource(source) {
+    if (source === 'traces') {
+        return 'ETH deposits from call traces';
+    }
+    if (source === 'transactions') {
+        return 'ETH deposits from direct transactions only (no trace API on this node)';
+    }
+    return 'ETH deposits not included: the node has no trace API and the vault is too old to read block by block';
+}
+
+function renderAccountStatement() {
+    const list = document.getElementById('statementList');
+    if (statementEntries.length === 0) {
+        list.innerHTML = '<div class="no-operations">No deposits or executed operations yet.</div>';
+        return;
+    }
+
+    // Newest first on screen; the exports stay chronological
+    list.innerHTML = `
+        <table class="statement-table">
+            <thead>
+                <tr><th>Date</th><th>Type</th><th>Amount</th><th>Counterparty</th><th>Transaction</th></tr>
+            </thead>
+            <tbody>
+                ${statementEntries.slice().reverse().map(entry => `
+                    <tr class="statement-${entry.direction}">
+                        <td title="Block ${entry.blockNumber}">${entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '-'}</td>
+                        <td title="${escapeHtml(entry.description)}">${escapeHtml(entry.type)}</td>
+                        <td class="statement-amount">${entry.amountRaw ? `${entry.direction === 'in' ? '+' : '−'}${escapeHtml(entry.amount || entry.amountRaw)} ${escapeHtml(entry.symbol)}` : escapeHtml(entry.description)}</td>
+                        <td>${entry.counterparty ? `<span class="address-value" title="${entry.counterparty}">${formatAddress(entry.counterparty)}</span>` : '-'}</td>
+                        <td><span class="address-value" title="${entry.txHash}">${formatAddress(entry.txHash)}</span></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+// "Build Statement" button on the dashboard
+async function buildVaultStatement() {
+    if (!contract || !provider) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+    if (statementBuilding) {
+        return;
+    }
+
+    const status = document.getElementById('statementStatus');
+    const button = document.getElementById('buildStatementButton');
+    try {
+        statementBuilding = true;
+        button.disabled = true;
+        status.textContent = 'Reading deposits and executed operations...';
+        await syncVaultEvents();
+
+        const { chainId } = await provider.getNetwork();
+        const vault = window.CONFIG.CONTRACT_ADDRESS;
+        const result = await buildAccountStatement(contract, {
+            scheduled: allScheduledEvents,
+            executed: allExecutedEvents,
+            cancelled: allCancelledEvents,
+            salt: allSaltEvents,
+            recoveryExecution: allRecoveryExecutionEvents,
+            allOperationsCancelled: allAllOperationsCancelledEvents
+        }, {
+            lookups: getChainLookups(),
+            onProgress: ({ scannedTo, toBlock, percent }) => {
+                status.textContent = `Scanning token transfers: block ${scannedTo.toLocaleString()} of ${toBlock.toLocaleString()} (${percent}%)`;
+            }
+        });
+
+        statementEntries = result.entries;
+        statementMeta = { key: getEventCacheKey(chainId, vault), vault, chainId, ethSource: result.ethSource };
+        renderAccountStatement();
+        status.textContent = `${statementEntries.length} entr${statementEntries.length !== 1 ? 'ies' : 'y'} · ${describeEthSource(result.ethSource)}`;
+        document.getElementById('statementExportActions').style.display = 'flex';
+    } catch (error) {
+        console.error('Error building account statement:', error);
+        status.textContent = '';
+        showError('Failed to build account statement: ' + error.message);
+    } finally {
+        statementBuilding = false;
+        button.disabled = false;
+    }
+}
+
+window.buildVaultStatement = buildVaultStatement;
+
+function exportVaultStatement(format) {
+    if (!statementMeta) {
+        return;
+    }
+
+    const { vault, chainId, ethSource } = statementMeta;
+    const filename = `vault-statement-${chainId}-${vault.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'csv') {
+        downloadFile(filename, toStatementCsv(statementEntries), 'text/csv');
+    } else {
+        downloadFile(filename, toStatementJson(statementEntries, {
+            vault,
+            chainId,
+            network: getCurrentChainInfo(chainId).name,
+            ethSource
+        }), 'application/json');
+    }
+}
+
+window.exportVaultStatement = exportVaultStatement;
+
+// Drop a statement built for another vault (called after switching vaults or disconnecting)
+function resetAccountStatement() {
+    const activeKey = connectedChainId && window.CONFIG.CONTRACT_ADDRESS ?
+        getEventCacheKey(connectedChainId, window.CONFIG.CONTRACT_ADDRESS) :
+        null;
+    if (!statementMeta || statementMeta.key === activeKey) {
+        return;
+    }
+
+    statementEntries = [];
+    statementMeta = null;
+    document.getElementById('statementList').innerHTML = '';
+    document.getElementById('statementStatus').textContent = '';
+    document.getElementById('statementExportActions').style.display = 'none';
+}
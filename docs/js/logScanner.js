@@ -0,0 +1,214 @@
+// logScanner.js - Chunked, rate-limit-aware log fetching shared by all event queries
+
+// Current chunk size; adapts to whatever the provider accepts and carries over between scans
+let adaptiveLogChunkSize = null;
+// Smallest chunk size the provider has rejected; growing never reaches it again
+let rejectedLogChunkSize = null;
+
+// Pull every message an ethers/provider error carries into one string for matching
+function getProviderErrorText(error) {
+    const parts = [
+        error.message,
+        error.reason,
+        error.body,
+        error.error && error.error.message,
+        error.data && error.data.message
+    ];
+    return parts.filter(Boolean).join(' ').toLowerCase();
+}
+
+// Provider rejected the range because it would return too many logs or span too many blocks
+function isTooManyResultsError(error) {
+    const text = getProviderErrorText(error);
+    // "Too many requests" is throttling, not the range - that's for backoff, not a smaller chunk
+    if (isRateLimitError(error)) {
+        return false;
+    }
+    return text.includes('more than') ||
+        text.includes('too many') ||
+        text.includes('query returned') ||
+        text.includes('block range') ||
+        text.includes('range is too large') ||
+        text.includes('response size') ||
+        text.includes('limit exceeded') ||
+        error.code === -32005;
+}
+
+// Node doesn't offer the method at all (e.g. trace_filter on a node without the trace API)
+function isUnsupportedMethodError(error) {
+    const text = getProviderErrorText(error);
+    return text.includes('not supported') ||
+        text.includes('method not found') ||
+        text.includes('does not exist/is not available') ||
+        text.includes('-32601');
+}
+
+// Provider is throttling us (HTTP 429 or a JSON-RPC rate limit message)
+function isRateLimitError(error) {
+    const text = getProviderErrorText(error);
+    return error.status === 429 ||
+        text.includes('rate limit') ||
+        text.includes('429') ||
+        text.includes('too many requests');
+}
+
+// Provider is throttling us or had a transient failure worth retrying
+function isRetryableProviderError(error) {
+    if (isUnsupportedMethodError(error)) {
+        return false;
+    }
+    return error.code === 'NETWORK_ERROR' ||
+        error.code === 'SERVER_ERROR' ||
+        error.code === 'TIMEOUT' ||
+        isRateLimitError(error) ||
+        getProviderErrorText(error).includes('timeout');
+}
+
+// Some providers suggest a workable range in the error, e.g. "Try with this block range [0x1, 0x2710]"
+function getSuggestedChunkSize(error) {
+    const match = getProviderErrorText(error).match(/\[(0x[0-9a-f]+),\s*(0x[0-9a-f]+)\]/);
+    if (!match) {
+        return null;
+    }
+    const size = parseInt(match[2], 16) - parseInt(match[1], 16) + 1;
+    return size > 0 ? size : null;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Run a provider call, retrying transient failures with exponential backoff
+async function withProviderRetry(fn) {
+    const { LOG_SCAN_MAX_RETRIES, LOG_SCAN_RETRY_BASE_DELAY } = window.CONFIG.UI_CONFIG;
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            if (attempt >= LOG_SCAN_MAX_RETRIES || !isRetryableProviderError(error)) {
+                throw error;
+            }
+            const delay = LOG_SCAN_RETRY_BASE_DELAY * Math.pow(2, attempt);
+            console.warn(`Provider call failed (attempt ${attempt + 1}), retrying in ${delay}ms:`, error.message);
+            await sleep(delay);
+        }
+    }
+}
+
+// Queue for provider requests: limited(load) runs load() with at most `concurrency` others in flight
+function createRequestLimiter(concurrency) {
+    const queue = [];
+    let active = 0;
+
+    const runNext = () => {
+        if (active >= concurrency || queue.length === 0) {
+            return;
+        }
+        const { load, resolve, reject } = queue.shift();
+        active++;
+        load().then(resolve, reject).finally(() => {
+            active--;
+            runNext();
+        });
+    };
+
+    return load => new Promise((resolve, reject) => {
+        queue.push({ load, resolve, reject });
+        runNext();
+    });
+}
+
+// Binary-search getCode to find the block a contract was deployed in.
+// Falls back to block 0 when the node can't serve historical state.
+async function findDeploymentBlock(provider, address, latestBlock) {
+    try {
+        const hasCodeAt = async (blockNumber) => {
+            const code = await withProviderRetry(() => provider.getCode(address, blockNumber));
+            return !!code && code !== '0x';
+        };
+
+        if (!(await hasCodeAt(latestBlock))) {
+            throw new Error(`No contract code at ${address}`);
+        }
+
+        let low = 0;
+        let high = latestBlock;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (await hasCodeAt(mid)) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+
+        console.log(`Found deployment block for ${address}: ${low}`);
+        return low;
+    } catch (error) {
+        console.warn('Could not determine deployment block, scanning from block 0:', error.message);
+        return 0;
+    }
+}
+
+// Fetch logs for a filter between two blocks (inclusive), paging through adaptive chunks.
+// onProgress receives { fromBlock, toBlock, scannedTo, percent } after every chunk.
+async function scanLogs(provider, filter, fromBlock, toBlock, { onProgress } = {}) {
+    const { LOG_SCAN_INITIAL_CHUNK, LOG_SCAN_MIN_CHUNK, LOG_SCAN_MAX_CHUNK } = window.CONFIG.UI_CONFIG;
+    const logs = [];
+    const totalBlocks = toBlock - fromBlock + 1;
+
+    if (adaptiveLogChunkSize === null) {
+        adaptiveLogChunkSize = LOG_SCAN_INITIAL_CHUNK;
+    }
+
+    let start = fromBlock;
+    while (start <= toBlock) {
+        const end = Math.min(start + adaptiveLogChunkSize - 1, toBlock);
+
+        try {
+            const chunkLogs = await withProviderRetry(() => provider.getLogs({
+                ...filter,
+                fromBlock: start,
+                toBlock: end
+            }));
+            logs.push(...chunkLogs);
+
+            // Grow again after a comfortable chunk so we don't stay at a tiny size forever,
+            // but never back up to a size the provider already rejected
+            const grown = Math.min(adaptiveLogChunkSize * 2, LOG_SCAN_MAX_CHUNK);
+            if (chunkLogs.length < 1000 && grown > adaptiveLogChunkSize &&
+                (rejectedLogChunkSize === null || grown < rejectedLogChunkSize)) {
+                adaptiveLogChunkSize = grown;
+            }
+
+            start = end + 1;
+
+            if (onProgress) {
+                const scanned = end - fromBlock + 1;
+                onProgress({
+                    fromBlock,
+                    toBlock,
+                    scannedTo: end,
+                    percent: totalBlocks > 0 ? Math.round((scanned / totalBlocks) * 100) : 100
+                });
+            }
+        } catch (error) {
+            if (!isTooManyResultsError(error) || adaptiveLogChunkSize <= LOG_SCAN_MIN_CHUNK) {
+                throw error;
+            }
+
+            rejectedLogChunkSize = rejectedLogChunkSize === null ?
+                adaptiveLogChunkSize :
+                Math.min(rejectedLogChunkSize, adaptiveLogChunkSize);
+            const suggested = getSuggestedChunkSize(error);
+            const shrunk = suggested && suggested < adaptiveLogChunkSize ?
+                suggested :
+                Math.floor(adaptiveLogChunkSize / 2);
+            adaptiveLogChunkSize = Math.max(shrunk, LOG_SCAN_MIN_CHUNK);
+            console.warn(`Provider rejected blocks ${start}-${end}, shrinking chunk size to ${adaptiveLogChunkSize}`);
+        }
+    }
+
+    return logs;
+}
@@ -0,0 +1,65 @@
+// multicall.js - Batch read-only contract calls through Multicall3
+
+// Maximum calls packed into a single aggregate3 request
+const MULTICALL_BATCH_SIZE = 500;
+
+// Chain ID -> promise resolving to whether Multicall3 is deployed there
+const multicallAvailability = {};
+
+// Multicall3 lives at the same address on most chains, but not on a fresh local node
+async function isMulticallAvailable(provider) {
+    const { chainId } = await provider.getNetwork();
+    if (!multicallAvailability[chainId]) {
+        multicallAvailability[chainId] = provider.getCode(window.CONFIG.MULTICALL3_ADDRESS)
+            .then(code => !!code && code !== '0x')
+            .catch(() => false);
+    }
+    return multicallAvailability[chainId];
+}
+
+// Call the same view function with many argument lists.
+// Returns one decoded result per entry (the first return value), or null where the call failed.
+async function multicallContract(contract, method, argsList) {
+    if (argsList.length === 0) {
+        return [];
+    }
+
+    if (!(await isMulticallAvailable(contract.provider))) {
+        console.log(`Multicall3 not deployed on this chain, calling ${method} individually`);
+        return Promise.all(argsList.map(args =>
+            contract[method](...args).catch(error => {
+                console.error(`Error calling ${method}:`, error);
+                return null;
+            })
+        ));
+    }
+
+    const multicall = new ethers.Contract(window.CONFIG.MULTICALL3_ADDRESS, window.CONFIG.MULTICALL3_ABI, contract.provider);
+    const results = [];
+
+    for (let i = 0; i < argsList.length; i += MULTICALL_BATCH_SIZE) {
+        const batch = argsList.slice(i, i + MULTICALL_BATCH_SIZE);
+        const calls = batch.map(args => ({
+            target: contract.address,
+            allowFailure: true,
+            callData: contract.interface.encodeFunctionData(method, args)
+        }));
+
+        const responses = await withProviderRetry(() => multicall.callStatic.aggregate3(calls));
+
+        for (const response of responses) {
+            if (!response.success) {
+                results.push(null);
+                continue;
+            }
+            try {
+                results.push(contract.interface.decodeFunctionResult(method, response.returnData)[0]);
+            } catch (error) {
+                console.error(`Error decoding ${method} result:`, error);
+                results.push(null);
+            }
+        }
+    }
+
+    return results;
+}
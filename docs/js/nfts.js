@@ -0,0 +1,527 @@
+// nfts.js - ERC-721 and ERC-1155 holdings of the vault, and the NFT transfer composer
+// Holdings are discovered from Transfer/TransferSingle/TransferBatch logs to the vault (scanned incrementally,
+// like token discovery) and confirmed with ownerOf/balanceOf, so NFTs sent away again drop out.
+
+const NFT_DISCOVERY_STORAGE_KEY = 'timelock-vault-nft-discovery'; // { chainId:vault: { lastBlock, candidates } }
+const ERC1155_TRANSFER_SINGLE_TOPIC = ethers.utils.id('TransferSingle(address,address,address,uint256,uint256)');
+const ERC1155_TRANSFER_BATCH_TOPIC = ethers.utils.id('TransferBatch(address,address,address,uint256[],uint256[])');
+
+// ERC-165 interface ids
+const ERC721_INTERFACE_ID = '0x80ac58cd';
+const ERC1155_INTERFACE_ID = '0xd9b67a26';
+
+let nftHoldings = []; // { standard, contractAddress, tokenId, amount, name, symbol } held by the vault
+let nftHoldingsKey = null; // chainId:vault the holdings belong to
+let nftScanRunning = false;
+
+function loadNftDiscoveryState(key) {
+    try {
+        const all = JSON.parse(localStorage.getItem(NFT_DISCOVERY_STORAGE_KEY) || '{}');
+        return all[key] || { lastBlock: null, candidates: {} };
+    } catch (error) {
+        console.error('Error loading NFT discovery state:', error);
+        return { lastBlock: null, candidates: {} };
+    }
+}
+
+function saveNftDiscoveryState(key, state) {
+    let all = {};
+    try {
+        all = JSON.parse(localStorage.getItem(NFT_DISCOVERY_STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Error loading NFT discovery state:', error);
+    }
+    all[key] = state;
+    localStorage.setItem(NFT_DISCOVERY_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Every (contract, token id) ever sent to the vault, keyed "contract:tokenId"
+async function scanIncomingNfts(key, onProgress) {
+    const vault = window.CONFIG.CONTRACT_ADDRESS;
+    const state = loadNftDiscoveryState(key);
+    const currentBlock = await provider.getBlockNumber();
+    const fromBlock = state.lastBlock === null ? await getVaultDeploymentBlock(currentBlock) : state.lastBlock + 1;
+
+    if (fromBlock <= currentBlock) {
+        console.log(`Scanning NFT transfers to ${vault} from block ${fromBlock} to ${currentBlock}`);
+        const vaultTopic = ethers.utils.hexZeroPad(vault, 32);
+        const erc1155Interface = new ethers.utils.Interface(window.CONFIG.ERC1155_ABI);
+        const addCandidate = (standard, contractAddress, tokenId) => {
+            state.candidates[`${contractAddress.toLowerCase()}:${tokenId}`] = { standard, contractAddress: contractAddress.toLowerCase(), tokenId };
+        };
+
+        // ERC-721 Transfer shares its topic with ERC-20 but also indexes the token id
+        const erc721Logs = await scanLogs(provider, { topics: [ERC20_TRANSFER_TOPIC, null, vaultTopic] }, fromBlock, currentBlock, { onProgress });
+        erc721Logs.filter(log => log.topics.length === 4).forEach(log => {
+            addCandidate('ERC-721', log.address, ethers.BigNumber.from(log.topics[3]).toString());
+        });
+
+        const erc1155Filter = { topics: [[ERC1155_TRANSFER_SINGLE_TOPIC, ERC1155_TRANSFER_BATCH_TOPIC], null, null, vaultTopic] };
+        const erc1155Logs = await scanLogs(provider, erc1155Filter, fromBlock, currentBlock, { onProgress });
+        for (const log of erc1155Logs) {
+            try {
+                const parsed = erc1155Interface.parseLog(log);
+                const ids = parsed.name === 'TransferBatch' ? parsed.args.ids : [parsed.args.id];
+                ids.forEach(id => addCandidate('ERC-1155', log.address, id.toString()));
+            } catch (error) {
+                console.warn('Skipping malformed ERC-1155 log:', log.transactionHash, error.message);
+            }
+        }
+
+        state.lastBlock = currentBlock;
+        saveNftDiscoveryState(key, state);
+    }
+
+    return Object.values(state.candidates);
+}
+
+// Collection name and symbol, where the contract has them
+async function getNftCollectionInfo(contractAddress) {
+    const collection = new ethers.Contract(contractAddress, window.CONFIG.ERC721_ABI, provider);
+    const [name, symbol] = await Promise.all([
+        collection.name().catch(() => null),
+        collection.symbol().catch(() => null)
+    ]);
+    return { name: name || formatAddress(ethers.utils.getAddress(contractAddress)), symbol: symbol || '' };
+}
+
+// Keep the candidates the vault still holds, checked per collection in one multicall
+async function confirmNftHoldings(candidates) {
+    const vault = window.CONFIG.CONTRACT_ADDRESS;
+    const byCollection = new Map();
+    candidates.forEach(candidate => {
+        const key = `${candidate.standard}:${candidate.contractAddress}`;
+        if (!byCollection.has(key)) {
+            byCollection.set(key, []);
+        }
+        byCollection.get(key).push(candidate);
+    });
+
+    const holdings = [];
+    for (const items of byCollection.values()) {
+        const { standard, contractAddress } = items[0];
+        const info = await getNftCollectionInfo(contractAddress);
+
+        if (standard === 'ERC-721') {
+            const collection = new ethers.Contract(contractAddress, window.CONFIG.ERC721_ABI, provider);
+            const owners = await multicallContract(collection, 'ownerOf', items.map(item => [item.tokenId]));
+            items.forEach((item, index) => {
+                if (owners[index] && owners[index].toLowerCase() === vault.toLowerCase()) {
+                    holdings.push({ ...item, contractAddress: ethers.utils.getAddress(contractAddress), amount: '1', ...info });
+                }
+            });
+        } else {
+            const collection = new ethers.Contract(contractAddress, window.CONFIG.ERC1155_ABI, provider);
+            const balances = await multicallContract(collection, 'balanceOf', items.map(item => [vault, item.tokenId]));
+            items.forEach((item, index) => {
+                if (balances[index] && !balances[index].isZero()) {
+                    holdings.push({ ...item, contractAddress: ethers.utils.getAddress(contractAddress), amount: balances[index].toString(), ...info });
+                }
+            });
+        }
+    }
+    return holdings;
+}
+
+// "Scan NFTs" button on the dashboard
+async function scanVaultNfts() {
+    if (!provider || !contract) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+    if (nftScanRunning) {
+        return;
+    }
+
+    const button = document.getElementById('scanNftsButton');
+    const status = document.getElementById('nftHoldingsStatus');
+    try {
+        nftScanRunning = true;
+        button.disabled = true;
+        status.textContent = 'Scanning NFT transfers...';
+
+        const { chainId } = await provider.getNetwork();
+        const key = getEventCacheKey(chainId, window.CONFIG.CONTRACT_ADDRESS);
+        const candidates = await scanIncomingNfts(key, ({ scannedTo, toBlock, percent }) => {
+            status.textContent = `Scanning NFT transfers: block ${scannedTo.toLocaleString()} of ${toBlock.toLocaleString()} (${percent}%)`;
+        });
+
+        status.textContent = 'Checking ownership...';
+        nftHoldings = await confirmNftHoldings(candidates);
+        nftHoldingsKey = key;
+        renderNftHoldings();
+        populateNftHoldingSelect();
+        status.textContent = `${nftHoldings.length} NFT${nftHoldings.length !== 1 ? 's' : ''} held`;
+    } catch (error) {
+        console.error('Error scanning NFTs:', error);
+        status.textContent = 'NFT scan failed: ' + error.message;
+    } finally {
+        nftScanRunning = false;
+        button.disabled = false;
+    }
+}
+
+window.scanVaultNfts = scanVaultNfts;
+
+function renderNftHoldings() {
+    const list = document.getElementById('nftHoldingsList');
+    if (nftHoldings.length === 0) {
+        list.innerHTML = '<div class="no-operations">The vault holds no ERC-721 or ERC-1155 tokens.</div>';
+        return;
+    }
+
+    list.innerHTML = nftHoldings.map((holding, index) => `
+        <div class="nft-holding">
+            <div class="nft-holding-info">
+                <span class="nft-holding-name">${escapeHtml(holding.name)}${holding.symbol ? ` (${escapeHtml(holding.symbol)})` : ''} #${formatNftTokenId(holding.tokenId)}</span>
+                <span class="nft-holding-meta" title="${holding.contractAddress} #${holding.tokenId}">
+                    ${holding.standard} · ${formatAddress(holding.contractAddress)}${holding.standard === 'ERC-1155' ? ` · ×${holding.amount}` : ''}
+                </span>
+            </div>
+            <button class="add-token-button" onclick="composeNftTransfer(${index})">Transfer</button>
+        </div>
+    `).join('');
+}
+
+// Hide holdings found for another vault (called after switching vaults or disconnecting)
+function resetNftHoldings() {
+    const activeKey = connectedChainId && window.CONFIG.CONTRACT_ADDRESS ?
+        getEventCacheKey(connectedChainId, window.CONFIG.CONTRACT_ADDRESS) :
+        null;
+    if (nftHoldingsKey === null || nftHoldingsKey === activeKey) {
+        return;
+    }
+
+    nftHoldings = [];
+    nftHoldingsKey = null;
+    document.getElementById('nftHoldingsList').innerHTML = '';
+    document.getElementById('nftHoldingsStatus').textContent = '';
+    populateNftHoldingSelect();
+}
+
+// --- Composer ---
+
+// Wire up the NFT transfer form
+function initializeNftComposer() {
+    const contractInput = document.getElementById('nftContract');
+    if (!contractInput) {
+        return;
+    }
+
+    contractInput.addEventListener('change', () => detectNftStandardForForm());
+    document.getElementById('nftHoldingSelect').addEventListener('change', event => {
+        if (event.target.value !== '') {
+            fillNftForm(nftHoldings[parseInt(event.target.value, 10)]);
+        }
+    });
+    document.getElementById('nftStandard').addEventListener('change', updateNftAmountField);
+    document.getElementById('proposeNftTransfer').addEventListener('click', proposeNftTransfer);
+    document.getElementById('addNftToBatch').addEventListener('click', addNftTransferToBatch);
+    updateNftAmountField();
+}
+
+function populateNftHoldingSelect() {
+    const select = document.getElementById('nftHoldingSelect');
+    select.innerHTML = '<option value="">Select a held NFT...</option>' + nftHoldings.map((holding, index) =>
+        `<option value="${index}">${escapeHtml(holding.name)} #${escapeHtml(formatNftTokenId(holding.tokenId))}${holding.standard === 'ERC-1155' ? ` (×${holding.amount})` : ''}</option>`
+    ).join('');
+}
+
+function fillNftForm(holding) {
+    document.getElementById('nftContract').value = holding.contractAddress;
+    document.getElementById('nftStandard').value = holding.standard;
+    document.getElementById('nftTokenId').value = holding.tokenId;
+    document.getElementById('nftAmount').value = holding.standard === 'ERC-1155' ? holding.amount : '1';
+    updateNftAmountField();
+    hideNftError();
+}
+
+// "Transfer" button on a holding: open the composer with it filled in
+function composeNftTransfer(index) {
+    switchMainTab('newTxn');
+    switchTab('nft');
+    document.getElementById('nftHoldingSelect').value = String(index);
+    fillNftForm(nftHoldings[index]);
+    document.getElementById('nftTo').focus();
+}
+
+window.composeNftTransfer = composeNftTransfer;
+
+// Amounts only apply to ERC-1155
+function updateNftAmountField() {
+    const isErc1155 = document.getElementById('nftStandard').value === 'ERC-1155';
+    document.getElementById('nftAmountGroup').style.display = isErc1155 ? 'block' : 'none';
+}
+
+function showNftError(message) {
+    const errorDiv = document.getElementById('nftError');
+    errorDiv.textContent = message;
+    errorDiv.style.display = 'block';
+}
+
+function hideNftError() {
+    document.getElementById('nftError').style.display = 'none';
+}
+
+// 'ERC-721', 'ERC-1155' or null, from ERC-165
+async function detectNftStandard(contractAddress) {
+    const collection = new ethers.Contract(contractAddress, window.CONFIG.ERC721_ABI, provider);
+    const [isErc721, isErc1155] = await Promise.all([
+        collection.supportsInterface(ERC721_INTERFACE_ID).catch(() => false),
+        collection.supportsInterface(ERC1155_INTERFACE_ID).catch(() => false)
+    ]);
+    return isErc721 ? 'ERC-721' : isErc1155 ? 'ERC-1155' : null;
+}
+
+async function detectNftStandardForForm() {
+    const contractAddress = document.getElementById('nftContract').value.trim();
+    hideNftError();
+    if (!provider || !ethers.utils.isAddress(contractAddress)) {
+        return;
+    }
+
+    const standard = await detectNftStandard(contractAddress);
+    if (standard) {
+        document.getElementById('nftStandard').value = standard;
+        updateNftAmountField();
+    } else {
+        showNftError('This contract does not report ERC-721 or ERC-1155 support (ERC-165). Pick the standard manually if you are sure.');
+    }
+}
+
+// Build the safeTransferFrom call from the form, after checking the vault holds what it would send
+async function buildNftTransferCall() {
+    const contractAddress = document.getElementById('nftContract').value.trim();
+    const standard = document.getElementById('nftStandard').value;
+    const tokenIdInput = document.getElementById('nftTokenId').value.trim();
+    const amountInput = document.getElementById('nftAmount').value.trim();
+    const toAddress = document.getElementById('nftTo').value.trim();
+    const vault = window.CONFIG.CONTRACT_ADDRESS;
+
+    if (!ethers.utils.isAddress(contractAddress)) {
+        showNftError('Please enter a valid NFT contract address.');
+        return null;
+    }
+    if (!/^\d+$/.test(tokenIdInput)) {
+        showNftError('Token ID must be a whole number.');
+        return null;
+    }
+    if (!ethers.utils.isAddress(toAddress)) {
+        showNftError('Please enter a valid recipient address.');
+        return null;
+    }
+
+    const tokenId = ethers.BigNumber.from(tokenIdInput);
+    let data;
+    let description;
+
+    if (standard === 'ERC-721') {
+        const collection = new ethers.Contract(contractAddress, window.CONFIG.ERC721_ABI, provider);
+        const owner = await collection.ownerOf(tokenId).catch(() => null);
+        if (!owner || owner.toLowerCase() !== vault.toLowerCase()) {
+            showNftError(`The vault does not own token #${tokenIdInput} of this contract.`);
+            return null;
+        }
+        data = collection.interface.encodeFunctionData('safeTransferFrom(address,address,uint256)', [vault, toAddress, tokenId]);
+        description = `Transfer NFT #${formatNftTokenId(tokenIdInput)} to ${formatAddress(toAddress)}`;
+    } else {
+        if (!/^\d+$/.test(amountInput) || /^0+$/.test(amountInput)) {
+            showNftError('Amount must be a whole number greater than 0.');
+            return null;
+        }
+        const amount = ethers.BigNumber.from(amountInput);
+        const collection = new ethers.Contract(contractAddress, window.CONFIG.ERC1155_ABI, provider);
+        const balance = await collection.balanceOf(vault, tokenId).catch(() => ethers.BigNumber.from(0));
+        if (balance.lt(amount)) {
+            showNftError(`The vault holds ${balance.toString()} of token #${tokenIdInput}, not ${amount.toString()}.`);
+            return null;
+        }
+        data = collection.interface.encodeFunctionData('safeTransferFrom', [vault, toAddress, tokenId, amount, '0x']);
+        description = `Transfer ${amount.toString()} × token #${formatNftTokenId(tokenIdInput)} to ${formatAddress(toAddress)}`;
+    }
+
+    return {
+        type: 'nft',
+        target: ethers.utils.getAddress(contractAddress),
+        value: '0',
+        data,
+        description
+    };
+}
+
+function clearNftForm() {
+    ['nftContract', 'nftTokenId', 'nftTo', 'nftSalt', 'nftDelay'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('nftAmount').value = '1';
+    document.getElementById('nftHoldingSelect').value = '';
+    document.getElementById('nftPredecessorSelect').value = '';
+}
+
+// "+ Add to Batch": queue the transfer in the batch builder instead of proposing it alone
+async function addNftTransferToBatch() {
+    if (!contract || !provider) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+    hideNftError();
+
+    try {
+        const call = await buildNftTransferCall();
+        if (!call) {
+            return;
+        }
+        batchCalls.push(call);
+        renderBatchCalls();
+        clearNftForm();
+        switchTab('batch');
+    } catch (error) {
+        console.error('Error adding NFT transfer to batch:', error);
+        showNftError('Failed to add NFT transfer: ' + error.message);
+    }
+}
+
+// Schedule the transfer, or execute it immediately in recovery mode
+async function proposeNftTransfer() {
+    if (!contract || !provider) {
+        showError('Please connect your wallet first.');
+        return;
+    }
+    hideNftError();
+
+    const proposeNftButton = document.getElementById('proposeNftTransfer');
+
+    try {
+        const call = await buildNftTransferCall();
+        if (!call) {
+            return;
+        }
+
+        const saltInput = document.getElementById('nftSalt').value.trim();
+        const delayInput = document.getElementById('nftDelay').value.trim();
+        const valueWei = ethers.BigNumber.from(0);
+        const predecessor = getSelectedPredecessor('nftPredecessorSelect');
+
+        // Generate salt if not provided
+        let salt;
+        if (saltInput) {
+            salt = ethers.utils.formatBytes32String(saltInput);
+        } else {
+            salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        }
+
+        // Get delay
+        let delay;
+        if (delayInput) {
+            delay = parseInt(delayInput);
+        } else {
+            const minDelay = await contract.getMinDelay();
+            delay = minDelay.toNumber();
+        }
+
+        showProposalStatus('Preparing NFT transfer...', 'pending');
+        proposeNftButton.disabled = true;
+
+        // Dry-run the transfer from the vault and confirm with the result
+        const proceed = await confirmWithSimulation(
+            [{ target: call.target, value: valueWei, data: call.data }],
+            `${window.isInRecoveryMode ? 'Execute' : 'Propose'}: ${call.description}?`
+        );
+        if (!proceed) {
+            return;
+        }
+
+        const signer = getWalletSigner();
+        const contractWithSigner = contract.connect(signer);
+
+        let tx;
+        let operationHash = null;
+
+        if (window.isInRecoveryMode) {
+            // In recovery mode: use recoveryExecute for immediate execution
+            console.log('Recovery mode active - using recoveryExecute for NFT transfer with parameters:', {
+                target: call.target,
+                data: call.data
+            });
+
+            tx = await contractWithSigner.recoveryExecute(call.target, valueWei, call.data);
+
+            showProposalStatus('Recovery execute for NFT transfer submitted! Waiting for confirmation...', 'pending');
+        } else {
+            operationHash = await contract.hashOperation(call.target, valueWei, call.data, predecessor, salt);
+
+            console.log('Normal mode - using schedule for NFT transfer with parameters:', {
+                target: call.target,
+                data: call.data,
+                predecessor,
+                salt,
+                delay
+            });
+
+            tx = await contractWithSigner.schedule(call.target, valueWei, call.data, predecessor, salt, delay);
+
+            showProposalStatus('NFT transfer submitted! Waiting for confirmation...', 'pending');
+        }
+
+        const receipt = await tx.wait();
+
+        if (window.isInRecoveryMode) {
+            showProposalStatus(
+                `NFT transfer executed immediately via recoveryExecute!
+                Transaction Hash: ${receipt.transactionHash}
+                ${call.description}
+                No delay required in recovery mode.`,
+                'success'
+            );
+        } else {
+            showProposalStatus(
+                `NFT transfer proposed successfully!
+                Transaction Hash: ${receipt.transactionHash}
+                Operation Hash: ${operationHash}
+                ${call.description}
+                Ready for execution after delay period.`,
+                'success'
+            );
+        }
+
+        clearNftForm();
+
+        // Automatically refresh operations after successful proposal
+        setTimeout(() => {
+            loadScheduledOperations();
+        }, 1000);
+
+        // Auto-switch to operations tab after successful transaction
+        setTimeout(() => {
+            switchMainTab('operations');
+        }, 1500);
+    } catch (error) {
+        console.error('Error proposing NFT transfer:', error);
+
+        let errorMsg = window.isInRecoveryMode ?
+            'Failed to execute NFT transfer via recovery execute: ' :
+            'Failed to propose NFT transfer: ';
+
+        if (error.code === 4001) {
+            errorMsg += 'Transaction rejected by user.';
+        } else if (error.message.includes('AccessControl') || error.message.includes('CallerIsNotRecoverer')) {
+            if (window.isInRecoveryMode) {
+                errorMsg += 'You do not have the RECOVERER_ROLE required for recovery execute.';
+            } else {
+                errorMsg += 'You do not have the PROPOSER_ROLE required to propose transactions.';
+            }
+        } else if (error.message.includes('NotInRecoveryMode')) {
+            errorMsg += 'Recovery execute requires recovery mode to be active.';
+        } else if (error.message.includes('TimelockController: insufficient delay')) {
+            errorMsg += 'The specified delay is less than the minimum required delay.';
+        } else {
+            errorMsg += error.message;
+        }
+
+        showProposalStatus(errorMsg, 'error');
+    } finally {
+        proposeNftButton.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', initializeNftComposer);
@@ -0,0 +1,209 @@
+// operationFilters.js - Filters, search and pagination for the operations list
+// Filter state is kept in localStorage so the list looks the same after a reload.
+
+const OPERATION_FILTERS_STORAGE_KEY = 'timelock-vault-operation-filters';
+const OPERATIONS_PAGE_SIZE = 20;
+
+const DEFAULT_OPERATION_FILTERS = {
+    status: '',
+    type: '', // 'normal', 'recovery' or 'cancel-all'
+    target: '', // lowercased call target
+    token: '', // 'ETH' or lowercased token address moved by the operation
+    actor: '', // lowercased proposer, executor or canceller
+    search: '', // substring of the id, salt or a target
+    page: 1
+};
+
+let operationFilters = loadOperationFilters();
+let listedOperations = []; // { operation, targets, tokens, actors } for every loaded operation, newest first
+
+function loadOperationFilters() {
+    try {
+        return { ...DEFAULT_OPERATION_FILTERS, ...JSON.parse(localStorage.getItem(OPERATION_FILTERS_STORAGE_KEY) || '{}') };
+    } catch (error) {
+        console.error('Error loading operation filters:', error);
+        return { ...DEFAULT_OPERATION_FILTERS };
+    }
+}
+
+function saveOperationFilters() {
+    localStorage.setItem(OPERATION_FILTERS_STORAGE_KEY, JSON.stringify(operationFilters));
+}
+
+// Precompute what the filters match on, so paging and typing don't re-decode every operation
+function indexListedOperation(operation) {
+    const isSystem = operation.type === 'cancel-all';
+    return {
+        operation,
+        targets: isSystem ? [] : operation.calls.map(call => call.target.toLowerCase()),
+        tokens: isSystem ? [] : Array.from(estimateBalanceDeltas(operation.calls, window.CONFIG.CONTRACT_ADDRESS).keys()),
+        actors: getOperationActors(operation).map(actor => actor.address.toLowerCase())
+    };
+}
+
+function matchesOperationFilters(entry, filters) {
+    const { operation } = entry;
+
+    if (filters.status && operation.status !== filters.status) {
+        return false;
+    }
+    if (filters.type && (operation.type || 'normal') !== filters.type) {
+        return false;
+    }
+    if (filters.target && !entry.targets.includes(filters.target)) {
+        return false;
+    }
+    if (filters.token && !entry.tokens.includes(filters.token)) {
+        return false;
+    }
+    if (filters.actor && !entry.actors.includes(filters.actor)) {
+        return false;
+    }
+    if (filters.search) {
+        const query = filters.search.trim().toLowerCase();
+        const fields = [operation.id, operation.salt, ...entry.targets];
+        if (!fields.some(field => typeof field === 'string' && field.toLowerCase().includes(query))) {
+            return false;
+        }
+    }
+    return true;
+}
+
+function getTokenLabel(key) {
+    if (key === 'ETH') {
+        return 'ETH';
+    }
+    const token = window.CONFIG.SUPPORTED_TOKENS.find(supported => supported.address.toLowerCase() === key);
+    return token ? `${token.symbol} (${formatAddress(key)})` : formatAddress(key);
+}
+
+// Replace a filter dropdown's options, keeping the selection when it's still offered
+function fillOperationFilterSelect(id, allLabel, options, filterName) {
+    const select = document.getElementById(id);
+    select.innerHTML = `<option value="">${allLabel}</option>` + options.map(({ value, label }) =>
+        `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`
+    ).join('');
+
+    if (operationFilters[filterName] && !options.some(option => option.value === operationFilters[filterName])) {
+        operationFilters[filterName] = '';
+    }
+    select.value = operationFilters[filterName];
+}
+
+// Targets, tokens and actors offered by the dropdowns come from the loaded operations
+function updateOperationFilterOptions() {
+    const targets = new Set();
+    const tokens = new Set();
+    const actorRoles = new Map();
+
+    for (const entry of listedOperations) {
+        entry.targets.forEach(target => targets.add(target));
+        entry.tokens.forEach(token => tokens.add(token));
+        for (const actor of getOperationActors(entry.operation)) {
+            const key = actor.address.toLowerCase();
+            if (!actorRoles.has(key)) {
+                actorRoles.set(key, new Set());
+            }
+            actorRoles.get(key).add(actor.role);
+        }
+    }
+
+    fillOperationFilterSelect('operationTargetFilter', 'All targets',
+        Array.from(targets).map(target => ({ value: target, label: getTokenLabel(target) })), 'target');
+    fillOperationFilterSelect('operationTokenFilter', 'All assets',
+        Array.from(tokens).map(token => ({ value: token, label: getTokenLabel(token) })), 'token');
+    fillOperationFilterSelect('operationActorFilter', 'All actors',
+        Array.from(actorRoles).map(([actor, roles]) => ({ value: actor, label: `${formatAddress(actor)} (${Array.from(roles).join(', ')})` })), 'actor');
+
+    document.getElementById('operationStatusFilter').value = operationFilters.status;
+    document.getElementById('operationTypeFilter').value = operationFilters.type;
+    document.getElementById('operationSearch').value = operationFilters.search;
+}
+
+// Called by loadScheduledOperations with every operation, newest first
+function renderOperationsList(operations) {
+    listedOperations = operations.map(indexListedOperation);
+    updateOperationFilterOptions();
+    renderOperationsPage();
+}
+
+// Render the current page of operations that match the filters
+function renderOperationsPage() {
+    const matching = listedOperations.filter(entry => matchesOperationFilters(entry, operationFilters));
+    const pageCount = Math.max(1, Math.ceil(matching.length / OPERATIONS_PAGE_SIZE));
+    operationFilters.page = Math.min(Math.max(1, operationFilters.page), pageCount);
+
+    const start = (operationFilters.page - 1) * OPERATIONS_PAGE_SIZE;
+    const pageEntries = matching.slice(start, start + OPERATIONS_PAGE_SIZE);
+
+    operationsList.innerHTML = '';
+    pageEntries.forEach(entry => operationsList.appendChild(createOperationElement(entry.operation)));
+    if (matching.length === 0) {
+        operationsList.innerHTML = '<div class="no-operations">No operations match the current filters.</div>';
+    }
+
+    const filtered = matching.length !== listedOperations.length;
+    document.getElementById('operationFilterSummary').textContent = matching.length === 0 ? '' :
+        `Showing ${start + 1}-${start + pageEntries.length} of ${matching.length}${filtered ? ` matching (${listedOperations.length} total)` : ''}`;
+    document.getElementById('operationsPageInfo').textContent = `Page ${operationFilters.page} of ${pageCount}`;
+    document.getElementById('operationsPrevPage').disabled = operationFilters.page <= 1;
+    document.getElementById('operationsNextPage').disabled = operationFilters.page >= pageCount;
+    document.getElementById('operationsPagination').style.display = pageCount > 1 ? 'flex' : 'none';
+    document.getElementById('resetOperationFilters').style.display = hasActiveOperationFilters() ? 'inline-block' : 'none';
+}
+
+function hasActiveOperationFilters() {
+    return ['status', 'type', 'target', 'token', 'actor', 'search'].some(name => operationFilters[name]);
+}
+
+function setOperationFilter(name, value) {
+    operationFilters[name] = value;
+    operationFilters.page = 1;
+    saveOperationFilters();
+    renderOperationsPage();
+}
+
+window.setOperationFilter = setOperationFilter;
+
+function resetOperationFilters() {
+    operationFilters = { ...DEFAULT_OPERATION_FILTERS };
+    saveOperationFilters();
+    updateOperationFilterOptions();
+    renderOperationsPage();
+}
+
+window.resetOperationFilters = resetOperationFilters;
+
+function changeOperationsPage(delta) {
+    operationFilters.page += delta;
+    saveOperationFilters();
+    renderOperationsPage();
+    operationsList.scrollTop = 0;
+}
+
+window.changeOperationsPage = changeOperationsPage;
+
+// Make sure an operation's card is rendered (for links and dependency jumps): clear filters that hide it
+// and move to its page. Returns false when the operation isn't in the list at all.
+function revealOperation(operationId) {
+    const id = operationId.toLowerCase();
+    const isTarget = entry => entry.operation.id.toLowerCase() === id;
+    if (!listedOperations.some(isTarget)) {
+        return false;
+    }
+
+    let matching = listedOperations.filter(entry => matchesOperationFilters(entry, operationFilters));
+    if (!matching.some(isTarget)) {
+        operationFilters = { ...DEFAULT_OPERATION_FILTERS };
+        updateOperationFilterOptions();
+        matching = listedOperations;
+    }
+
+    const page = Math.floor(matching.findIndex(isTarget) / OPERATIONS_PAGE_SIZE) + 1;
+    if (page !== operationFilters.page || !document.getElementById(`operation-${operationId}`)) {
+        operationFilters.page = page;
+        renderOperationsPage();
+    }
+    saveOperationFilters();
+    return true;
+}
@@ -0,0 +1,182 @@
+// router.js - Hash routes for shareable links to tabs, vaults and operations
+//
+//   #/<tab>                                   open a tab
+//   #/vault/<chainId>/<address>[/<tab>]       open a vault (switching the wallet's network if needed)
+//   #/vault/<chainId>/<address>/op/<id>       open a vault's operations tab and highlight one operation
+
+const ROUTE_TABS = ['dashboard', 'newTxn', 'operations', 'roleManagement', 'recoveryToggle', 'alerts', 'vaults', 'deploy'];
+
+let routedChainId = null; // Chain of the vault named in the link (null when the link has no vault)
+let connectedChainId = null; // Chain the wallet is on, kept for building routes without awaiting the provider
+let routedOperationId = null; // Operation to highlight once the operations list has rendered
+
+function parseRoute(hash) {
+    const parts = hash.replace(/^#\/?/, '').split('/').filter(Boolean).map(decodeURIComponent);
+
+    if (parts[0] === 'vault') {
+        const chainId = parseInt(parts[1], 10);
+        const address = parts[2];
+        if (!chainId || !address || !ethers.utils.isAddress(address)) {
+            return null;
+        }
+
+        const route = { chainId, address: ethers.utils.getAddress(address), tab: 'dashboard', operationId: null };
+        if (parts[3] === 'op' && /^0x[0-9a-fA-F]{64}$/.test(parts[4] || '')) {
+            route.tab = 'operations';
+            route.operationId = parts[4].toLowerCase();
+        } else if (ROUTE_TABS.includes(parts[3])) {
+            route.tab = parts[3];
+        }
+        return route;
+    }
+
+    if (ROUTE_TABS.includes(parts[0])) {
+        return { chainId: null, address: null, tab: parts[0], operationId: null };
+    }
+    return null;
+}
+
+function buildRoute({ chainId, address, tab, operationId }) {
+    if (!chainId || !address) {
+        return `#/${tab}`;
+    }
+
+    const base = `#/vault/${chainId}/${ethers.utils.getAddress(address)}`;
+    if (operationId) {
+        return `${base}/op/${operationId}`;
+    }
+    return tab && tab !== 'dashboard' ? `${base}/${tab}` : base;
+}
+
+function getCurrentRoute() {
+    return parseRoute(window.location.hash);
+}
+
+// Full URL for a route, keeping query parameters such as watch-only ?rpc=
+function buildRouteUrl(route) {
+    const url = new URL(window.location.href);
+    url.hash = buildRoute(route);
+    return url.toString();
+}
+
+// A vault in the link overrides the saved one for this visit (without replacing it)
+function applyRouteVault() {
+    const route = getCurrentRoute();
+    if (!route) {
+        return;
+    }
+
+    routedOperationId = route.operationId;
+    if (route.address) {
+        routedChainId = route.chainId;
+        window.CONFIG.CONTRACT_ADDRESS = route.address;
+        console.log(`Using vault ${route.address} on chain ${route.chainId} from URL`);
+    }
+}
+
+// Called once the wallet is connected. Returns false when the link's vault can't be opened on this chain:
+// either the wallet was asked to switch (the page reloads on chainChanged) or the saved vault is used instead.
+async function applyRouteChain(chainId) {
+    connectedChainId = chainId;
+    if (!routedChainId || routedChainId === chainId) {
+        syncRouteWithTab(localStorage.getItem('currentTab') || 'dashboard');
+        return true;
+    }
+
+    if (await requestWalletNetwork(routedChainId)) {
+        return false;
+    }
+
+    const chainName = getCurrentChainInfo(routedChainId).name;
+    showError(`This link points to a vault on ${chainName}. Switch your wallet to ${chainName} to open it.`);
+    routedChainId = null;
+    routedOperationId = null;
+    window.CONFIG.CONTRACT_ADDRESS = localStorage.getItem(CONTRACT_ADDRESS_STORAGE_KEY) || '';
+    updateContractAddressDisplay();
+    syncRouteWithTab(localStorage.getItem('currentTab') || 'dashboard');
+    return true;
+}
+
+// Tab named in the URL, falling back to the last tab used
+function getInitialTab() {
+    const route = getCurrentRoute();
+    return route ? route.tab : localStorage.getItem('currentTab');
+}
+
+// Rewrite the hash for the active tab and vault without adding a history entry
+function syncRouteWithTab(tab) {
+    const current = getCurrentRoute();
+    const operationId = tab === 'operations' && current && current.operationId ? current.operationId : null;
+    const route = buildRoute({
+        chainId: connectedChainId || routedChainId,
+        address: window.CONFIG.CONTRACT_ADDRESS,
+        tab,
+        operationId
+    });
+
+    if (window.location.hash !== route) {
+        history.replaceState(null, '', route);
+    }
+}
+
+// Highlight the linked operation once its card exists
+function highlightRoutedOperation() {
+    if (!routedOperationId) {
+        return;
+    }
+
+    revealOperation(routedOperationId);
+    const element = document.getElementById(`operation-${routedOperationId}`);
+    if (!element) {
+        showError(`Operation ${formatAddress(routedOperationId)} from the link was not found in this vault.`);
+        routedOperationId = null;
+        return;
+    }
+
+    document.querySelectorAll('.operation-linked').forEach(item => item.classList.remove('operation-linked'));
+    element.classList.add('operation-linked');
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    routedOperationId = null;
+}
+
+async function copyOperationLink(operationId) {
+    const link = buildRouteUrl({
+        chainId: connectedChainId,
+        address: window.CONFIG.CONTRACT_ADDRESS,
+        tab: 'operations',
+        operationId
+    });
+
+    try {
+        await navigator.clipboard.writeText(link);
+        alert('Operation link copied to clipboard:\n\n' + link);
+    } catch (error) {
+        prompt('Copy this operation link:', link);
+    }
+}
+
+window.copyOperationLink = copyOperationLink;
+
+// Links pasted into the address bar of an open page: other vaults reload, the rest just navigates
+function handleRouteChange() {
+    const route = getCurrentRoute();
+    if (!route) {
+        return;
+    }
+
+    const activeAddress = (window.CONFIG.CONTRACT_ADDRESS || '').toLowerCase();
+    const otherVault = route.address &&
+        (route.address.toLowerCase() !== activeAddress || (connectedChainId && route.chainId !== connectedChainId));
+    if (otherVault) {
+        location.reload();
+        return;
+    }
+
+    routedOperationId = route.operationId;
+    switchMainTab(route.tab);
+    if (contract && lastEventsHash !== null) {
+        highlightRoutedOperation(); // Otherwise the operations list highlights it once loaded
+    }
+}
+
+window.addEventListener('hashchange', handleRouteChange);
@@ -57,6 +57,8 @@ let contract;
 let currentUserAddress = null; // Track current connected user
 let autoRefreshInterval = null;
 let balanceRefreshInterval = null;
+let recoveryModeRefreshInterval = null;
+let unsubscribeWalletEvents = null;
 let isInRecoveryMode = false; // Track recovery mode status
 
 // LocalStorage key for contract address
@@ -79,6 +81,53 @@ function saveContractAddressToStorage(address) {
     }
 }
 
+// A vault address in a watch link overrides the saved one for this visit (without replacing it)
+function applyWatchVaultParam() {
+    const { vault } = getWatchParams();
+    if (vault) {
+        window.CONFIG.CONTRACT_ADDRESS = vault;
+        console.log('Using vault address from URL:', vault);
+    }
+}
+
+// Watch-only mode: no signer, so mutating buttons and the New Txn / Deploy tabs are hidden
+function setWatchOnlyMode(enabled) {
+    document.body.classList.toggle('watch-only', enabled);
+    
+    const currentTab = localStorage.getItem('currentTab');
+    if (enabled && (currentTab === 'newTxn' || currentTab === 'deploy')) {
+        switchMainTab('dashboard');
+    }
+
+}
+
+// Copy a watch-only link for the current vault to share with auditors and teammates
+async function copyWatchLink() {
+    if (!window.CONFIG.CONTRACT_ADDRESS) {
+        alert('Set a contract address first.');
+        return;
+    }
+    
+    const rpcUrl = prompt('Public JSON-RPC URL viewers should read the vault from:', localStorage.getItem(READONLY_RPC_STORAGE_KEY) || '');
+    if (!rpcUrl) {
+        return;
+    }
+    if (!isHttpRpcUrl(rpcUrl.trim())) {
+        alert('Watch links need an http:// or https:// RPC URL.');
+        return;
+    }
+    
+    const link = buildWatchLink(rpcUrl.trim(), window.CONFIG.CONTRACT_ADDRESS);
+    try {
+        await navigator.clipboard.writeText(link);
+        alert('Watch-only link copied to clipboard:\n\n' + link);
+    } catch (error) {
+        prompt('Copy this watch-only link:', link);
+    }
+}
+
+window.copyWatchLink = copyWatchLink;
+
 // Update contract address display based on current state
 function updateContractAddressDisplay() {
     const contractAddressElement = document.getElementById('contractAddress');
@@ -103,6 +152,15 @@ let allRecoveryExecutionEvents = [];
 let allAllOperationsCancelledEvents = [];
 let lastEventsHash = null;
 let lastOperationStatesHash = null;
+let lastBalancesHash = null;
+const vaultBalances = new Map(); // 'ETH' or lowercased token address -> latest vault balance (BigNumber)
+let activeEventCacheKey = null; // chainId:address the accumulated events belong to
+const vaultDeploymentBlocks = {}; // event cache key -> promise of the vault's deployment block
+let allRoleGrantedEvents = [];
+let allRoleRevokedEvents = [];
+let vaultEventsSyncing = null; // in-flight syncVaultEvents() promise shared by concurrent callers
+let lastVaultEventsSyncAt = 0;
+let chainLookups = null; // cached block timestamps and transaction senders for the connected chain (see history.js)
 
 // DOM elements
 const connectButton = document.getElementById('connectWallet');
@@ -122,8 +180,12 @@ const noOperations = document.getElementById('noOperations');
 // Tab elements
 const rawTransactionTab = document.getElementById('rawTransactionTab');
 const tokenTransferTab = document.getElementById('tokenTransferTab');
+const batchTransactionTab = document.getElementById('batchTransactionTab');
+const nftTransferTab = document.getElementById('nftTransferTab');
 const rawTransactionPanel = document.getElementById('rawTransactionPanel');
 const tokenTransferPanel = document.getElementById('tokenTransferPanel');
+const batchTransactionPanel = document.getElementById('batchTransactionPanel');
+const nftTransferPanel = document.getElementById('nftTransferPanel');
 
 // Token transfer elements
 const tokenAddress = document.getElementById('tokenAddress');
@@ -140,75 +202,65 @@ const tokenAmountHelp = document.getElementById('tokenAmountHelp');
 // Recovery trigger button
 const recoveryTriggerButton = document.getElementById('triggerRecovery');
 
-// Check if wallet is available on page load
+// Discover wallets on page load and silently reconnect the last one used
 async function checkWallet() {
-    console.log('Checking wallet...', typeof window.ethereum);
+    console.log('Checking wallet...');
     
     // Restore cached tab first
     restoreCachedTab();
     
-    if (typeof window.ethereum !== 'undefined') {
-        console.log('MetaMask detected');
-        connectionStatus.classList.remove('loading');
-        connectionStatus.textContent = 'Wallet detected - Click to connect';
-        connectButton.textContent = 'Connect Wallet';
-        
-        // Remove any existing event listeners to avoid duplicates
-        connectButton.removeEventListener('click', openMetaMaskInstall);
-        
-        // Check if already connected
+    const connectors = await discoverWallets();
+    console.log('Available wallets:', connectors.map(connector => connector.name));
+    
+    connectionStatus.classList.remove('loading');
+    if (provider) {
+        return; // Already connected by an earlier check
+    }
+    
+    // Watch links (?rpc=...&vault=...) open the vault read-only, without a wallet
+    const { rpcUrl } = getWatchParams();
+    if (rpcUrl) {
+        await connectWallet('readonly', { rpcUrl, remember: false });
+        return;
+    }
+    connectionStatus.textContent = hasBrowserWallet() ?
+        'Wallet detected - Click to connect' :
+        'No wallet detected - Connect read-only or install MetaMask';
+    connectButton.textContent = 'Connect Wallet';
+    
+    // Reconnect to the wallet used last time, without prompting
+    const savedWalletId = getSavedWalletId();
+    if (savedWalletId && getWalletConnector(savedWalletId)) {
         try {
-            const accounts = await window.ethereum.request({ method: 'eth_accounts' });
-            if (accounts.length > 0) {
-                console.log('Already connected to accounts:', accounts);
-                // Already connected - connect with current account
-                await connectWallet();
-            }
+            await connectWallet(savedWalletId, { silent: true });
         } catch (error) {
             console.log('Error checking existing connection:', error);
         }
-    } else {
-        console.log('MetaMask not detected');
-        connectionStatus.classList.remove('loading');
-        connectionStatus.textContent = 'No wallet detected - Please install MetaMask';
-        connectButton.textContent = 'Install MetaMask';
-        
-        // Remove the connect wallet listener and add install listener
-        connectButton.removeEventListener('click', connectWallet);
-        connectButton.addEventListener('click', openMetaMaskInstall);
     }
 }
 
-// Function to open MetaMask install page
-function openMetaMaskInstall() {
-    window.open(window.CONFIG.UI_CONFIG.METAMASK_INSTALL_URL, '_blank');
-}
+// Connect wallet function. Without a wallet id, opens the wallet picker
+async function connectWallet(walletId, { silent = false, rpcUrl = null, remember = true } = {}) {
+    if (typeof walletId !== 'string') {
+        showWalletPicker();
+        return;
+    }
+    if (silent && provider) {
+        return;
+    }
 
-// Connect wallet function
-async function connectWallet() {
     try {
         // First make sure ethers is loaded
         await waitForEthers();
-        
-        if (typeof window.ethereum === 'undefined') {
-            showError('MetaMask is not installed. Please install MetaMask to use this interface.');
-            return;
-        }
 
-        // Request account access
-        const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
-        
-        if (accounts.length === 0) {
-            showError('No accounts found. Please make sure MetaMask is unlocked.');
-            return;
+        const connection = await connectWalletConnector(walletId, { silent, rpcUrl, remember });
+        if (!connection.provider) {
+            return; // Silent reconnect needs the user to approve first
         }
 
-        provider = new ethers.providers.Web3Provider(window.ethereum);
-        const signer = provider.getSigner();
-        const userAddress = await signer.getAddress();
-        currentUserAddress = userAddress; // Store current user address
-        console.log('userAddress', userAddress);
-        console.log('accounts', accounts);
+        provider = connection.provider;
+        currentUserAddress = connection.address; // Store current user address (null when read-only)
+        console.log('userAddress', currentUserAddress);
         
         // Get current chain and update tokens
         const network = await provider.getNetwork();
@@ -218,6 +270,24 @@ async function connectWallet() {
         // Update tokens for current chain
         window.CONFIG.updateTokensForChain(chainId);
         
+        // Without a signer every mutating control is hidden
+        setWatchOnlyMode(!canActiveWalletSign());
+        
+        // Listen for account and network changes, dropping the listeners of a previous connection
+        if (unsubscribeWalletEvents) {
+            unsubscribeWalletEvents();
+        }
+        unsubscribeWalletEvents = activeWalletConnector.subscribe({
+            onAccountsChanged: handleAccountsChanged,
+            onChainChanged: () => location.reload(),
+            onDisconnect: () => disconnectWallet()
+        });
+        
+        // A link to a vault on another chain asks the wallet to switch first
+        if (!(await applyRouteChain(chainId))) {
+            return;
+        }
+        
         // Check if contract address is set
         if (!window.CONFIG.CONTRACT_ADDRESS) {
             console.log('No contract address set, showing contract info section but not creating contract instance');
@@ -247,39 +317,6 @@ async function connectWallet() {
         // Update button states based on user roles
         await updateButtonStates();
         
-        // Listen for account changes
-        window.ethereum.on('accountsChanged', async (accounts) => {
-            if (accounts.length === 0) {
-                // User disconnected
-                disconnectWallet();
-            } else {
-                // User switched accounts - update to new account
-                console.log('Account changed to:', accounts[0]);
-                try {
-                    const signer = provider.getSigner();
-                    const newAddress = await signer.getAddress();
-                    currentUserAddress = newAddress; // Update current user address
-                    connectionStatus.classList.remove('loading');
-                    await updateConnectionStatus();
-                    
-                    // Reload contract data for new account
-                    await loadContractData();
-                    
-                    // Update button states for new account
-                    await updateButtonStates();
-                } catch (error) {
-                    console.error('Error handling account change:', error);
-                    // If we can't get the new account, disconnect
-                    disconnectWallet();
-                }
-            }
-        });
-        
-        // Listen for network changes
-        window.ethereum.on('chainChanged', () => {
-            location.reload();
-        });
-        
     } catch (error) {
         console.error('Connection error:', error);
         if (error.message.includes('ethers.js')) {
@@ -287,19 +324,48 @@ async function connectWallet() {
         } else if (error.code === 4001) {
             showError('Connection rejected by user.');
         } else if (error.code === -32002) {
-            showError('Connection request already pending. Please check MetaMask.');
+            showError('Connection request already pending. Please check your wallet.');
         } else {
             showError('Failed to connect wallet: ' + error.message);
         }
     }
 }
 
+// User switched or disconnected accounts in their wallet
+async function handleAccountsChanged(accounts) {
+    if (accounts.length === 0) {
+        // User disconnected
+        disconnectWallet();
+        return;
+    }
+
+    // User switched accounts - update to new account
+    console.log('Account changed to:', accounts[0]);
+    try {
+        const newAddress = await getWalletSigner().getAddress();
+        currentUserAddress = newAddress; // Update current user address
+        connectionStatus.classList.remove('loading');
+        await updateConnectionStatus();
+        
+        // Reload contract data for new account
+        await loadContractData();
+        
+        // Update button states for new account
+        await updateButtonStates();
+    } catch (error) {
+        console.error('Error handling account change:', error);
+        // If we can't get the new account, disconnect
+        disconnectWallet();
+    }
+}
+
 // Disconnect wallet function
 function disconnectWallet() {
     // Reset UI state
     provider = null;
     contract = null;
     currentUserAddress = null; // Clear current user address
+    connectedChainId = null;
     
     // Reset event data
     lastQueriedBlock = 0;
@@ -311,6 +377,12 @@ function disconnectWallet() {
     allAllOperationsCancelledEvents = [];
     lastEventsHash = null;
     lastOperationStatesHash = null;
+    lastBalancesHash = null;
+    vaultBalances.clear();
+    allRoleGrantedEvents = [];
+    allRoleRevokedEvents = [];
+    activeEventCacheKey = null;
+    chainLookups = null;
     
     // Reset role permissions
     window.userIsCanceller = false;
@@ -324,6 +396,7 @@ function disconnectWallet() {
     
     // Stop balance refresh
     stopBalanceRefresh();
+    stopRecoveryModeRefresh();
     
     // Hide pending indicator
     const pendingIndicator = document.getElementById('pendingIndicator');
@@ -331,6 +404,14 @@ function disconnectWallet() {
         pendingIndicator.style.display = 'none';
     }
     
+    // Clear the alert inbox until a vault is loaded again
+    renderAlerts();
+    renderVaultSwitcher();
+    updateTokenDiscoveryPanel();
+    resetAccountStatement();
+    resetBalanceHistory();
+    resetNftHoldings();
+    
     connectionStatus.classList.remove('loading');
     connectionStatus.textContent = 'Wallet detected - Click to connect';
     connectButton.style.display = 'inline-block';
@@ -340,16 +421,18 @@ function disconnectWallet() {
     contractInfo.style.display = 'none';
     
     // Remove event listeners to prevent memory leaks
-    if (window.ethereum && window.ethereum.removeAllListeners) {
-        window.ethereum.removeAllListeners('accountsChanged');
-        window.ethereum.removeAllListeners('chainChanged');
+    if (unsubscribeWalletEvents) {
+        unsubscribeWalletEvents();
+        unsubscribeWalletEvents = null;
     }
+    disconnectWalletConnector();
+    setWatchOnlyMode(false);
     
     console.log('Wallet disconnected');
 }
 
-// Connect wallet event listener
-connectButton.addEventListener('click', connectWallet);
+// Connect wallet event listener (opens the wallet picker)
+connectButton.addEventListener('click', () => connectWallet());
 
 // Disconnect wallet event listener
 disconnectButton.addEventListener('click', disconnectWallet);
@@ -363,6 +446,8 @@ refreshOperationsButton.addEventListener('click', loadScheduledOperations);
 // Tab switching event listeners
 rawTransactionTab.addEventListener('click', () => switchTab('raw'));
 tokenTransferTab.addEventListener('click', () => switchTab('token'));
+batchTransactionTab.addEventListener('click', () => switchTab('batch'));
+nftTransferTab.addEventListener('click', () => switchTab('nft'));
 
 // Token transfer event listeners
 tokenAddress.addEventListener('input', handleTokenAddressChange);
@@ -408,17 +493,21 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Tab switching functionality
 function switchTab(tabType) {
-    if (tabType === 'raw') {
-        rawTransactionTab.classList.add('active');
-        tokenTransferTab.classList.remove('active');
-        rawTransactionPanel.classList.add('active');
-        tokenTransferPanel.classList.remove('active');
-    } else if (tabType === 'token') {
-        rawTransactionTab.classList.remove('active');
-        tokenTransferTab.classList.add('active');
-        rawTransactionPanel.classList.remove('active');
-        tokenTransferPanel.classList.add('active');
+    const tabs = {
+        raw: [rawTransactionTab, rawTransactionPanel],
+        token: [tokenTransferTab, tokenTransferPanel],
+        batch: [batchTransactionTab, batchTransactionPanel],
+        nft: [nftTransferTab, nftTransferPanel]
+    };
+
+    if (!tabs[tabType]) {
+        return;
     }
+
+    Object.entries(tabs).forEach(([type, [tab, panel]]) => {
+        tab.classList.toggle('active', type === tabType);
+        panel.classList.toggle('active', type === tabType);
+    });
 }
 
 // Main tab switching functionality
@@ -454,6 +543,13 @@ function switchMainTab(tabType) {
         } else if (tabType === 'recoveryToggle') {
             targetTab = document.getElementById('recoveryToggleTab');
             targetSection = document.getElementById('recoveryToggleSection');
+        } else if (tabType === 'alerts') {
+            targetTab = document.getElementById('alertsTab');
+            targetSection = document.getElementById('alertsSection');
+        } else if (tabType === 'vaults') {
+            targetTab = document.getElementById('vaultsTab');
+            targetSection = document.getElementById('vaultsSection');
+            renderVaultOverview();
         } else if (tabType === 'deploy') {
             targetTab = document.getElementById('deployTab');
             targetSection = document.getElementById('deploySection');
@@ -465,8 +561,9 @@ function switchMainTab(tabType) {
             targetTab.classList.add('active');
             targetSection.classList.add('active');
             
-            // Cache the current tab in localStorage
+            // Cache the current tab in localStorage and mirror it in the URL
             localStorage.setItem('currentTab', tabType);
+            syncRouteWithTab(tabType);
             
             console.log('Successfully switched to', tabType);
         } else {
@@ -480,7 +577,7 @@ function switchMainTab(tabType) {
 
 // Restore cached tab on page load
 function restoreCachedTab() {
-    const cachedTab = localStorage.getItem('currentTab');
+    const cachedTab = getInitialTab();
     if (cachedTab) {
         console.log('Restoring cached tab:', cachedTab);
         switchMainTab(cachedTab);
@@ -513,6 +610,13 @@ async function editContractAddress() {
         return;
     }
     
+    await switchContractAddress(newAddress);
+}
+
+// Validate and load another vault address (from the address prompt or the vault switcher)
+async function switchContractAddress(newAddress) {
+    const currentAddress = window.CONFIG.CONTRACT_ADDRESS;
+    
     try {
         // Show loading state
         document.getElementById('contractAddress').textContent = 'Validating...';
@@ -531,21 +635,21 @@ async function editContractAddress() {
         saveContractAddressToStorage(newAddress);
         document.getElementById('contractAddress').textContent = 'Updating...';
         
-        // If connected, reconnect with new contract
-        if (contract) {
-            contract = new ethers.Contract(newAddress, window.CONFIG.CONTRACT_ABI, provider);
-            
-            // Reload all contract data
-            await loadContractData();
-            
-            // Update button states for new contract
-            await updateButtonStates();
-            
-            console.log('Successfully switched to new contract:', newAddress);
-        } else {
-            // Just update the display if not connected
-            document.getElementById('contractAddress').textContent = newAddress;
-        }
+        // Reconnect with the new contract (also when no vault was loaded before)
+        contract = new ethers.Contract(newAddress, window.CONFIG.CONTRACT_ABI, provider);
+        resetAccountStatement();
+        resetBalanceHistory();
+        resetNftHoldings();
+        
+        // Reload all contract data
+        await loadContractData();
+        
+        // Update button states for new contract
+        await updateButtonStates();
+        
+        syncRouteWithTab(localStorage.getItem('currentTab') || 'dashboard');
+        
+        console.log('Successfully switched to new contract:', newAddress);
         
     } catch (error) {
         console.error('Error switching contract address:', error);
@@ -623,6 +727,7 @@ function initializeTokenList() {
         option.textContent = `${token.name} (${token.address.slice(0, 6)}...${token.address.slice(-4)})`;
         tokenSelect.appendChild(option);
     });
+    populateBatchTokenSelect();
 }
 
 // Token address handling
@@ -839,6 +944,11 @@ async function addNewToken() {
         
         const tokenInfo = await validateTokenContract(address);
         
+        // The name and symbol come from the contract and end up in HTML: apply the token list rules
+        if (!isValidTokenName(tokenInfo.name) || !isValidTokenSymbol(tokenInfo.symbol)) {
+            throw new Error('Token name or symbol contains unsupported characters - import it through a token list to set your own');
+        }
+        
         // Get current chain ID
         const chainId = provider ? parseInt(await provider.getNetwork().then(n => n.chainId)) : 31337;
         
@@ -892,8 +1002,8 @@ async function removeToken(tokenIndex) {
         const confirmed = confirm(`Remove ${token.symbol} (${token.name}) from the token list for ${window.CONFIG.getCurrentChainInfo(chainId).name}?`);
         if (!confirmed) return;
         
-        // Use the new multi-chain remove function
-        const removedToken = window.CONFIG.removeTokenFromCurrentChain(chainId, tokenIndex);
+        // Built-in tokens are hidden, custom tokens deleted
+        const removedToken = window.CONFIG.removeTokenFromCurrentChain(chainId, token.address);
         
         if (removedToken) {
             showAddTokenStatus(`Removed ${removedToken.symbol} from ${window.CONFIG.getCurrentChainInfo(chainId).shortName}`, 'success');
@@ -971,7 +1081,7 @@ async function proposeTokenTransfer() {
 
         // Set up transaction parameters
         const valueWei = ethers.BigNumber.from(0); // No ETH value for token transfer
-        const predecessor = ethers.constants.HashZero;
+        const predecessor = getSelectedPredecessor('tokenPredecessorSelect');
         
         // Generate salt if not provided
         let salt;
@@ -994,8 +1104,17 @@ async function proposeTokenTransfer() {
         showProposalStatus('Preparing token transfer...', 'pending');
         proposeTokenTransferButton.disabled = true;
 
+        // Dry-run the transfer from the vault and confirm with the result
+        const proceed = await confirmWithSimulation(
+            [{ target: tokenAddr, value: valueWei, data: transferCalldata }],
+            `${window.isInRecoveryMode ? 'Execute' : 'Propose'} transfer of ${amount} ${symbol} to ${toAddress}?`
+        );
+        if (!proceed) {
+            return;
+        }
+
         // Get the signer for the transaction
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
 
         // Generate operation hash for reference
@@ -1078,6 +1197,7 @@ async function proposeTokenTransfer() {
         tokenAmount.value = '';
         tokenSalt.value = '';
         tokenDelay.value = '';
+        document.getElementById('tokenPredecessorSelect').value = '';
         disableTokenFields();
         tokenInfo.style.display = 'none';
         tokenAmountHelp.style.display = 'none';
@@ -1149,6 +1269,9 @@ async function handleRecoveryModeUI(isRecoveryMode) {
     // Track recovery mode status globally
     window.isInRecoveryMode = isRecoveryMode;
     
+    // Alert when recovery mode changed since the last check
+    await recordRecoveryModeAlert(isRecoveryMode);
+    
     // Update mode indicators and explanations across all tabs
     const recoveryModeIndicator = document.getElementById('recoveryModeIndicator');
     const newTxnModeHeader = document.getElementById('newTxnModeHeader');
@@ -1164,6 +1287,8 @@ async function handleRecoveryModeUI(isRecoveryMode) {
     // Update transaction button text based on recovery mode
     const proposeButton = document.getElementById('proposeTransaction');
     const proposeTokenTransferButton = document.getElementById('proposeTokenTransfer');
+    const proposeBatchButton = document.getElementById('proposeBatch');
+    const proposeNftButton = document.getElementById('proposeNftTransfer');
     
     if (isRecoveryMode) {
         // Show global recovery mode indicator above navbar
@@ -1188,6 +1313,8 @@ async function handleRecoveryModeUI(isRecoveryMode) {
         // Update button text to "Execute" in recovery mode
         if (proposeButton) proposeButton.textContent = 'Execute Transaction';
         if (proposeTokenTransferButton) proposeTokenTransferButton.textContent = 'Execute Token Transfer';
+        if (proposeBatchButton) proposeBatchButton.textContent = 'Execute Batch';
+        if (proposeNftButton) proposeNftButton.textContent = 'Execute NFT Transfer';
         
         // Load recovery mode role management
         await loadRoleManagement();
@@ -1217,6 +1344,8 @@ async function handleRecoveryModeUI(isRecoveryMode) {
         // Update button text to "Propose" in normal mode
         if (proposeButton) proposeButton.textContent = 'Propose Transaction';
         if (proposeTokenTransferButton) proposeTokenTransferButton.textContent = 'Propose Token Transfer';
+        if (proposeBatchButton) proposeBatchButton.textContent = 'Propose Batch';
+        if (proposeNftButton) proposeNftButton.textContent = 'Propose NFT Transfer';
         
         // Clear role management UI (will show view-only in normal mode)
         await loadRoleManagement();
@@ -1389,6 +1518,8 @@ async function loadContractData() {
         
         // Load contract basic info
         document.getElementById('contractAddress').textContent = window.CONFIG.CONTRACT_ADDRESS;
+        renderAlerts();
+        await registerActiveVault();
 
         const minDelay = await contract.getMinDelay();
         
@@ -1413,6 +1544,9 @@ async function loadContractData() {
         // Start auto-refresh for contract balance
         startBalanceRefresh();
         
+        // Watch for recovery mode being switched by someone else
+        startRecoveryModeRefresh();
+        
         // Role assignments moved to Role Management tab
         // await loadRoleMembers();
         
@@ -1431,6 +1565,7 @@ async function loadContractBalance() {
     try {
         // Load ETH balance
         const balance = await provider.getBalance(window.CONFIG.CONTRACT_ADDRESS);
+        vaultBalances.set('ETH', balance);
         const balanceEth = ethers.utils.formatEther(balance);
         document.getElementById('contractBalance').textContent = `${balanceEth} ETH`;
         
@@ -1448,6 +1583,8 @@ async function loadTokenBalances() {
         
         if (window.CONFIG.SUPPORTED_TOKENS.length === 0) {
             tokenBalancesElement.textContent = 'No tokens configured';
+            updateHiddenTokensButton();
+            updateTokenDiscoveryPanel();
             return;
         }
         
@@ -1455,6 +1592,7 @@ async function loadTokenBalances() {
             try {
                 const tokenContract = new ethers.Contract(token.address, window.CONFIG.ERC20_ABI, provider);
                 const balance = await tokenContract.balanceOf(window.CONFIG.CONTRACT_ADDRESS);
+                vaultBalances.set(token.address.toLowerCase(), balance);
                 const formattedBalance = ethers.utils.formatUnits(balance, token.decimals);
                 
                 // Format the balance to avoid showing too many decimal places
@@ -1469,8 +1607,7 @@ async function loadTokenBalances() {
                     name: token.name,
                     address: token.address,
                     balance: displayBalance,
-                    hasBalance: !balance.isZero(),
-                    isDynamic: index >= 3 // First 3 are hardcoded tokens
+                    hasBalance: !balance.isZero()
                 };
             } catch (error) {
                 console.error(`Error loading balance for ${token.symbol}:`, error);
@@ -1480,8 +1617,7 @@ async function loadTokenBalances() {
                     name: token.name,
                     address: token.address,
                     balance: 'Error',
-                    hasBalance: false,
-                    isDynamic: index >= 3
+                    hasBalance: false
                 };
             }
         });
@@ -1496,14 +1632,16 @@ async function loadTokenBalances() {
             const tokenElements = balances.map(tokenData => {
                 const removeButton = `<button class="remove-token-button" onclick="removeToken(${tokenData.index})">×</button>`;
                 
-                return `<div class="token-balance-item" title="${tokenData.name} (${tokenData.address})">
-                    <span class="token-balance">${tokenData.balance} ${tokenData.symbol}</span>
+                return `<div class="token-balance-item" title="${escapeHtml(tokenData.name)} (${tokenData.address})">
+                    <span class="token-balance">${tokenData.balance} ${escapeHtml(tokenData.symbol)}</span>
                     ${removeButton}
                 </div>`;
             });
             
             tokenBalancesElement.innerHTML = tokenElements.join('');
         }
+        updateHiddenTokensButton();
+        updateTokenDiscoveryPanel();
         
     } catch (error) {
         console.error('Failed to load token balances:', error);
@@ -1529,13 +1667,11 @@ async function loadRoleMembers() {
 
 async function getRoleMembersFromEvents(roleHash) {
     try {
-        // Get all RoleGranted events for this role
-        const grantedFilter = contract.filters.RoleGranted(roleHash, null, null);
-        const grantedEvents = await contract.queryFilter(grantedFilter, 0, 'latest');
+        await syncVaultEvents();
         
-        // Get all RoleRevoked events for this role  
-        const revokedFilter = contract.filters.RoleRevoked(roleHash, null, null);
-        const revokedEvents = await contract.queryFilter(revokedFilter, 0, 'latest');
+        // Get all RoleGranted/RoleRevoked events for this role
+        const grantedEvents = allRoleGrantedEvents.filter(event => event.args.role === roleHash);
+        const revokedEvents = allRoleRevokedEvents.filter(event => event.args.role === roleHash);
         
         // Build a map of current role holders
         const roleMembers = new Set();
@@ -1635,63 +1771,8 @@ async function loadScheduledOperations() {
         // Disable refresh button while loading
         refreshOperationsButton.disabled = true;
 
-        // Get current block number
-        const currentBlock = await provider.getBlockNumber();
-        
-        // Determine the starting block for queries
-        const fromBlock = lastQueriedBlock === 0 ? 0 : lastQueriedBlock + 1;
-        
-        console.log(`Querying events from block ${fromBlock} to ${currentBlock} (last queried: ${lastQueriedBlock})`);
-
-        // Only query new events since last update
-        if (fromBlock <= currentBlock) {
-            // Get new CallScheduled events
-            const scheduledFilter = contract.filters.CallScheduled();
-            const newScheduledEvents = await contract.queryFilter(scheduledFilter, fromBlock, currentBlock);
-            allScheduledEvents.push(...newScheduledEvents);
-
-            // Get new CallExecuted events
-            const executedFilter = contract.filters.CallExecuted();
-            const newExecutedEvents = await contract.queryFilter(executedFilter, fromBlock, currentBlock);
-            allExecutedEvents.push(...newExecutedEvents);
-
-            // Get new Cancelled events
-            const cancelledFilter = contract.filters.Cancelled();
-            const newCancelledEvents = await contract.queryFilter(cancelledFilter, fromBlock, currentBlock);
-            allCancelledEvents.push(...newCancelledEvents);
-
-            // Get new CallSalt events
-            const saltFilter = contract.filters.CallSalt();
-            const newSaltEvents = await contract.queryFilter(saltFilter, fromBlock, currentBlock);
-            allSaltEvents.push(...newSaltEvents);
-            
-            // Get new RecoveryExecution events
-            console.log('Querying RecoveryExecution events...');
-            const recoveryExecutionFilter = contract.filters.RecoveryExecution();
-            console.log('RecoveryExecution filter:', recoveryExecutionFilter);
-            
-            try {
-                const newRecoveryExecutionEvents = await contract.queryFilter(recoveryExecutionFilter, fromBlock, currentBlock);
-                console.log('Raw RecoveryExecution events found:', newRecoveryExecutionEvents.length);
-                console.log('RecoveryExecution events:', newRecoveryExecutionEvents);
-                
-                allRecoveryExecutionEvents.push(...newRecoveryExecutionEvents);
-                
-                // Get new AllOperationsCancelled events
-                const allOperationsCancelledFilter = contract.filters.AllOperationsCancelled();
-                const newAllOperationsCancelledEvents = await contract.queryFilter(allOperationsCancelledFilter, fromBlock, currentBlock);
-                console.log('Raw AllOperationsCancelled events found:', newAllOperationsCancelledEvents.length);
-                allAllOperationsCancelledEvents.push(...newAllOperationsCancelledEvents);
-                
-                console.warn(`Found new events: ${newScheduledEvents.length} scheduled, ${newExecutedEvents.length} executed, ${newCancelledEvents.length} cancelled, ${newSaltEvents.length} salt, ${newRecoveryExecutionEvents.length} recovery executions, ${newAllOperationsCancelledEvents.length} all operations cancelled`);
-            } catch (error) {
-                console.error('Error querying RecoveryExecution/AllOperationsCancelled events:', error);
-            } 
-            
-        }
-
-        // Update last queried block
-        lastQueriedBlock = currentBlock;
+        // Bring accumulated vault events up to date
+        await syncVaultEvents();
 
         // Create maps for quick lookup using all accumulated events
         const executedIds = new Set(allExecutedEvents.map(event => event.args.id));
@@ -1745,6 +1826,16 @@ async function loadScheduledOperations() {
             }
         }
 
+        // Fetch the current state of every operation that isn't final yet in one Multicall3 batch
+        const pendingIds = Array.from(operationsMap.keys()).filter(id => !cancelledIds.has(id) && !executedIds.has(id));
+
+        // Predecessors scheduled outside the indexed history (e.g. before a cancel-all) still need their state
+        const externalPredecessorIds = Array.from(new Set(Array.from(operationsMap.values())
+            .map(operation => operation.predecessor)
+            .filter(predecessor => predecessor !== ethers.constants.HashZero && !operationsMap.has(predecessor))));
+
+        const operationStates = await getOperationStates([...pendingIds, ...externalPredecessorIds]);
+
         // Convert to array and get current status for each operation
         const operations = [];
         for (const [operationId, operation] of operationsMap) {
@@ -1759,34 +1850,7 @@ async function loadScheduledOperations() {
                 statusClass = 'status-done';
             } else {
                 // Check current state from contract
-                try {
-                    const state = await contract.getOperationState(operationId);
-                    switch (state) {
-                        case 0: // Unset
-                            status = 'Cancelled';
-                            statusClass = 'status-unset';
-                            break;
-                        case 1: // Waiting
-                            status = 'Waiting';
-                            statusClass = 'status-waiting';
-                            break;
-                        case 2: // Ready
-                            status = 'Ready';
-                            statusClass = 'status-ready';
-                            break;
-                        case 3: // Done
-                            status = 'Executed';
-                            statusClass = 'status-done';
-                            break;
-                        default:
-                            status = 'Unknown';
-                            statusClass = 'status-unset';
-                    }
-                } catch (error) {
-                    console.error('Error getting operation state:', error);
-                    status = 'Unknown';
-                    statusClass = 'status-unset';
-                }
+                ({ status, statusClass } = describeOperationState(operationStates.get(operationId)));
             }
             
             operations.push({
@@ -1795,6 +1859,34 @@ async function loadScheduledOperations() {
                 statusClass
             });
         }
+
+        // Link each operation to its predecessor so dependent operations can't be executed early
+        const statusById = new Map(operations.map(operation => [operation.id, operation.status]));
+        for (const operation of operations) {
+            operation.dependents = operations
+                .filter(other => other.predecessor === operation.id)
+                .map(other => other.id);
+
+            if (operation.predecessor && operation.predecessor !== ethers.constants.HashZero) {
+                operation.predecessorStatus = statusById.get(operation.predecessor) ||
+                    describeOperationState(operationStates.get(operation.predecessor)).status;
+                operation.predecessorDone = operation.predecessorStatus === 'Executed';
+            }
+        }
+
+        // Pending operations can be picked as predecessors for new proposals
+        const pendingScheduledOperations = operations.filter(operation => operation.status === 'Waiting' || operation.status === 'Ready');
+        updatePredecessorOptions(pendingScheduledOperations);
+
+        // Balance effect panels need the vault's current balances
+        if (!vaultBalances.has('ETH')) {
+            await loadContractBalance();
+        }
+        computeOperationEffects(pendingScheduledOperations);
+
+        // Alert on new proposals, operations that became Ready and role changes
+        await recordOperationAlerts(operations);
+        await recordRoleAlerts(allRoleGrantedEvents, allRoleRevokedEvents);
         
         // Add recovery execution operations to the list
         console.log(`Processing ${allRecoveryExecutionEvents.length} recovery execution events`);
@@ -1870,6 +1962,9 @@ async function loadScheduledOperations() {
 
         console.log(`Total operations including recovery and cancel-all: ${operations.length}`);
         
+        // Who proposed, executed and cancelled each operation, and when
+        await resolveOperationActors(operations);
+        
         // Sort by block number (newest first)
         operations.sort((a, b) => b.blockNumber - a.blockNumber);
 
@@ -1878,13 +1973,18 @@ async function loadScheduledOperations() {
         const eventsChanged = lastEventsHash !== currentEventsHash;
         
         // Also check if operation states have changed (e.g., from Waiting to Ready)
-        const operationStatesHash = await generateOperationStatesHash(Array.from(operationsMap.keys()));
+        const operationStatesHash = generateOperationStatesHash(operationStates);
         const statesChanged = lastOperationStatesHash !== operationStatesHash;
         
-        if (eventsChanged || statesChanged) {
-            console.log(`UI update needed - Events changed: ${eventsChanged}, States changed: ${statesChanged}`);
+        // Balance effect panels depend on the vault's balances too
+        const balancesHash = Array.from(vaultBalances).map(([key, balance]) => `${key}:${balance.toString()}`).join(',');
+        const balancesChanged = lastBalancesHash !== balancesHash;
+        
+        if (eventsChanged || statesChanged || balancesChanged) {
+            console.log(`UI update needed - Events changed: ${eventsChanged}, States changed: ${statesChanged}, Balances changed: ${balancesChanged}`);
             lastEventsHash = currentEventsHash;
             lastOperationStatesHash = operationStatesHash;
+            lastBalancesHash = balancesHash;
             
             // Show loading state only when rebuilding UI
             operationsLoading.style.display = 'block';
@@ -1904,6 +2004,7 @@ async function loadScheduledOperations() {
         // Count pending operations (Waiting or Ready)
         const pendingOperations = operations.filter(op => op.status === 'Waiting' || op.status === 'Ready');
         const pendingCount = pendingOperations.length;
+        recordActiveVaultSnapshot(pendingOperations, window.isInRecoveryMode);
         
         // Update pending indicator in main toolbar
         const pendingIndicator = document.getElementById('pendingIndicator');
@@ -1943,12 +2044,9 @@ async function loadScheduledOperations() {
             // Stop auto-refresh if no operations
             stopAutoRefresh();
         } else {
-            operationsList.innerHTML = '';
-            operations.forEach(operation => {
-                const operationElement = createOperationElement(operation);
-                operationsList.appendChild(operationElement);
-            });
+            renderOperationsList(operations);
             operationsList.style.display = 'block';
+            highlightRoutedOperation();
             
             // Check if we need auto-refresh for waiting/ready operations
             const needsAutoRefresh = operations.some(op => op.status === 'Waiting' || op.status === 'Ready');
@@ -1970,9 +2068,231 @@ async function loadScheduledOperations() {
     }
 }
 
+// Work out how each pending operation changes the vault's ETH and token balances, and whether
+// the current balances can cover it - on its own and together with every other pending operation
+function computeOperationEffects(pendingOperations) {
+    const vaultAddress = window.CONFIG.CONTRACT_ADDRESS;
+    const pendingOutflows = new Map();
+
+    for (const operation of pendingOperations) {
+        operation.balanceDeltas = estimateBalanceDeltas(operation.calls, vaultAddress);
+        for (const [key, delta] of operation.balanceDeltas) {
+            if (delta.isNegative()) {
+                pendingOutflows.set(key, (pendingOutflows.get(key) || ethers.BigNumber.from(0)).add(delta));
+            }
+        }
+    }
+
+    for (const operation of pendingOperations) {
+        operation.effect = Array.from(operation.balanceDeltas).map(([key, delta]) => {
+            const token = key === 'ETH' ?
+                { symbol: 'ETH', decimals: 18 } :
+                window.CONFIG.SUPPORTED_TOKENS.find(supported => supported.address.toLowerCase() === key);
+            const balance = vaultBalances.has(key) ? vaultBalances.get(key) : null;
+            const after = balance ? balance.add(delta) : null;
+
+            return {
+                symbol: token ? token.symbol : formatAddress(key),
+                decimals: token ? token.decimals : 0,
+                tracked: !!token,
+                delta,
+                balance,
+                after,
+                insufficient: !!after && after.isNegative(),
+                insufficientWithPending: !!balance && delta.isNegative() && balance.add(pendingOutflows.get(key)).isNegative()
+            };
+        });
+    }
+}
+
+// Fill every predecessor dropdown with the currently pending operations, keeping the selection if it's still pending
+function updatePredecessorOptions(pendingOperations) {
+    document.querySelectorAll('.predecessor-select').forEach(select => {
+        const selected = select.value;
+        select.innerHTML = '<option value="">None - no ordering requirement</option>';
+
+        pendingOperations.forEach(operation => {
+            const option = document.createElement('option');
+            option.value = operation.id;
+            option.textContent = `${formatAddress(operation.id)} - ${analyzeTransactionType(operation.calls).displayName} (${operation.status})`;
+            select.appendChild(option);
+        });
+
+        if (pendingOperations.some(operation => operation.id === selected)) {
+            select.value = selected;
+        }
+    });
+}
+
+// Predecessor chosen in a propose form (zero hash when none)
+function getSelectedPredecessor(selectId) {
+    const select = document.getElementById(selectId);
+    return select && select.value ? select.value : ethers.constants.HashZero;
+}
+
+// Scroll to an operation card (used by the dependency links)
+function scrollToOperation(operationId) {
+    revealOperation(operationId);
+    const element = document.getElementById(`operation-${operationId}`);
+    if (element) {
+        element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        element.classList.add('operation-highlight');
+        setTimeout(() => element.classList.remove('operation-highlight'), 2000);
+    }
+}
+
+// Make function available globally
+window.scrollToOperation = scrollToOperation;
+
+// Block time and sender lookups for the connected chain, created on first use
+function getChainLookups() {
+    if (!chainLookups) {
+        chainLookups = createChainLookups(provider);
+    }
+    return chainLookups;
+}
+
+// Store the sender and block time on the events operations are built from, so they are saved in the
+// event cache and a reload doesn't look them up again. Failed lookups are retried on the next sync.
+async function annotateVaultEvents() {
+    const lookups = getChainLookups();
+    const events = [
+        ...allScheduledEvents,
+        ...allExecutedEvents,
+        ...allCancelledEvents,
+        ...allRecoveryExecutionEvents,
+        ...allAllOperationsCancelledEvents
+    ];
+
+    await Promise.all(events.map(async event => {
+        lookups.remember(event);
+        try {
+            if (event.from === undefined) {
+                event.from = await lookups.getSender(event.transactionHash);
+            }
+            if (event.timestamp === undefined) {
+                event.timestamp = await lookups.getTimestamp(event.blockNumber);
+            }
+        } catch (error) {
+            console.error(`Error looking up sender and time of ${event.transactionHash}:`, error);
+        }
+    }));
+}
+
+// Fill in the sender and block time of the transactions that proposed, executed and cancelled each operation.
+// Events are annotated while syncing, so this normally resolves from the lookup cache without hitting the RPC.
+async function resolveOperationActors(operations) {
+    const lookups = getChainLookups();
+    const executedById = indexEventsById(allExecutedEvents);
+    const cancelledById = indexEventsById(allCancelledEvents);
+
+    await Promise.all(operations.map(async operation => {
+        try {
+            if (operation.type === 'recovery') {
+                operation.executedAt = await lookups.getTimestamp(operation.blockNumber);
+                return;
+            }
+            if (operation.type === 'cancel-all') {
+                operation.cancelledAt = await lookups.getTimestamp(operation.blockNumber);
+                return;
+            }
+
+            operation.proposer = await lookups.getSender(operation.transactionHash);
+            operation.proposedAt = await lookups.getTimestamp(operation.blockNumber);
+
+            const executed = executedById.get(operation.id);
+            if (executed) {
+                operation.executor = await lookups.getSender(executed.transactionHash);
+                operation.executedAt = await lookups.getTimestamp(executed.blockNumber);
+                operation.executionTxHash = executed.transactionHash;
+            }
+
+            const cancelled = cancelledById.get(operation.id);
+            if (cancelled) {
+                operation.canceller = await lookups.getSender(cancelled.transactionHash);
+                operation.cancelledAt = await lookups.getTimestamp(cancelled.blockNumber);
+                operation.cancelTxHash = cancelled.transactionHash;
+            }
+        } catch (error) {
+            // Render the card without identities rather than failing the whole list
+            console.error(`Error resolving actors for operation ${operation.id}:`, error);
+        }
+    }));
+}
+
+// Everyone who acted on an operation, with the role they acted in
+function getOperationActors(operation) {
+    let actors;
+    if (operation.type === 'recovery') {
+        actors = [{ role: 'Recoverer', action: 'Executed', address: operation.executor, timestamp: operation.executedAt, transactionHash: operation.transactionHash }];
+    } else if (operation.type === 'cancel-all') {
+        actors = [{ role: 'Recoverer', action: 'Cancelled all', address: operation.executor, timestamp: operation.cancelledAt, transactionHash: operation.transactionHash }];
+    } else {
+        actors = [
+            { role: 'Proposer', action: 'Proposed', address: operation.proposer, timestamp: operation.proposedAt, transactionHash: operation.transactionHash },
+            { role: 'Executor', action: 'Executed', address: operation.executor, timestamp: operation.executedAt, transactionHash: operation.executionTxHash },
+            { role: 'Canceller', action: 'Cancelled', address: operation.canceller, timestamp: operation.cancelledAt, transactionHash: operation.cancelTxHash }
+        ];
+    }
+    return actors.filter(actor => actor.address);
+}
+
+// Actor rows for an operation card: who did what, in which role, and when
+function createActorsDisplay(operation) {
+    const actors = getOperationActors(operation);
+    if (actors.length === 0) {
+        return '';
+    }
+
+    const isCurrentUser = address => currentUserAddress && address.toLowerCase() === currentUserAddress.toLowerCase();
+    return `
+        <div class="operation-actors">
+            ${actors.map(actor => `
+                <div class="operation-actor">
+                    <span class="actor-role actor-role-${actor.role.toLowerCase()}">${actor.role}</span>
+                    <span class="actor-action">${actor.action} by</span>
+                    <span class="address-value" title="${actor.address}">${formatAddress(actor.address)}</span>
+                    ${isCurrentUser(actor.address) ? '<span class="actor-you">(you)</span>' : ''}
+                    <span class="actor-time" title="Transaction ${actor.transactionHash}">
+                        ${actor.timestamp ? new Date(actor.timestamp * 1000).toLocaleString() : ''}
+                    </span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Dependency notices for an operation card: what it waits for and what it unblocks
+function createDependencyDisplay(operation) {
+    let html = '';
+
+    if (operation.predecessorStatus) {
+        const blocked = !operation.predecessorDone;
+        html += `
+            <div class="dependency-notice ${blocked ? 'blocked' : 'satisfied'}">
+                ⛓️ Runs after
+                <span class="clickable-address" onclick="scrollToOperation('${operation.predecessor}')">${formatAddress(operation.predecessor)}</span>
+                <span class="dependency-status">${blocked ? `waiting - predecessor is ${operation.predecessorStatus}` : 'predecessor executed'}</span>
+            </div>
+        `;
+    }
+
+    if (operation.dependents && operation.dependents.length > 0) {
+        html += `
+            <div class="dependency-notice">
+                🔓 Unblocks
+                ${operation.dependents.map(id => `<span class="clickable-address" onclick="scrollToOperation('${id}')">${formatAddress(id)}</span>`).join(', ')}
+            </div>
+        `;
+    }
+
+    return html;
+}
+
 function createOperationElement(operation) {
     const div = document.createElement('div');
     div.className = 'operation-item';
+    div.id = `operation-${operation.id}`;
     
     // Handle recovery operations differently
     if (operation.type === 'recovery') {
@@ -1998,6 +2318,8 @@ function createOperationElement(operation) {
         operationDetails = createETHTransferDisplay(transactionInfo, operation);
     } else if (transactionInfo.type === 'token_transfer') {
         operationDetails = createTokenTransferDisplay(transactionInfo, operation);
+    } else if (transactionInfo.type === 'nft_transfer') {
+        operationDetails = createNftTransferDisplay(transactionInfo, operation);
     } else {
         operationDetails = createGenericTransactionDisplay(operation);
     }
@@ -2005,12 +2327,18 @@ function createOperationElement(operation) {
     div.innerHTML = `
         <div class="operation-header">
             <div class="operation-info">
-                <div class="operation-id">ID: ${operation.id}</div>
+                <div class="operation-id">
+                    ID: ${operation.id}
+                    <button class="copy-link-button" onclick="copyOperationLink('${operation.id}')" title="Copy link to this operation">🔗</button>
+                </div>
                 <div class="operation-type">${transactionInfo.displayName}</div>
             </div>
             <div class="operation-status ${operation.statusClass}">${operation.status}</div>
         </div>
+        ${createDependencyDisplay(operation)}
         ${operationDetails}
+        ${createActorsDisplay(operation)}
+        ${createBalanceEffectDisplay(operation.effect)}
         <div class="operation-actions">
             ${operation.status === 'Ready' ? 
                 window.isInRecoveryMode ? 
@@ -2019,6 +2347,12 @@ function createOperationElement(operation) {
                              title="Operations cannot be executed during recovery mode">
                         Execute (Disabled in Recovery)
                     </button>` :
+                operation.predecessorStatus && !operation.predecessorDone ?
+                    // Predecessor must be executed first or the timelock reverts
+                    `<button class="execute-button role-disabled" disabled 
+                             title="Predecessor ${operation.predecessor} must be executed first">
+                        Execute (Waiting for Predecessor)
+                    </button>` :
                     // Normal mode: check executor permissions
                     `<button class="execute-button ${!window.userIsExecutor ? 'role-disabled' : ''}" 
                              onclick="executeOperation('${operation.id}', ${JSON.stringify(operation.calls).replace(/"/g, '&quot;')}, '${operation.predecessor}', '${operation.salt}')"
@@ -2058,6 +2392,8 @@ function createRecoveryOperationElement(operation) {
         operationDetails = createRecoveryETHTransferDisplay(transactionInfo, operation);
     } else if (transactionInfo.type === 'token_transfer') {
         operationDetails = createRecoveryTokenTransferDisplay(transactionInfo, operation);
+    } else if (transactionInfo.type === 'nft_transfer') {
+        operationDetails = createRecoveryNftTransferDisplay(transactionInfo, operation);
     } else {
         operationDetails = createRecoveryGenericDisplay(operation);
     }
@@ -2071,6 +2407,7 @@ function createRecoveryOperationElement(operation) {
             <div class="operation-status ${operation.statusClass}">${operation.status}</div>
         </div>
         ${operationDetails}
+        ${createActorsDisplay(operation)}
     `;
     
     return div;
@@ -2119,6 +2456,7 @@ function createCancelAllOperationElement(operation) {
                 </div>
             </div>
         </div>
+        ${createActorsDisplay(operation)}
     `;
     
     return div;
@@ -2147,7 +2485,7 @@ async function checkUserRole(roleName) {
 // Update connection status with address and roles
 async function updateConnectionStatus() {
     if (!currentUserAddress) {
-        connectionStatus.innerHTML = 'Not connected';
+        connectionStatus.innerHTML = provider && !canActiveWalletSign() ? '👁️ Watch-only' : 'Not connected';
         return;
     }
     
@@ -2327,7 +2665,7 @@ async function updateButtonStates() {
 }
 
 function updateProposalButtons(isProposer) {
-    const buttons = [proposeButton, proposeTokenTransferButton];
+    const buttons = [proposeButton, proposeTokenTransferButton, document.getElementById('proposeBatch')];
     
     buttons.forEach(button => {
         if (button) {
@@ -2371,7 +2709,7 @@ async function cancelOperation(operationId) {
 
     try {
         // Get the signer for the transaction
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
 
         console.log('=== CANCEL DEBUG INFO ===');
@@ -2416,7 +2754,7 @@ async function executeOperation(operationId, calls, predecessor, salt) {
 
     try {
         // Get the signer for the transaction
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
 
         // Enhanced debugging - log all parameters
@@ -2428,8 +2766,14 @@ async function executeOperation(operationId, calls, predecessor, salt) {
         console.log('Salt type:', typeof salt);
         console.log('Salt length:', salt.length);
 
-        // Show confirmation
-        if (!confirm(`Are you sure you want to execute operation ${operationId}?\n\nThis will execute the scheduled operation with the following parameters:\n- Operation ID: ${operationId}\n- Calls: ${calls.length}\n- Predecessor: ${predecessor}\n- Salt: ${salt}`)) {
+        // The timelock reverts if the predecessor hasn't been executed yet
+        if (predecessor !== ethers.constants.HashZero && !(await contract.isOperationDone(predecessor))) {
+            showProposalStatus(`Cannot execute yet: predecessor ${predecessor} has not been executed.`, 'error');
+            return;
+        }
+
+        // Show confirmation with a dry run of the calls
+        if (!(await confirmWithSimulation(calls, `Are you sure you want to execute operation ${operationId}?\n\nThis will execute the scheduled operation with the following parameters:\n- Operation ID: ${operationId}\n- Calls: ${calls.length}\n- Predecessor: ${predecessor}\n- Salt: ${salt}`))) {
             return;
         }
 
@@ -2559,6 +2903,8 @@ async function executeOperation(operationId, calls, predecessor, salt) {
             errorMsg += 'You do not have the required role to execute operations.';
         } else if (error.message.includes('TimelockController: operation is not ready')) {
             errorMsg += 'Operation is not ready for execution yet.';
+        } else if (error.message.includes('TimelockController: missing dependency') || error.message.includes('0x90a9a618')) {
+            errorMsg += 'The predecessor operation has not been executed yet.';
         } else if (error.message.includes('TimelockController: operation cannot be executed')) {
             errorMsg += 'Operation cannot be executed (may already be executed or cancelled).';
         } else if (error.message.includes('custom error 0xe2517d3f')) {
@@ -2607,7 +2953,7 @@ async function triggerRecovery() {
         recoveryTriggerButton.disabled = true;
         recoveryTriggerButton.textContent = 'Triggering Recovery...';
 
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
 
         // Trigger recovery mode (this calls the emergency recovery function in the contract)
@@ -2665,7 +3011,7 @@ async function exitRecoveryMode() {
         exitButton.disabled = true;
         exitButton.textContent = 'Exiting Recovery Mode...';
 
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
         const tx = await contractWithSigner.exitRecoveryMode();
         
@@ -2717,7 +3063,7 @@ async function cancelAllOperations() {
             cancelButton.textContent = 'Cancelling All Operations...';
         }
 
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
         const tx = await contractWithSigner.cancelAllOperations();
         
@@ -2787,7 +3133,7 @@ async function grantRoleToAddress(roleFunction, roleName) {
     }
 
     try {
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
         const roleHash = await contract[roleFunction]();
         
@@ -2847,7 +3193,7 @@ async function revokeRoleFromMember(roleFunction, memberAddress) {
     if (!confirmed) return;
 
     try {
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
         const roleHash = await contract[roleFunction]();
         
@@ -2918,7 +3264,7 @@ async function proposeTransaction() {
         // Parse values
         const valueWei = value ? ethers.utils.parseEther(value) : ethers.BigNumber.from(0);
         const data = calldata || '0x';
-        const predecessor = ethers.constants.HashZero; // No predecessor requirement
+        const predecessor = getSelectedPredecessor('predecessorSelect');
         
         // Generate salt if not provided
         let salt;
@@ -2942,8 +3288,17 @@ async function proposeTransaction() {
         showProposalStatus('Preparing transaction...', 'pending');
         proposeButton.disabled = true;
 
+        // Dry-run the call from the vault and confirm with the result
+        const proceed = await confirmWithSimulation(
+            [{ target: targetAddress, value: valueWei, data }],
+            `${window.isInRecoveryMode ? 'Execute' : 'Propose'} this transaction to ${targetAddress}?`
+        );
+        if (!proceed) {
+            return;
+        }
+
         // Get the signer for the transaction
-        const signer = provider.getSigner();
+        const signer = getWalletSigner();
         const contractWithSigner = contract.connect(signer);
 
         // Generate operation hash for reference
@@ -3018,12 +3373,15 @@ async function proposeTransaction() {
             );
         }
 
-        // Clear form
+        // Remember the ABI for this target so its operations can be decoded, then clear form
+        saveBuilderAbi();
+        resetAbiBuilder();
         document.getElementById('targetAddress').value = '';
         document.getElementById('value').value = '';
         document.getElementById('calldata').value = '';
         document.getElementById('salt').value = '';
         document.getElementById('delay').value = '';
+        document.getElementById('predecessorSelect').value = '';
 
         // Automatically refresh operations after successful proposal
         setTimeout(() => {
@@ -3102,14 +3460,16 @@ window.addEventListener('load', async () => {
 document.addEventListener('DOMContentLoaded', async () => {
     console.log('DOM loaded, checking wallet...');
     
-    // Load contract address from localStorage and update display
+    // Load contract address from localStorage (or a watch link) and update display
     loadContractAddressFromStorage();
+    applyWatchVaultParam();
+    applyRouteVault();
     updateContractAddressDisplay();
     
     initializeTokenList(); // Initialize token dropdown
     // Add a delay to ensure MetaMask has time to inject itself
     setTimeout(async () => {
-        if (connectButton.textContent === 'Connect Wallet' || connectButton.textContent === 'Install MetaMask') {
+        if (!provider) {
             try {
                 await waitForEthers();
                 checkWallet();
@@ -3120,20 +3480,21 @@ document.addEventListener('DOMContentLoaded', async () => {
     }, 1000);
 });
 
-// Listen for MetaMask to be injected (some browsers load it asynchronously)
+// Wallets that inject late (some browsers load them asynchronously) show up in the picker when they announce
+// themselves; legacy window.ethereum wallets are picked up by re-running discovery once
 if (typeof window.ethereum === 'undefined') {
     let attempts = 0;
-    const checkForMetaMask = setInterval(() => {
+    const checkForInjectedWallet = setInterval(() => {
         attempts++;
-        console.log(`Checking for MetaMask, attempt ${attempts}`);
+        console.log(`Checking for injected wallet, attempt ${attempts}`);
         
         if (typeof window.ethereum !== 'undefined') {
-            console.log('MetaMask found after waiting');
-            clearInterval(checkForMetaMask);
+            console.log('Injected wallet found after waiting');
+            clearInterval(checkForInjectedWallet);
             checkWallet();
         } else if (attempts >= 10) {
-            console.log('Gave up waiting for MetaMask');
-            clearInterval(checkForMetaMask);
+            console.log('Gave up waiting for injected wallet');
+            clearInterval(checkForInjectedWallet);
         }
     }, 500);
 }
@@ -3182,6 +3543,38 @@ function stopBalanceRefresh() {
     }
 }
 
+// Recovery mode auto-refresh: reload everything when another account triggers or exits recovery mode
+function startRecoveryModeRefresh() {
+    // Don't start multiple intervals
+    if (recoveryModeRefreshInterval) {
+        return;
+    }
+    
+    console.log('Starting auto-refresh for recovery mode...');
+    recoveryModeRefreshInterval = setInterval(async () => {
+        if (!contract) {
+            return;
+        }
+        try {
+            const recoveryMode = await contract.recoveryMode();
+            if (recoveryMode !== window.isInRecoveryMode) {
+                console.log('Recovery mode changed on chain, reloading contract data...');
+                await loadContractData();
+            }
+        } catch (error) {
+            console.error('Error checking recovery mode:', error);
+        }
+    }, 15000); // Check every 15 seconds
+}
+
+function stopRecoveryModeRefresh() {
+    if (recoveryModeRefreshInterval) {
+        console.log('Stopping auto-refresh for recovery mode...');
+        clearInterval(recoveryModeRefreshInterval);
+        recoveryModeRefreshInterval = null;
+    }
+}
+
 // Helper function to reset event data (useful for debugging or if something goes wrong)
 function resetEventData() {
     console.log('Resetting event data...');
@@ -3192,9 +3585,192 @@ function resetEventData() {
     allSaltEvents = [];
     allRecoveryExecutionEvents = [];
     allAllOperationsCancelledEvents = [];
+    allRoleGrantedEvents = [];
+    allRoleRevokedEvents = [];
     lastEventsHash = null;
     lastOperationStatesHash = null;
-    console.log('Event data and UI state reset. Next loadScheduledOperations() call will query from block 0 and rebuild UI.');
+    lastBalancesHash = null;
+    vaultBalances.clear();
+    activeEventCacheKey = null;
+    console.log('Event data and UI state reset. Next loadScheduledOperations() call will restore from the event cache and rebuild UI.');
+}
+
+// Bring the accumulated vault events up to date with one multi-topic eth_getLogs per block range.
+// Concurrent callers (operations list, role lookups) share the same sync.
+async function syncVaultEvents() {
+    const { chainId } = await provider.getNetwork();
+    const cacheKey = getEventCacheKey(chainId, window.CONFIG.CONTRACT_ADDRESS);
+    
+    if (vaultEventsSyncing) {
+        return vaultEventsSyncing;
+    }
+    
+    // Role lookups call this many times in a row; a sync that just finished is fresh enough
+    if (activeEventCacheKey === cacheKey && Date.now() - lastVaultEventsSyncAt < window.CONFIG.UI_CONFIG.EVENT_SYNC_MIN_INTERVAL) {
+        return;
+    }
+    
+    vaultEventsSyncing = (async () => {
+        // Restore cached events when loading a vault for the first time (or after switching vaults)
+        if (activeEventCacheKey !== cacheKey) {
+            resetEventData();
+            activeEventCacheKey = cacheKey;
+            await restoreEventCache(chainId);
+        }
+        
+        // Get current block (number and hash are both stored in the event cache)
+        const latestBlock = await provider.getBlock('latest');
+        const currentBlock = latestBlock.number;
+        
+        // Determine the starting block for queries (first load starts at the vault's deployment block)
+        const fromBlock = lastQueriedBlock === 0 ? await getVaultDeploymentBlock(currentBlock) : lastQueriedBlock + 1;
+        
+        console.log(`Querying events from block ${fromBlock} to ${currentBlock} (last queried: ${lastQueriedBlock})`);
+        
+        // Only query new events since last update
+        if (fromBlock <= currentBlock) {
+            const filter = getVaultEventFilter(contract.interface, window.CONFIG.CONTRACT_ADDRESS);
+            const logs = await scanLogs(provider, filter, fromBlock, currentBlock, getScanOptions('vault'));
+            const newEvents = decodeVaultLogs(contract.interface, logs);
+            
+            allScheduledEvents.push(...newEvents.scheduled);
+            allExecutedEvents.push(...newEvents.executed);
+            allCancelledEvents.push(...newEvents.cancelled);
+            allSaltEvents.push(...newEvents.salt);
+            allRecoveryExecutionEvents.push(...newEvents.recoveryExecution);
+            allAllOperationsCancelledEvents.push(...newEvents.allOperationsCancelled);
+            allRoleGrantedEvents.push(...newEvents.roleGranted);
+            allRoleRevokedEvents.push(...newEvents.roleRevoked);
+            
+            console.log(`Found new events: ${newEvents.scheduled.length} scheduled, ${newEvents.executed.length} executed, ${newEvents.cancelled.length} cancelled, ${newEvents.salt.length} salt, ${newEvents.recoveryExecution.length} recovery executions, ${newEvents.allOperationsCancelled.length} all operations cancelled, ${newEvents.roleGranted.length + newEvents.roleRevoked.length} role changes`);
+            hideScanProgress();
+        }
+        
+        // Update last queried block and persist the accumulated events (with their senders and block times)
+        lastQueriedBlock = currentBlock;
+        await annotateVaultEvents();
+        await persistEventCache(chainId, latestBlock);
+        lastVaultEventsSyncAt = Date.now();
+    })().catch(error => {
+        hideScanProgress();
+        throw error;
+    }).finally(() => {
+        vaultEventsSyncing = null;
+    });
+    
+    return vaultEventsSyncing;
+}
+
+// Restore accumulated events for the current vault from the IndexedDB event cache
+async function restoreEventCache(chainId) {
+    const address = window.CONFIG.CONTRACT_ADDRESS;
+    let record = await loadEventCache(chainId, address);
+    
+    if (!record) {
+        console.log('No cached events for this vault, querying from block 0');
+        return;
+    }
+    
+    try {
+        record = await dropReorgedLogs(provider, record);
+    } catch (error) {
+        console.error('Error checking cached events for reorgs, discarding cache:', error);
+        record = null;
+    }
+    
+    if (!record) {
+        await clearEventCache(chainId, address);
+        return;
+    }
+    
+    const hydrate = logs => (logs || []).map(log => hydrateEventLog(log, contract.interface));
+    allScheduledEvents = hydrate(record.logs.scheduled);
+    allExecutedEvents = hydrate(record.logs.executed);
+    allCancelledEvents = hydrate(record.logs.cancelled);
+    allSaltEvents = hydrate(record.logs.salt);
+    allRecoveryExecutionEvents = hydrate(record.logs.recoveryExecution);
+    allAllOperationsCancelledEvents = hydrate(record.logs.allOperationsCancelled);
+    allRoleGrantedEvents = hydrate(record.logs.roleGranted);
+    allRoleRevokedEvents = hydrate(record.logs.roleRevoked);
+    lastQueriedBlock = record.lastIndexedBlock;
+    if (record.deploymentBlock !== undefined && record.deploymentBlock !== null) {
+        vaultDeploymentBlocks[activeEventCacheKey] = Promise.resolve(record.deploymentBlock);
+    }
+    
+    console.log(`Restored cached events up to block ${lastQueriedBlock}`);
+}
+
+// Save accumulated events for the current vault to the IndexedDB event cache
+async function persistEventCache(chainId, block) {
+    const serialize = events => events.map(serializeEventLog);
+    await saveEventCache(chainId, window.CONFIG.CONTRACT_ADDRESS, {
+        lastIndexedBlock: block.number,
+        lastIndexedBlockHash: block.hash,
+        deploymentBlock: vaultDeploymentBlocks[activeEventCacheKey] ? await vaultDeploymentBlocks[activeEventCacheKey] : null,
+        logs: {
+            scheduled: serialize(allScheduledEvents),
+            executed: serialize(allExecutedEvents),
+            cancelled: serialize(allCancelledEvents),
+            salt: serialize(allSaltEvents),
+            recoveryExecution: serialize(allRecoveryExecutionEvents),
+            allOperationsCancelled: serialize(allAllOperationsCancelledEvents),
+            roleGranted: serialize(allRoleGrantedEvents),
+            roleRevoked: serialize(allRoleRevokedEvents)
+        }
+    });
+}
+
+// Helper function to drop the cached events for the current vault (useful for debugging)
+async function clearCachedEvents() {
+    if (!provider || !window.CONFIG.CONTRACT_ADDRESS) {
+        return;
+    }
+    
+    const { chainId } = await provider.getNetwork();
+    await clearEventCache(chainId, window.CONFIG.CONTRACT_ADDRESS);
+    resetEventData();
+    console.log('Event cache cleared for', window.CONFIG.CONTRACT_ADDRESS);
+}
+
+// Make function available globally
+window.clearCachedEvents = clearCachedEvents;
+
+// Get the vault's deployment block (cached with the events, discovered once per vault via getCode)
+async function getVaultDeploymentBlock(currentBlock) {
+    const { chainId } = await provider.getNetwork();
+    const key = getEventCacheKey(chainId, window.CONFIG.CONTRACT_ADDRESS);
+    if (!vaultDeploymentBlocks[key]) {
+        vaultDeploymentBlocks[key] = findDeploymentBlock(provider, window.CONFIG.CONTRACT_ADDRESS, currentBlock);
+    }
+    return vaultDeploymentBlocks[key];
+}
+
+// Build log scan options that report progress in the operations tab
+function getScanOptions(label) {
+    return {
+        onProgress: (progress) => showScanProgress(label, progress)
+    };
+}
+
+// Show log scan progress in the operations tab
+function showScanProgress(label, { fromBlock, toBlock, scannedTo, percent }) {
+    const scanProgress = document.getElementById('scanProgress');
+    if (!scanProgress) return;
+    
+    // Single-chunk scans (the usual incremental refresh) finish instantly, no need to flash progress
+    if (scannedTo >= toBlock && scanProgress.style.display === 'none') return;
+    
+    document.getElementById('scanProgressText').textContent =
+        `Scanning ${label} events: block ${scannedTo.toLocaleString()} of ${toBlock.toLocaleString()} (${percent}%) - started at ${fromBlock.toLocaleString()}`;
+    document.getElementById('scanProgressFill').style.width = `${percent}%`;
+    scanProgress.style.display = 'block';
+}
+
+function hideScanProgress() {
+    const scanProgress = document.getElementById('scanProgress');
+    if (scanProgress) {
+        scanProgress.style.display = 'none';
+    }
 }
 
 // Helper function to generate a hash of the current events state
@@ -3228,36 +3804,28 @@ function generateEventsHash() {
 }
 
 // Helper function to generate a hash of operation states
-async function generateOperationStatesHash(operationIds) {
-    if (!contract || operationIds.length === 0) {
+function generateOperationStatesHash(operationStates) {
+    if (operationStates.size === 0) {
         return 'empty';
     }
     
-    try {
-        // Get current states for all operations
-        const statePromises = operationIds.map(async (id) => {
-            try {
-                const state = await contract.getOperationState(id);
-                return `${id}:${state}`;
-            } catch (error) {
-                console.error(`Error getting state for operation ${id}:`, error);
-                return `${id}:error`;
-            }
-        });
-        
-        const states = await Promise.all(statePromises);
-        const statesString = states.sort().join('|');
-        
-        // Simple hash function
-        let hash = 0;
-        for (let i = 0; i < statesString.length; i++) {
-            const char = statesString.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
-        return hash.toString();
-    } catch (error) {
-        console.error('Error generating operation states hash:', error);
-        return 'error';
+    const states = Array.from(operationStates, ([id, state]) => `${id}:${state === null ? 'error' : state}`);
+    const statesString = states.sort().join('|');
+    
+    // Simple hash function
+    let hash = 0;
+    for (let i = 0; i < statesString.length; i++) {
+        const char = statesString.charCodeAt(i);
+        hash = ((hash << 5) - hash) + char;
+        hash = hash & hash; // Convert to 32bit integer
     }
+    return hash.toString();
+}
+
+// Get the current state of many operations at once (null where the lookup failed)
+async function getOperationStates(operationIds) {
+    const states = new Map();
+    const results = await multicallContract(contract, 'getOperationState', operationIds.map(id => [id]));
+    operationIds.forEach((id, index) => states.set(id, results[index]));
+    return states;
 }
@@ -0,0 +1,119 @@
+// signatures.js - Bundled offline database of common function selectors
+// Used by the calldata decoder when no ABI is known for a target. Entries are [selector, signature];
+// a selector can map to more than one signature, the decoder keeps the one that round-trips.
+
+const FUNCTION_SIGNATURE_ENTRIES = [
+    // ERC-20
+    ['0xa9059cbb', 'transfer(address,uint256)'],
+    ['0x095ea7b3', 'approve(address,uint256)'],
+    ['0x23b872dd', 'transferFrom(address,address,uint256)'],
+    ['0x39509351', 'increaseAllowance(address,uint256)'],
+    ['0xa457c2d7', 'decreaseAllowance(address,uint256)'],
+    ['0xd505accf', 'permit(address,address,uint256,uint256,uint8,bytes32,bytes32)'],
+    ['0x40c10f19', 'mint(address,uint256)'],
+    ['0x42966c68', 'burn(uint256)'],
+    ['0x79cc6790', 'burnFrom(address,uint256)'],
+
+    // WETH
+    ['0xd0e30db0', 'deposit()'],
+    ['0x2e1a7d4d', 'withdraw(uint256)'],
+
+    // ERC-721
+    ['0x42842e0e', 'safeTransferFrom(address,address,uint256)'],
+    ['0xb88d4fde', 'safeTransferFrom(address,address,uint256,bytes)'],
+    ['0xa22cb465', 'setApprovalForAll(address,bool)'],
+
+    // ERC-1155
+    ['0xf242432a', 'safeTransferFrom(address,address,uint256,uint256,bytes)'],
+    ['0x2eb2c2d6', 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)'],
+
+    // Ownable / AccessControl
+    ['0xf2fde38b', 'transferOwnership(address)'],
+    ['0x715018a6', 'renounceOwnership()'],
+    ['0x79ba5097', 'acceptOwnership()'],
+    ['0x2f2ff15d', 'grantRole(bytes32,address)'],
+    ['0xd547741f', 'revokeRole(bytes32,address)'],
+    ['0x36568abe', 'renounceRole(bytes32,address)'],
+
+    // TimelockController
+    ['0x01d5062a', 'schedule(address,uint256,bytes,bytes32,bytes32,uint256)'],
+    ['0x8f2a0bb0', 'scheduleBatch(address[],uint256[],bytes[],bytes32,bytes32,uint256)'],
+    ['0x134008d3', 'execute(address,uint256,bytes,bytes32,bytes32)'],
+    ['0xe38335e5', 'executeBatch(address[],uint256[],bytes[],bytes32,bytes32)'],
+    ['0xc4d252f5', 'cancel(bytes32)'],
+    ['0x64d62353', 'updateDelay(uint256)'],
+
+    // TimelockVault
+    ['0x54aa61d0', 'triggerRecoveryMode()'],
+    ['0x38e5b7ae', 'exitRecoveryMode()'],
+    ['0xd45214da', 'cancelAllOperations()'],
+    ['0x05a8d04d', 'recoveryExecute(address,uint256,bytes)'],
+    ['0xf5bc2fdc', 'recoveryExecuteBatch(address[],uint256[],bytes[])'],
+
+    // Pausable / Proxies
+    ['0x8456cb59', 'pause()'],
+    ['0x3f4ba83a', 'unpause()'],
+    ['0x3659cfe6', 'upgradeTo(address)'],
+    ['0x4f1ef286', 'upgradeToAndCall(address,bytes)'],
+    ['0x8f283970', 'changeAdmin(address)'],
+    ['0x8129fc1c', 'initialize()'],
+
+    // Multicall
+    ['0xac9650d8', 'multicall(bytes[])'],
+    ['0x5ae401dc', 'multicall(uint256,bytes[])'],
+    ['0x252dba42', 'aggregate((address,bytes)[])'],
+    ['0x82ad56cb', 'aggregate3((address,bool,bytes)[])'],
+    ['0xbce38bd7', 'tryAggregate(bool,(address,bytes)[])'],
+
+    // Gnosis Safe
+    ['0x6a761202', 'execTransaction(address,uint256,bytes,uint8,uint256,uint256,uint256,address,address,bytes)'],
+    ['0x0d582f13', 'addOwnerWithThreshold(address,uint256)'],
+    ['0xf8dc5dd9', 'removeOwner(address,address,uint256)'],
+    ['0xe318b52b', 'swapOwner(address,address,address)'],
+    ['0x694e80c3', 'changeThreshold(uint256)'],
+    ['0x610b5925', 'enableModule(address)'],
+    ['0xe009cfde', 'disableModule(address,address)'],
+    ['0xd4d9bdcd', 'approveHash(bytes32)'],
+
+    // Uniswap V2 Router
+    ['0x38ed1739', 'swapExactTokensForTokens(uint256,uint256,address[],address,uint256)'],
+    ['0x8803dbee', 'swapTokensForExactTokens(uint256,uint256,address[],address,uint256)'],
+    ['0x7ff36ab5', 'swapExactETHForTokens(uint256,address[],address,uint256)'],
+    ['0x18cbafe5', 'swapExactTokensForETH(uint256,uint256,address[],address,uint256)'],
+    ['0xe8e33700', 'addLiquidity(address,address,uint256,uint256,uint256,uint256,address,uint256)'],
+    ['0xf305d719', 'addLiquidityETH(address,uint256,uint256,uint256,address,uint256)'],
+    ['0xbaa2abde', 'removeLiquidity(address,address,uint256,uint256,uint256,address,uint256)'],
+    ['0x02751cec', 'removeLiquidityETH(address,uint256,uint256,uint256,address,uint256)'],
+
+    // Uniswap V3 Router
+    ['0x414bf389', 'exactInputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'],
+    ['0xc04b8d59', 'exactInput((bytes,address,uint256,uint256,uint256))'],
+    ['0xdb3e2198', 'exactOutputSingle((address,address,uint24,address,uint256,uint256,uint256,uint160))'],
+    ['0xf28c0498', 'exactOutput((bytes,address,uint256,uint256,uint256))'],
+
+    // Permit2
+    ['0x87517c45', 'approve(address,address,uint160,uint48)'],
+
+    // Staking / Vaults
+    ['0xb6b55f25', 'deposit(uint256)'],
+    ['0x6e553f65', 'deposit(uint256,address)'],
+    ['0xb460af94', 'withdraw(uint256,address,address)'],
+    ['0xba087652', 'redeem(uint256,address,address)'],
+    ['0x94bf804d', 'mint(uint256,address)'],
+    ['0xa694fc3a', 'stake(uint256)'],
+    ['0x2e17de78', 'unstake(uint256)'],
+    ['0x4e71d92d', 'claim()'],
+    ['0x3d18b912', 'getReward()'],
+    ['0x5c19a95c', 'delegate(address)'],
+    ['0xa1903eab', 'submit(address)'],
+
+    // ENS
+    ['0xc47f0027', 'setName(string)'],
+    ['0xd5fa2b00', 'setAddr(bytes32,address)']
+];
+
+// Selector -> list of candidate signatures
+const FUNCTION_SIGNATURES = FUNCTION_SIGNATURE_ENTRIES.reduce((signatures, [selector, signature]) => {
+    (signatures[selector] = signatures[selector] || []).push(signature);
+    return signatures;
+}, {});
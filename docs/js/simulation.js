@@ -0,0 +1,468 @@
+// simulation.js - Dry-run vault calls before they are proposed or executed
+// Uses eth_call from the vault address on the wallet RPC. When a simulation RPC pointing at an
+// Anvil/Hardhat node is configured, the calls are really executed as the vault inside a snapshot
+// (then reverted) so batches see each other's state and balance changes are measured, not estimated.
+
+// LocalStorage key for the optional simulation RPC URL
+const SIMULATION_RPC_STORAGE_KEY = 'timelock-vault-simulation-rpc';
+
+// Gas headroom given to the impersonated vault on a fork; added back when computing the ETH delta
+const FORK_GAS_TOPUP = ethers.utils.parseEther('10');
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+const PANIC_REASONS = {
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized function'
+};
+
+function getSimulationRpcUrl() {
+    return localStorage.getItem(SIMULATION_RPC_STORAGE_KEY) || '';
+}
+
+function saveSimulationRpcUrl(url) {
+    if (url) {
+        localStorage.setItem(SIMULATION_RPC_STORAGE_KEY, url);
+    } else {
+        localStorage.removeItem(SIMULATION_RPC_STORAGE_KEY);
+    }
+}
+
+// Provider to simulate against: the configured simulation RPC, or the wallet's provider
+function getSimulationProvider() {
+    const url = getSimulationRpcUrl();
+    return url ? new ethers.providers.JsonRpcProvider(url) : provider;
+}
+
+// 'anvil' or 'hardhat' when the simulation node supports impersonation and snapshots
+async function getForkClient(simulationProvider) {
+    try {
+        const version = (await simulationProvider.send('web3_clientVersion', [])).toLowerCase();
+        if (version.includes('anvil')) return 'anvil';
+        if (version.includes('hardhat')) return 'hardhat';
+    } catch (error) {
+        console.log('Could not read simulation client version:', error.message);
+    }
+    return null;
+}
+
+// Dig the revert data out of a JSON-RPC error (wallets and nodes nest it differently)
+function getRevertData(error) {
+    const seen = new Set();
+    const search = (value) => {
+        if (!value || typeof value !== 'object' || seen.has(value)) {
+            return null;
+        }
+        seen.add(value);
+
+        if (typeof value.data === 'string' && ethers.utils.isHexString(value.data) && value.data.length >= 10) {
+            return value.data;
+        }
+        for (const key of ['data', 'error', 'originalError']) {
+            const found = search(value[key]);
+            if (found) {
+                return found;
+            }
+        }
+        if (typeof value.body === 'string') {
+            try {
+                return search(JSON.parse(value.body));
+            } catch (parseError) {
+                return null;
+            }
+        }
+        return null;
+    };
+    return search(error);
+}
+
+// Turn revert data into a readable reason: Error(string), Panic(uint256) or a custom error from a known ABI
+function decodeRevertReason(data, target) {
+    if (!data || data === '0x') {
+        return 'reverted without a reason';
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+        }
+        if (selector === PANIC_SELECTOR) {
+            const code = ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0].toNumber();
+            return `panic: ${PANIC_REASONS[code] || `code 0x${code.toString(16)}`}`;
+        }
+    } catch (error) {
+        console.warn('Could not decode revert data:', error.message);
+    }
+
+    // Custom errors declared in a saved ABI for the target
+    const abi = getStoredAbi(target);
+    if (abi) {
+        try {
+            const parsed = new ethers.utils.Interface(abi).parseError(data);
+            return `${parsed.name}(${parsed.args.map(arg => arg.toString()).join(', ')})`;
+        } catch (error) {
+            // Not one of this contract's errors
+        }
+    }
+
+    return `custom error ${selector}`;
+}
+
+// Run one call with eth_call from the vault; returns { success, revertReason, gasUsed }.
+// blockNumber pins the state it runs against - omit it on a fork to see earlier simulated calls.
+async function simulateCallFromVault(simulationProvider, vaultAddress, call, blockNumber) {
+    const transaction = {
+        from: vaultAddress,
+        to: call.target,
+        value: ethers.utils.hexValue(ethers.BigNumber.from(call.value || 0)),
+        data: call.data || '0x'
+    };
+
+    try {
+        // send() rather than call(): ethers returns revert data from call() as if it were a result
+        const blockTag = blockNumber === undefined ? 'latest' : ethers.utils.hexValue(blockNumber);
+        await simulationProvider.send('eth_call', [transaction, blockTag]);
+    } catch (error) {
+        const revertData = getRevertData(error);
+        return {
+            success: false,
+            revertReason: revertData ? decodeRevertReason(revertData, call.target) : error.message
+        };
+    }
+
+    let gasUsed = null;
+    try {
+        gasUsed = await simulationProvider.estimateGas({ ...transaction, value: ethers.BigNumber.from(call.value || 0) });
+    } catch (error) {
+        console.warn('Gas estimation failed after a successful eth_call:', error.message);
+    }
+
+    return { success: true, gasUsed };
+}
+
+// ETH and ERC20 balance changes the calls would cause for the vault, read from the calldata alone.
+// Returns a Map of 'ETH' or lowercased token address -> signed BigNumber delta.
+function estimateBalanceDeltas(calls, vaultAddress) {
+    const erc20Interface = new ethers.utils.Interface(window.CONFIG.ERC20_ABI);
+    const vault = vaultAddress.toLowerCase();
+    const deltas = new Map();
+
+    const addDelta = (key, amount) => {
+        deltas.set(key, (deltas.get(key) || ethers.BigNumber.from(0)).add(amount));
+    };
+
+    for (const call of calls) {
+        const value = ethers.BigNumber.from(call.value || 0);
+        if (!value.isZero()) {
+            addDelta('ETH', value.mul(-1));
+        }
+
+        if (!call.data || call.data.length < 10) {
+            continue;
+        }
+
+        const token = call.target.toLowerCase();
+        try {
+            const parsed = erc20Interface.parseTransaction({ data: call.data });
+            if (parsed.name === 'transfer') {
+                addDelta(token, parsed.args.amount.mul(-1));
+            } else if (parsed.name === 'transferFrom') {
+                if (parsed.args.from.toLowerCase() === vault) {
+                    addDelta(token, parsed.args.amount.mul(-1));
+                }
+                if (parsed.args.to.toLowerCase() === vault) {
+                    addDelta(token, parsed.args.amount);
+                }
+            }
+        } catch (error) {
+            // Not an ERC20 transfer
+        }
+    }
+
+    return deltas;
+}
+
+// Symbol and decimals for a token, from the configured list or the token contract itself
+async function getSimulationTokenInfo(simulationProvider, address) {
+    const known = window.CONFIG.SUPPORTED_TOKENS.find(token => token.address.toLowerCase() === address.toLowerCase());
+    if (known) {
+        return { address: known.address, symbol: known.symbol, decimals: known.decimals };
+    }
+
+    try {
+        const tokenContract = new ethers.Contract(address, window.CONFIG.ERC20_ABI, simulationProvider);
+        const decimals = await tokenContract.decimals();
+        let symbol = formatAddress(address);
+        try {
+            symbol = await tokenContract.symbol();
+        } catch (error) {
+            // Some tokens have no symbol
+        }
+        return { address, symbol, decimals };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Vault balances of ETH and the given tokens, keyed like estimateBalanceDeltas
+async function readVaultBalances(simulationProvider, vaultAddress, tokens) {
+    const balances = new Map();
+    balances.set('ETH', await simulationProvider.getBalance(vaultAddress));
+
+    for (const token of tokens) {
+        try {
+            const tokenContract = new ethers.Contract(token.address, window.CONFIG.ERC20_ABI, simulationProvider);
+            balances.set(token.address.toLowerCase(), await tokenContract.balanceOf(vaultAddress));
+        } catch (error) {
+            console.warn(`Could not read ${token.symbol} balance during simulation:`, error.message);
+        }
+    }
+
+    return balances;
+}
+
+// Execute the calls as the vault on an Anvil/Hardhat node, measure the result, then roll everything back
+async function simulateOnFork(simulationProvider, client, vaultAddress, calls) {
+    const results = [];
+    const snapshotId = await simulationProvider.send('evm_snapshot', []);
+
+    try {
+        await simulationProvider.send(`${client}_impersonateAccount`, [vaultAddress]);
+
+        // Tokens worth measuring: the configured ones plus any call target that behaves like an ERC20
+        const tokens = [];
+        const tokenAddresses = new Set();
+        for (const address of [...window.CONFIG.SUPPORTED_TOKENS.map(token => token.address), ...calls.map(call => call.target)]) {
+            if (tokenAddresses.has(address.toLowerCase())) {
+                continue;
+            }
+            tokenAddresses.add(address.toLowerCase());
+            if ((await simulationProvider.getCode(address)) === '0x') {
+                continue;
+            }
+            const info = await getSimulationTokenInfo(simulationProvider, address);
+            if (info) {
+                tokens.push(info);
+            }
+        }
+
+        const startBalance = await simulationProvider.getBalance(vaultAddress);
+        await simulationProvider.send(`${client}_setBalance`, [vaultAddress, ethers.utils.hexValue(startBalance.add(FORK_GAS_TOPUP))]);
+        const before = await readVaultBalances(simulationProvider, vaultAddress, tokens);
+
+        let gasCost = ethers.BigNumber.from(0);
+        let reverted = false;
+
+        for (const call of calls) {
+            if (reverted) {
+                results.push({ target: call.target, skipped: true });
+                continue;
+            }
+
+            // eth_call first so a revert comes with its reason
+            const check = await simulateCallFromVault(simulationProvider, vaultAddress, call);
+            if (!check.success) {
+                results.push({ target: call.target, ...check });
+                reverted = true;
+                continue;
+            }
+
+            const hash = await simulationProvider.send('eth_sendTransaction', [{
+                from: vaultAddress,
+                to: call.target,
+                value: ethers.utils.hexValue(ethers.BigNumber.from(call.value || 0)),
+                data: call.data || '0x'
+            }]);
+            const receipt = await simulationProvider.waitForTransaction(hash, 1, 30000);
+            gasCost = gasCost.add(receipt.gasUsed.mul(receipt.effectiveGasPrice || 0));
+
+            if (receipt.status !== 1) {
+                results.push({ target: call.target, success: false, revertReason: 'reverted', gasUsed: receipt.gasUsed });
+                reverted = true;
+            } else {
+                results.push({ target: call.target, success: true, gasUsed: receipt.gasUsed });
+            }
+        }
+
+        const deltas = new Map();
+        if (!reverted) {
+            const after = await readVaultBalances(simulationProvider, vaultAddress, tokens);
+            for (const [key, balance] of after) {
+                let delta = balance.sub(before.get(key) || 0);
+                if (key === 'ETH') {
+                    delta = delta.add(gasCost);
+                }
+                if (!delta.isZero()) {
+                    deltas.set(key, delta);
+                }
+            }
+        }
+
+        return { results, deltas, tokens };
+    } finally {
+        await simulationProvider.send('evm_revert', [snapshotId]);
+        try {
+            await simulationProvider.send(`${client}_stopImpersonatingAccount`, [vaultAddress]);
+        } catch (error) {
+            console.warn('Could not stop impersonating the vault:', error.message);
+        }
+    }
+}
+
+// Simulate calls as if the vault executed them now.
+// Returns { mode, blockNumber, success, calls, totalGas, deltas: [{ symbol, decimals, delta }], deltasEstimated, error }
+async function simulateVaultCalls(calls) {
+    const vaultAddress = window.CONFIG.CONTRACT_ADDRESS;
+
+    try {
+        const simulationProvider = getSimulationProvider();
+        const blockNumber = await simulationProvider.getBlockNumber();
+        // Never fork on the wallet's own node: evm_revert would drop whatever was mined meanwhile
+        const client = getSimulationRpcUrl() ? await getForkClient(simulationProvider) : null;
+
+        let results;
+        let deltaMap;
+        let tokens = [];
+
+        if (client) {
+            console.log(`Simulating ${calls.length} call(s) on ${client} fork at block ${blockNumber}`);
+            ({ results, deltas: deltaMap, tokens } = await simulateOnFork(simulationProvider, client, vaultAddress, calls));
+        } else {
+            console.log(`Simulating ${calls.length} call(s) with eth_call at block ${blockNumber}`);
+            // eth_call can't carry one call's state changes into the next (an approve before a
+            // transferFrom, say), so only the first call is checked; the rest would fail falsely
+            const [first, ...rest] = calls;
+            const result = await simulateCallFromVault(simulationProvider, vaultAddress, first, blockNumber);
+            results = [
+                { target: first.target, ...result },
+                ...rest.map(call => ({ target: call.target, notSimulated: true }))
+            ];
+            deltaMap = result.success ? estimateBalanceDeltas(calls, vaultAddress) : new Map();
+        }
+
+        const success = results.every(result => result.success || result.notSimulated);
+        const gasValues = results.map(result => result.gasUsed).filter(Boolean);
+        const totalGas = gasValues.length > 0 ? gasValues.reduce((sum, gas) => sum.add(gas), ethers.BigNumber.from(0)) : null;
+
+        const deltas = [];
+        for (const [key, delta] of deltaMap) {
+            if (key === 'ETH') {
+                deltas.push({ symbol: 'ETH', decimals: 18, delta });
+                continue;
+            }
+            const info = tokens.find(token => token.address.toLowerCase() === key) ||
+                await getSimulationTokenInfo(simulationProvider, key);
+            deltas.push({
+                symbol: info ? info.symbol : formatAddress(key),
+                decimals: info ? info.decimals : 0,
+                delta
+            });
+        }
+
+        return {
+            mode: client ? `${client} fork` : 'eth_call',
+            blockNumber,
+            success,
+            calls: results,
+            totalGas,
+            deltas,
+            deltasEstimated: !client
+        };
+    } catch (error) {
+        console.error('Simulation failed:', error);
+        return { success: null, error: error.message };
+    }
+}
+
+// Plain-text summary of a simulation for confirmation dialogs
+function formatSimulationSummary(simulation) {
+    if (simulation.error) {
+        return `⚠️ Simulation unavailable: ${simulation.error}`;
+    }
+
+    const partial = simulation.calls.some(call => call.notSimulated);
+    const outcome = simulation.success ? (partial ? '✅ first call succeeds' : '✅ succeeds') : '❌ WOULD REVERT';
+    const lines = [
+        `Simulation (${simulation.mode} at block ${simulation.blockNumber}): ${outcome}`
+    ];
+
+    simulation.calls.forEach((call, index) => {
+        const label = simulation.calls.length > 1 ? `Call ${index + 1}` : 'Call';
+        if (call.skipped) {
+            lines.push(`${label}: skipped (earlier call reverted)`);
+        } else if (call.notSimulated) {
+            lines.push(`${label}: not simulated (depends on earlier calls)`);
+        } else if (call.success) {
+            lines.push(`${label}: ✅ success${call.gasUsed ? `, gas ~${call.gasUsed.toNumber().toLocaleString()}` : ''}`);
+        } else {
+            lines.push(`${label}: ❌ ${call.revertReason}`);
+        }
+    });
+
+    if (partial) {
+        lines.push('eth_call only checks the first call of a batch - set a simulation RPC (Anvil or Hardhat) to simulate them all.');
+    }
+
+    if (simulation.totalGas) {
+        lines.push(`Gas estimate (${partial ? 'first call' : 'calls'}): ~${simulation.totalGas.toNumber().toLocaleString()}`);
+    }
+
+    if (simulation.success) {
+        if (simulation.deltas.length === 0) {
+            lines.push('Vault balance changes: none');
+        } else {
+            lines.push(`Vault balance changes${simulation.deltasEstimated ? ' (from calldata)' : ''}:`);
+            simulation.deltas.forEach(({ symbol, decimals, delta }) => {
+                const sign = delta.isNegative() ? '' : '+';
+                lines.push(`  ${symbol}: ${sign}${ethers.utils.formatUnits(delta, decimals)}`);
+            });
+        }
+    }
+
+    return lines.join('\n');
+}
+
+// Simulate the calls and ask the user to confirm with the result in front of them
+async function confirmWithSimulation(calls, question) {
+    showProposalStatus('Simulating transaction...', 'pending');
+    const simulation = await simulateVaultCalls(calls);
+    console.log('Simulation result:', simulation);
+    proposalStatus.style.display = 'none';
+
+    const warning = simulation.success === false ?
+        '\n\nThe simulation reverted - this transaction will most likely fail.' :
+        '';
+    return confirm(`${question}\n\n${formatSimulationSummary(simulation)}${warning}`);
+}
+
+// Wire up the simulation RPC setting
+function initializeSimulationSettings() {
+    const input = document.getElementById('simulationRpcUrl');
+    if (!input) {
+        return;
+    }
+
+    input.value = getSimulationRpcUrl();
+    input.addEventListener('change', () => {
+        const url = input.value.trim();
+        if (url && !/^https?:\/\//i.test(url)) {
+            alert('Simulation RPC must be an http(s) URL, e.g. http://127.0.0.1:8545');
+            input.value = getSimulationRpcUrl();
+            return;
+        }
+        saveSimulationRpcUrl(url);
+        console.log('Simulation RPC set to', url || 'wallet provider');
+    });
+}
+
+document.addEventListener('DOMContentLoaded', initializeSimulationSettings);
@@ -0,0 +1,227 @@
+// tokenDiscovery.js - Find tokens sent to the vault (airdrops, misdirected deposits) from ERC-20 Transfer logs
+// Scans are incremental: the last scanned block and every token seen are kept per vault in localStorage.
+
+const TOKEN_DISCOVERY_STORAGE_KEY = 'timelock-vault-token-discovery'; // { chainId:vault: { lastBlock, candidates } }
+const ERC20_TRANSFER_TOPIC = ethers.utils.id('Transfer(address,address,uint256)');
+const TOKEN_DISCOVERY_CONCURRENCY = 4; // candidates checked at once (each takes four calls)
+
+let discoveredTokens = []; // Results of the last discovery: { address, transfers, token, balance, spam, reason }
+let discoveredTokensKey = null; // chainId:vault the results belong to
+let tokenDiscoveryRunning = false;
+
+function loadTokenDiscoveryState(key) {
+    try {
+        const all = JSON.parse(localStorage.getItem(TOKEN_DISCOVERY_STORAGE_KEY) || '{}');
+        return all[key] || { lastBlock: null, candidates: {} };
+    } catch (error) {
+        console.error('Error loading token discovery state:', error);
+        return { lastBlock: null, candidates: {} };
+    }
+}
+
+function saveTokenDiscoveryState(key, state) {
+    let all = {};
+    try {
+        all = JSON.parse(localStorage.getItem(TOKEN_DISCOVERY_STORAGE_KEY) || '{}');
+    } catch (error) {
+        console.error('Error loading token discovery state:', error);
+    }
+    all[key] = state;
+    localStorage.setItem(TOKEN_DISCOVERY_STORAGE_KEY, JSON.stringify(all));
+}
+
+// Every contract that logged an ERC-20 Transfer to the vault since its deployment, with a transfer count
+async function scanIncomingTransfers(key, onProgress) {
+    const vault = window.CONFIG.CONTRACT_ADDRESS;
+    const state = loadTokenDiscoveryState(key);
+    const currentBlock = await provider.getBlockNumber();
+    const fromBlock = state.lastBlock === null ? await getVaultDeploymentBlock(currentBlock) : state.lastBlock + 1;
+
+    if (fromBlock <= currentBlock) {
+        console.log(`Scanning Transfer logs to ${vault} from block ${fromBlock} to ${currentBlock}`);
+        const filter = { topics: [ERC20_TRANSFER_TOPIC, null, ethers.utils.hexZeroPad(vault, 32)] };
+        const logs = await scanLogs(provider, filter, fromBlock, currentBlock, { onProgress });
+
+        for (const log of logs) {
+            // ERC-721 Transfers share the topic but also index the token id
+            if (log.topics.length !== 3) {
+                continue;
+            }
+            const address = log.address.toLowerCase();
+            const candidate = state.candidates[address] || { transfers: 0, lastBlock: 0 };
+            candidate.transfers++;
+            candidate.lastBlock = log.blockNumber;
+            state.candidates[address] = candidate;
+        }
+
+        state.lastBlock = currentBlock;
+        saveTokenDiscoveryState(key, state);
+    }
+
+    return state.candidates;
+}
+
+// Check candidates that aren't in the token list (or deliberately hidden): ERC-20s the vault holds are
+// offered for adding, the rest (no decimals or symbol, calls failing, zero balance) are grouped as likely spam
+async function classifyDiscoveredTokens(chainId, candidates) {
+    const known = new Set([
+        ...window.CONFIG.SUPPORTED_TOKENS.map(token => token.address.toLowerCase()),
+        ...window.CONFIG.getHiddenTokens(chainId)
+    ]);
+
+    const entries = Object.entries(candidates).filter(([address]) => !known.has(address));
+    const limited = createRequestLimiter(TOKEN_DISCOVERY_CONCURRENCY);
+    return Promise.all(entries.map(([address, candidate]) => limited(async () => {
+        const entry = {
+            address: ethers.utils.getAddress(address),
+            transfers: candidate.transfers,
+            token: null,
+            balance: null,
+            spam: false,
+            reason: ''
+        };
+
+        try {
+            const token = await validateTokenContract(entry.address);
+            // Airdroppers choose the name and symbol; markup in them is a red flag on its own
+            if (!isValidTokenName(token.name) || !isValidTokenSymbol(token.symbol)) {
+                throw new Error('Name or symbol contains unsupported characters');
+            }
+            entry.token = token;
+            const tokenContract = new ethers.Contract(entry.address, window.CONFIG.ERC20_ABI, provider);
+            entry.balance = await withProviderRetry(() => tokenContract.balanceOf(window.CONFIG.CONTRACT_ADDRESS));
+            if (entry.balance.isZero()) {
+                entry.spam = true;
+                entry.reason = 'Zero balance';
+            }
+        } catch (error) {
+            entry.spam = true;
+            entry.reason = error.message;
+        }
+        return entry;
+    })));
+}
+
+// "Discover Tokens" button
+async function discoverVaultTokens() {
+    if (!provider || !contract) {
+        showAddTokenStatus('Please connect your wallet first', 'error');
+        return;
+    }
+    if (tokenDiscoveryRunning) {
+        return;
+    }
+
+    const button = document.getElementById('discoverTokensButton');
+    const panel = document.getElementById('tokenDiscovery');
+    const status = document.getElementById('tokenDiscoveryStatus');
+
+    try {
+        tokenDiscoveryRunning = true;
+        button.disabled = true;
+        panel.style.display = 'block';
+        document.getElementById('tokenDiscoveryList').innerHTML = '';
+        status.textContent = 'Scanning Transfer logs...';
+
+        const { chainId } = await provider.getNetwork();
+        const key = getEventCacheKey(chainId, window.CONFIG.CONTRACT_ADDRESS);
+        const candidates = await scanIncomingTransfers(key, ({ scannedTo, toBlock, percent }) => {
+            status.textContent = `Scanning Transfer logs: block ${scannedTo.toLocaleString()} of ${toBlock.toLocaleString()} (${percent}%)`;
+        });
+
+        status.textContent = 'Checking token contracts...';
+        discoveredTokens = await classifyDiscoveredTokens(chainId, candidates);
+        discoveredTokensKey = key;
+        renderDiscoveredTokens();
+    } catch (error) {
+        console.error('Error discovering tokens:', error);
+        status.textContent = 'Token discovery failed: ' + error.message;
+    } finally {
+        tokenDiscoveryRunning = false;
+        button.disabled = false;
+    }
+}
+
+window.discoverVaultTokens = discoverVaultTokens;
+
+function createDiscoveredTokenRow(entry) {
+    const token = entry.token;
+    const balance = entry.balance && token ?
+        `${parseFloat(ethers.utils.formatUnits(entry.balance, token.decimals)).toLocaleString(undefined, { maximumFractionDigits: 6 })} ${escapeHtml(token.symbol)}` :
+        '';
+
+    return `
+        <div class="discovered-token">
+            <div class="discovered-token-info">
+                <span class="discovered-token-name">${token ? `${escapeHtml(token.symbol)} - ${escapeHtml(token.name)}` : 'Unknown token'}</span>
+                <span class="address-value" title="${entry.address}">${formatAddress(entry.address)}</span>
+                <span class="discovered-token-meta">
+                    ${entry.transfers} transfer${entry.transfers !== 1 ? 's' : ''} in${balance ? ` · ${balance}` : ''}${entry.reason ? ` · ${escapeHtml(entry.reason)}` : ''}
+                </span>
+            </div>
+            ${token ? `<button class="add-token-button" onclick="addDiscoveredToken('${entry.address}')">+ Add</button>` : ''}
+        </div>
+    `;
+}
+
+function renderDiscoveredTokens() {
+    const found = discoveredTokens.filter(entry => !entry.spam);
+    const spam = discoveredTokens.filter(entry => entry.spam);
+
+    document.getElementById('tokenDiscoveryStatus').textContent = found.length > 0 ?
+        `Found ${found.length} token${found.length !== 1 ? 's' : ''} held by the vault that ${found.length !== 1 ? 'aren\'t' : 'isn\'t'} in your list` :
+        'No new tokens with a balance found';
+
+    document.getElementById('tokenDiscoveryList').innerHTML = found.map(createDiscoveredTokenRow).join('') + (spam.length > 0 ? `
+        <details class="discovered-token-spam">
+            <summary>Possible spam (${spam.length})</summary>
+            ${spam.map(createDiscoveredTokenRow).join('')}
+        </details>
+    ` : '');
+}
+
+async function addDiscoveredToken(address) {
+    const entry = discoveredTokens.find(item => item.address === address);
+    if (!entry || !entry.token) {
+        return;
+    }
+    if (!isValidTokenName(entry.token.name) || !isValidTokenSymbol(entry.token.symbol)) {
+        showAddTokenStatus('Token name or symbol contains unsupported characters', 'error');
+        return;
+    }
+
+    const { chainId } = await provider.getNetwork();
+    window.CONFIG.addTokenToCurrentChain(chainId, {
+        name: entry.token.name,
+        symbol: entry.token.symbol,
+        address: entry.address,
+        decimals: entry.token.decimals
+    });
+    showAddTokenStatus(`✅ Added ${entry.token.symbol} (${entry.token.name}) to ${window.CONFIG.getCurrentChainInfo(chainId).shortName}!`, 'success');
+    await refreshTokenViews();
+}
+
+window.addDiscoveredToken = addDiscoveredToken;
+
+// Keep the discovery panel in step with the token list: drop tokens that were added since,
+// and hide results that belong to another vault
+function updateTokenDiscoveryPanel() {
+    const panel = document.getElementById('tokenDiscovery');
+    if (discoveredTokensKey === null) {
+        return;
+    }
+
+    const activeKey = connectedChainId && window.CONFIG.CONTRACT_ADDRESS ?
+        getEventCacheKey(connectedChainId, window.CONFIG.CONTRACT_ADDRESS) :
+        null;
+    if (activeKey !== discoveredTokensKey) {
+        discoveredTokens = [];
+        discoveredTokensKey = null;
+        panel.style.display = 'none';
+        return;
+    }
+
+    const known = new Set(window.CONFIG.SUPPORTED_TOKENS.map(token => token.address.toLowerCase()));
+    discoveredTokens = discoveredTokens.filter(entry => !known.has(entry.address.toLowerCase()));
+    renderDiscoveredTokens();
+}
@@ -0,0 +1,178 @@
+// tokenLists.js - Import and export of token lists in the Uniswap token list format
+// (https://tokenlists.org). Imported tokens are merged into the persisted custom tokens of each chain.
+
+const TOKEN_LIST_NAME = 'TimelockVault Tokens';
+
+// Stricter than the schema's ^\S+$ for symbols: names and symbols end up in HTML
+const TOKEN_LIST_NAME_PATTERN = /^[ \w.'+\-%/À-ÖØ-öø-ÿ:&[\]()]+$/;
+const TOKEN_LIST_SYMBOL_PATTERN = /^[^\s<>"'&]+$/;
+
+// Also applied to names and symbols read from token contracts before they are saved
+function isValidTokenName(name) {
+    return typeof name === 'string' && name.length > 0 && name.length <= 60 && TOKEN_LIST_NAME_PATTERN.test(name);
+}
+
+function isValidTokenSymbol(symbol) {
+    return typeof symbol === 'string' && symbol.length > 0 && symbol.length <= 20 && TOKEN_LIST_SYMBOL_PATTERN.test(symbol);
+}
+
+// Check a parsed token list against the required fields of the token list schema.
+// Returns a list of problems (empty when the list is valid).
+function validateTokenList(list) {
+    const errors = [];
+    const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (!list || typeof list !== 'object' || Array.isArray(list)) {
+        return ['Token list must be a JSON object'];
+    }
+    if (typeof list.name !== 'string' || list.name.length === 0 || list.name.length > 30) {
+        errors.push('"name" must be a string of 1-30 characters');
+    }
+    if (typeof list.timestamp !== 'string' || isNaN(Date.parse(list.timestamp))) {
+        errors.push('"timestamp" must be an ISO 8601 date');
+    }
+    if (!list.version || !['major', 'minor', 'patch'].every(field => isInteger(list.version[field], 0, Number.MAX_SAFE_INTEGER))) {
+        errors.push('"version" must have integer major, minor and patch');
+    }
+    if (!Array.isArray(list.tokens) || list.tokens.length === 0 || list.tokens.length > 10000) {
+        errors.push('"tokens" must be an array of 1-10000 tokens');
+        return errors;
+    }
+
+    list.tokens.forEach((token, index) => {
+        const label = `tokens[${index}]${token && token.symbol ? ` (${token.symbol})` : ''}`;
+        if (!token || typeof token !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!isInteger(token.chainId, 1, Number.MAX_SAFE_INTEGER)) {
+            errors.push(`${label}: "chainId" must be a positive integer`);
+        }
+        if (typeof token.address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(token.address)) {
+            errors.push(`${label}: "address" must be a 0x-prefixed 20-byte hex address`);
+        }
+        if (!isInteger(token.decimals, 0, 255)) {
+            errors.push(`${label}: "decimals" must be an integer from 0 to 255`);
+        }
+        if (!isValidTokenName(token.name)) {
+            errors.push(`${label}: "name" must be 1-60 letters, digits, spaces or basic punctuation`);
+        }
+        if (!isValidTokenSymbol(token.symbol)) {
+            errors.push(`${label}: "symbol" must be 1-20 characters without spaces or HTML characters`);
+        }
+    });
+
+    return errors;
+}
+
+// Merge a validated token list into the custom tokens of every chain it lists.
+// Tokens already in the list for their chain (built-in or custom) are skipped.
+function importTokenList(list) {
+    const errors = validateTokenList(list);
+    if (errors.length > 0) {
+        const more = errors.length > 5 ? `\n...and ${errors.length - 5} more` : '';
+        throw new Error(`Invalid token list:\n${errors.slice(0, 5).join('\n')}${more}`);
+    }
+
+    const result = { added: 0, skipped: 0, chainIds: new Set() };
+    for (const token of list.tokens) {
+        const added = window.CONFIG.addTokenToCurrentChain(token.chainId, {
+            name: token.name,
+            symbol: token.symbol,
+            address: ethers.utils.getAddress(token.address.toLowerCase()),
+            decimals: token.decimals
+        });
+        if (added) {
+            result.added++;
+            result.chainIds.add(token.chainId);
+        } else {
+            result.skipped++;
+        }
+    }
+    return result;
+}
+
+// The token list of every chain (built-in and custom tokens, without hidden ones) as a token list
+function buildTokenList() {
+    const tokens = [];
+    for (const chainId of window.CONFIG.getTokenChainIds()) {
+        for (const token of window.CONFIG.getTokensForChain(chainId)) {
+            tokens.push({
+                chainId,
+                address: ethers.utils.getAddress(token.address.toLowerCase()),
+                name: token.name,
+                symbol: token.symbol,
+                decimals: token.decimals
+            });
+        }
+    }
+
+    return {
+        name: TOKEN_LIST_NAME,
+        timestamp: new Date().toISOString(),
+        version: { major: 1, minor: 0, patch: 0 },
+        tokens
+    };
+}
+
+// Refresh everything that shows the token list after it changed
+async function refreshTokenViews() {
+    initializeTokenList();
+    if (provider && contract) {
+        await loadTokenBalances();
+    } else {
+        updateHiddenTokensButton();
+    }
+}
+
+// "Import Token List" file picker
+async function importTokenListFile(input) {
+    const file = input.files[0];
+    input.value = ''; // Allow picking the same file again
+    if (!file) {
+        return;
+    }
+
+    try {
+        const result = importTokenList(JSON.parse(await file.text()));
+        const chains = Array.from(result.chainIds).map(chainId => window.CONFIG.getCurrentChainInfo(chainId).shortName);
+        showAddTokenStatus(
+            `✅ Imported ${result.added} token${result.added !== 1 ? 's' : ''}${chains.length ? ` (${chains.join(', ')})` : ''}` +
+            (result.skipped ? `, ${result.skipped} already listed` : ''),
+            'success'
+        );
+        await refreshTokenViews();
+    } catch (error) {
+        console.error('Error importing token list:', error);
+        showAddTokenStatus(error instanceof SyntaxError ? 'Token list is not valid JSON' : error.message, 'error');
+    }
+}
+
+window.importTokenListFile = importTokenListFile;
+
+function exportTokenList() {
+    const list = buildTokenList();
+    downloadFile('vault-tokens.tokenlist.json', JSON.stringify(list, null, 2), 'application/json');
+    showAddTokenStatus(`Exported ${list.tokens.length} tokens`, 'success');
+}
+
+window.exportTokenList = exportTokenList;
+
+// "Restore hidden" button: only shown while built-in tokens of the connected chain are hidden
+function updateHiddenTokensButton() {
+    const button = document.getElementById('restoreHiddenTokens');
+    const count = connectedChainId ? window.CONFIG.getHiddenTokens(connectedChainId).length : 0;
+    button.textContent = `Restore ${count} hidden`;
+    button.style.display = count > 0 ? 'inline-block' : 'none';
+}
+
+async function restoreHiddenTokenList() {
+    if (!connectedChainId) {
+        return;
+    }
+    const count = window.CONFIG.restoreHiddenTokens(connectedChainId);
+    showAddTokenStatus(`Restored ${count} built-in token${count !== 1 ? 's' : ''}`, 'success');
+    await refreshTokenViews();
+}
+
+window.restoreHiddenTokenList = restoreHiddenTokenList;
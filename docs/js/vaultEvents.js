@@ -0,0 +1,50 @@
+// vaultEvents.js - Vault event filters and local log decoding
+
+// Vault events we index, mapped to the bucket they accumulate into
+const VAULT_EVENT_BUCKETS = {
+    CallScheduled: 'scheduled',
+    CallExecuted: 'executed',
+    Cancelled: 'cancelled',
+    CallSalt: 'salt',
+    RecoveryExecution: 'recoveryExecution',
+    AllOperationsCancelled: 'allOperationsCancelled',
+    RoleGranted: 'roleGranted',
+    RoleRevoked: 'roleRevoked'
+};
+
+// Single log filter for every indexed vault event: the vault address plus a topic0 OR-list
+function getVaultEventFilter(contractInterface, address) {
+    const topics = Object.keys(VAULT_EVENT_BUCKETS).map(name => contractInterface.getEventTopic(name));
+    return {
+        address,
+        topics: [topics]
+    };
+}
+
+// Empty set of event buckets
+function createVaultEventBuckets() {
+    const buckets = {};
+    for (const bucket of Object.values(VAULT_EVENT_BUCKETS)) {
+        buckets[bucket] = [];
+    }
+    return buckets;
+}
+
+// Decode raw logs with the vault ABI and sort them into event buckets
+function decodeVaultLogs(contractInterface, logs) {
+    const buckets = createVaultEventBuckets();
+
+    for (const log of logs) {
+        try {
+            const event = hydrateEventLog(log, contractInterface);
+            const bucket = VAULT_EVENT_BUCKETS[event.event];
+            if (bucket) {
+                buckets[bucket].push(event);
+            }
+        } catch (error) {
+            console.warn('Skipping undecodable vault log:', log.transactionHash, error.message);
+        }
+    }
+
+    return buckets;
+}
@@ -0,0 +1,422 @@
+// vaults.js - Saved vault registry, header vault switcher and cross-vault overview
+
+const VAULT_REGISTRY_STORAGE_KEY = 'timelock-vault-registry';
+
+// Saved vaults: [{ id, label, chainId, address, notes, addedAt, snapshot }]
+// snapshot is the last known { pending, ready, recoveryMode, updatedAt } so vaults on other chains still show something
+function getVaultRegistry() {
+    try {
+        return JSON.parse(localStorage.getItem(VAULT_REGISTRY_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.error('Error reading vault registry:', error);
+        return [];
+    }
+}
+
+function saveVaultRegistry(vaults) {
+    localStorage.setItem(VAULT_REGISTRY_STORAGE_KEY, JSON.stringify(vaults));
+    renderVaultSwitcher();
+}
+
+// Registry entries share the event cache key format (chainId:lowercased address)
+function getVaultId(chainId, address) {
+    return getEventCacheKey(chainId, address);
+}
+
+function getRegistryVault(id) {
+    return getVaultRegistry().find(vault => vault.id === id) || null;
+}
+
+// Add a vault, or update the label/notes of one that is already saved
+function saveVaultToRegistry({ chainId, address, label, notes }) {
+    const vaults = getVaultRegistry();
+    const id = getVaultId(chainId, address);
+    const existing = vaults.find(vault => vault.id === id);
+
+    if (existing) {
+        if (label !== undefined) {
+            existing.label = label;
+        }
+        if (notes !== undefined) {
+            existing.notes = notes;
+        }
+    } else {
+        vaults.push({
+            id,
+            label: label || `Vault ${formatAddress(address)}`,
+            chainId,
+            address: ethers.utils.getAddress(address),
+            notes: notes || '',
+            addedAt: Date.now(),
+            snapshot: null
+        });
+    }
+
+    saveVaultRegistry(vaults);
+    return id;
+}
+
+// Remember the last known state of a vault for the overview
+function updateVaultSnapshot(chainId, address, snapshot) {
+    const vaults = getVaultRegistry();
+    const vault = vaults.find(item => item.id === getVaultId(chainId, address));
+    if (!vault) {
+        return;
+    }
+    vault.snapshot = { ...vault.snapshot, error: null, ...snapshot, updatedAt: Date.now() };
+    saveVaultRegistry(vaults);
+}
+
+// Chain the wallet is on (null when not connected)
+async function getConnectedChainId() {
+    if (!provider) {
+        return null;
+    }
+    const { chainId } = await provider.getNetwork();
+    return chainId;
+}
+
+// Save the vault the dApp just loaded, so addresses entered by hand end up in the registry too
+async function registerActiveVault() {
+    const chainId = await getConnectedChainId();
+    if (!chainId || !window.CONFIG.CONTRACT_ADDRESS) {
+        return;
+    }
+    if (!getRegistryVault(getVaultId(chainId, window.CONFIG.CONTRACT_ADDRESS))) {
+        saveVaultToRegistry({ chainId, address: window.CONFIG.CONTRACT_ADDRESS });
+    }
+    renderVaultSwitcher();
+}
+
+// Record pending counts and recovery mode for the vault that is loaded
+async function recordActiveVaultSnapshot(pendingOperations, isRecoveryMode) {
+    try {
+        const chainId = await getConnectedChainId();
+        if (!chainId || !window.CONFIG.CONTRACT_ADDRESS) {
+            return;
+        }
+        updateVaultSnapshot(chainId, window.CONFIG.CONTRACT_ADDRESS, {
+            pending: pendingOperations.length,
+            ready: pendingOperations.filter(operation => operation.status === 'Ready').length,
+            recoveryMode: isRecoveryMode
+        });
+        renderVaultOverview();
+    } catch (error) {
+        console.error('Error recording vault snapshot:', error);
+    }
+}
+
+// Load a saved vault. Vaults on another chain ask the wallet to switch networks first;
+// the page reloads on chainChanged and picks the saved address back up.
+async function switchVault(id) {
+    const vault = getRegistryVault(id);
+    if (!vault) {
+        return;
+    }
+
+    const chainId = await getConnectedChainId();
+    if (!chainId) {
+        window.CONFIG.CONTRACT_ADDRESS = vault.address;
+        saveContractAddressToStorage(vault.address);
+        updateContractAddressDisplay();
+        renderVaultSwitcher();
+        return;
+    }
+
+    if (chainId !== vault.chainId) {
+        await switchWalletNetwork(vault);
+        return;
+    }
+
+    if (vault.address.toLowerCase() !== (window.CONFIG.CONTRACT_ADDRESS || '').toLowerCase()) {
+        await switchContractAddress(vault.address);
+    }
+    switchMainTab('dashboard');
+}
+
+window.switchVault = switchVault;
+
+// Ask an injected wallet to change networks. Returns false when it can't or the user declined
+async function requestWalletNetwork(chainId) {
+    const ethereum = activeWalletConnector && activeWalletConnector.ethereum;
+    if (!ethereum) {
+        return false;
+    }
+
+    try {
+        await ethereum.request({
+            method: 'wallet_switchEthereumChain',
+            params: [{ chainId: ethers.utils.hexValue(chainId) }]
+        });
+        return true;
+    } catch (error) {
+        console.error('Error switching network:', error);
+        return false;
+    }
+}
+
+async function switchWalletNetwork(vault) {
+    const chainName = getCurrentChainInfo(vault.chainId).name;
+    const previousAddress = window.CONFIG.CONTRACT_ADDRESS;
+    saveContractAddressToStorage(vault.address);
+
+    if (!(await requestWalletNetwork(vault.chainId))) {
+        if (previousAddress) {
+            saveContractAddressToStorage(previousAddress);
+        } else {
+            localStorage.removeItem(CONTRACT_ADDRESS_STORAGE_KEY);
+        }
+        alert(`${vault.label} is on ${chainName}. Switch your wallet (or RPC) to ${chainName} to open it.`);
+        renderVaultSwitcher();
+    }
+}
+
+function handleVaultSwitcherChange(select) {
+    const value = select.value;
+    if (value === '__manage__') {
+        renderVaultSwitcher();
+        switchMainTab('vaults');
+        return;
+    }
+    switchVault(value);
+}
+
+window.handleVaultSwitcherChange = handleVaultSwitcherChange;
+
+// Header dropdown with every saved vault; vaults on other chains are labelled with their network
+async function renderVaultSwitcher() {
+    const select = document.getElementById('vaultSwitcher');
+    if (!select) {
+        return;
+    }
+
+    const vaults = getVaultRegistry();
+    select.style.display = vaults.length > 0 ? 'inline-block' : 'none';
+    if (vaults.length === 0) {
+        return;
+    }
+
+    const chainId = await getConnectedChainId();
+    const activeAddress = (window.CONFIG.CONTRACT_ADDRESS || '').toLowerCase();
+    const activeId = vaults.some(vault => vault.chainId === chainId && vault.address.toLowerCase() === activeAddress) ?
+        getVaultId(chainId, activeAddress) : '';
+
+    const options = vaults.map(vault => {
+        const network = chainId && vault.chainId !== chainId ? ` (${getCurrentChainInfo(vault.chainId).shortName})` : '';
+        return `<option value="${vault.id}" ${vault.id === activeId ? 'selected' : ''}>${escapeHtml(vault.label)}${network}</option>`;
+    });
+
+    select.innerHTML = `
+        ${activeId ? '' : '<option value="" selected disabled>Select vault</option>'}
+        ${options.join('')}
+        <option value="__manage__">Manage vaults…</option>
+    `;
+}
+
+// Count Waiting/Ready operations of any vault on the connected chain: cached CallScheduled logs
+// plus whatever was scheduled since, then one multicall for their states
+async function loadVaultOverviewState(vault) {
+    const vaultContract = new ethers.Contract(vault.address, window.CONFIG.CONTRACT_ABI, provider);
+    const latestBlock = await provider.getBlockNumber();
+    const record = await loadEventCache(vault.chainId, vault.address);
+
+    const scheduledLogs = record ? [...(record.logs.scheduled || [])] : [];
+    const fromBlock = record ? record.lastIndexedBlock + 1 : await findDeploymentBlock(provider, vault.address, latestBlock);
+    if (fromBlock <= latestBlock) {
+        const filter = {
+            address: vault.address,
+            topics: [vaultContract.interface.getEventTopic('CallScheduled')]
+        };
+        scheduledLogs.push(...await scanLogs(provider, filter, fromBlock, latestBlock));
+    }
+
+    const operationIds = [...new Set(scheduledLogs.map(log => hydrateEventLog(log, vaultContract.interface).args.id))];
+    const [recoveryMode, states] = await Promise.all([
+        vaultContract.recoveryMode(),
+        multicallContract(vaultContract, 'getOperationState', operationIds.map(id => [id]))
+    ]);
+    const statuses = states.map(state => describeOperationState(state).status);
+
+    return {
+        pending: statuses.filter(status => status === 'Waiting' || status === 'Ready').length,
+        ready: statuses.filter(status => status === 'Ready').length,
+        recoveryMode
+    };
+}
+
+// Refresh the snapshot of every saved vault on the connected chain
+async function refreshVaultOverview() {
+    const chainId = await getConnectedChainId();
+    if (!chainId) {
+        alert('Connect a wallet or RPC to refresh the overview.');
+        return;
+    }
+
+    const button = document.getElementById('refreshVaultOverview');
+    button.disabled = true;
+    button.textContent = 'Refreshing...';
+
+    try {
+        const vaults = getVaultRegistry().filter(vault => vault.chainId === chainId);
+        for (const vault of vaults) {
+            try {
+                updateVaultSnapshot(vault.chainId, vault.address, await loadVaultOverviewState(vault));
+            } catch (error) {
+                console.error(`Error refreshing ${vault.address}:`, error);
+                updateVaultSnapshot(vault.chainId, vault.address, { error: error.message });
+            }
+        }
+    } finally {
+        button.disabled = false;
+        button.textContent = 'Refresh All';
+        renderVaultOverview();
+    }
+}
+
+window.refreshVaultOverview = refreshVaultOverview;
+
+function createVaultStatusDisplay(snapshot) {
+    if (!snapshot) {
+        return '<span class="vault-status-unknown">Not loaded yet</span>';
+    }
+
+    const recovery = snapshot.recoveryMode ?
+        '<span class="vault-status-recovery">🚨 Recovery mode</span>' :
+        '<span class="vault-status-normal">Normal</span>';
+    const pending = snapshot.pending > 0 ?
+        `<span class="vault-status-pending">${snapshot.pending} pending${snapshot.ready > 0 ? ` (${snapshot.ready} ready)` : ''}</span>` :
+        '<span class="vault-status-idle">No pending operations</span>';
+    const error = snapshot.error ? `<div class="vault-status-error">Last refresh failed: ${escapeHtml(snapshot.error)}</div>` : '';
+
+    return `
+        ${recovery} · ${pending}
+        <div class="vault-status-updated">As of ${new Date(snapshot.updatedAt).toLocaleString()}</div>
+        ${error}
+    `;
+}
+
+// Overview of every saved vault with its last known pending operations and recovery mode
+async function renderVaultOverview() {
+    const list = document.getElementById('vaultOverviewList');
+    const summary = document.getElementById('vaultOverviewSummary');
+    if (!list || !summary) {
+        return;
+    }
+
+    const vaults = getVaultRegistry();
+    const chainId = await getConnectedChainId();
+    const activeAddress = (window.CONFIG.CONTRACT_ADDRESS || '').toLowerCase();
+
+    const totalPending = vaults.reduce((sum, vault) => sum + (vault.snapshot ? vault.snapshot.pending || 0 : 0), 0);
+    const inRecovery = vaults.filter(vault => vault.snapshot && vault.snapshot.recoveryMode).length;
+    summary.textContent = `${vaults.length} saved vault${vaults.length !== 1 ? 's' : ''} · ${totalPending} pending operation${totalPending !== 1 ? 's' : ''} · ${inRecovery} in recovery mode`;
+
+    if (vaults.length === 0) {
+        list.innerHTML = '<div class="no-vaults">No saved vaults yet. Vaults you open or deploy are added here automatically.</div>';
+        return;
+    }
+
+    list.innerHTML = vaults.map(vault => {
+        const isActive = vault.chainId === chainId && vault.address.toLowerCase() === activeAddress;
+        const otherChain = chainId && vault.chainId !== chainId;
+        return `
+            <div class="vault-card ${isActive ? 'active' : ''} ${vault.snapshot && vault.snapshot.recoveryMode ? 'recovery' : ''}">
+                <div class="vault-card-header">
+                    <span class="vault-card-label">${escapeHtml(vault.label)}</span>
+                    <span class="vault-card-network">${escapeHtml(getCurrentChainInfo(vault.chainId).name)}</span>
+                    ${isActive ? '<span class="vault-card-active">Open</span>' : ''}
+                </div>
+                <div class="vault-card-address">${vault.address}</div>
+                ${vault.notes ? `<div class="vault-card-notes">${escapeHtml(vault.notes)}</div>` : ''}
+                <div class="vault-card-status">${createVaultStatusDisplay(vault.snapshot)}</div>
+                <div class="vault-card-actions">
+                    ${isActive ? '' : `<button class="refresh-button" onclick="switchVault('${vault.id}')">${otherChain ? 'Switch Network & Open' : 'Open'}</button>`}
+                    <button class="refresh-button" onclick="editRegistryVault('${vault.id}')">Edit</button>
+                    <button class="refresh-button" onclick="removeRegistryVault('${vault.id}')">Remove</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+function editRegistryVault(id) {
+    const vault = getRegistryVault(id);
+    if (!vault) {
+        return;
+    }
+
+    const label = prompt('Vault label:', vault.label);
+    if (label === null) {
+        return;
+    }
+    const notes = prompt('Notes:', vault.notes);
+    if (notes === null) {
+        return;
+    }
+
+    saveVaultToRegistry({ chainId: vault.chainId, address: vault.address, label: label.trim() || vault.label, notes: notes.trim() });
+    renderVaultOverview();
+}
+
+window.editRegistryVault = editRegistryVault;
+
+function removeRegistryVault(id) {
+    const vault = getRegistryVault(id);
+    if (!vault || !confirm(`Remove ${vault.label} from your saved vaults? The vault itself is not affected.`)) {
+        return;
+    }
+
+    saveVaultRegistry(getVaultRegistry().filter(item => item.id !== id));
+    renderVaultOverview();
+}
+
+window.removeRegistryVault = removeRegistryVault;
+
+// Add a vault from the overview form (defaults to the connected chain)
+async function addVaultFromForm() {
+    const labelInput = document.getElementById('newVaultLabel');
+    const addressInput = document.getElementById('newVaultAddress');
+    const chainInput = document.getElementById('newVaultChainId');
+    const notesInput = document.getElementById('newVaultNotes');
+
+    const address = addressInput.value.trim();
+    const chainId = parseInt(chainInput.value, 10) || await getConnectedChainId();
+
+    if (!ethers.utils.isAddress(address)) {
+        alert('Invalid address format. Please enter a valid Ethereum address.');
+        return;
+    }
+    if (!chainId) {
+        alert('Enter the chain ID the vault is deployed on.');
+        return;
+    }
+    if (chainId === await getConnectedChainId()) {
+        try {
+            await validateTimelockVaultContract(address);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+    }
+
+    saveVaultToRegistry({
+        chainId,
+        address,
+        label: labelInput.value.trim() || undefined,
+        notes: notesInput.value.trim() || undefined
+    });
+
+    labelInput.value = '';
+    addressInput.value = '';
+    notesInput.value = '';
+    renderVaultOverview();
+}
+
+window.addVaultFromForm = addVaultFromForm;
+
+function initializeVaults() {
+    renderVaultSwitcher();
+    renderVaultOverview();
+}
+
+document.addEventListener('DOMContentLoaded', initializeVaults);
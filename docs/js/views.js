@@ -5,6 +5,68 @@ function formatAddress(address) {
     return `${address.slice(0, 6)}...${address.slice(-4)}`;
 }
 
+// When an operation becomes executable: proposal block time plus delay (counted from now until that time is known)
+function formatReadyTime(operation) {
+    const proposedAt = operation.proposedAt || Math.floor(Date.now() / 1000);
+    return new Date((proposedAt + operation.delay) * 1000).toLocaleString();
+}
+
+// Escape user-supplied text (ABI names, decoded strings) before putting it into HTML
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ERC721 and ERC1155 transfer functions, by selector
+const NFT_TRANSFER_FUNCTIONS = {
+    '0x42842e0e': { standard: 'ERC-721', types: ['address', 'address', 'uint256'] }, // safeTransferFrom(address,address,uint256)
+    '0xb88d4fde': { standard: 'ERC-721', types: ['address', 'address', 'uint256', 'bytes'] }, // safeTransferFrom(address,address,uint256,bytes)
+    '0xf242432a': { standard: 'ERC-1155', types: ['address', 'address', 'uint256', 'uint256', 'bytes'] }, // safeTransferFrom(address,address,uint256,uint256,bytes)
+    '0x2eb2c2d6': { standard: 'ERC-1155', types: ['address', 'address', 'uint256[]', 'uint256[]', 'bytes'] } // safeBatchTransferFrom(...)
+};
+
+// Decode an NFT transfer call: { standard, contractAddress, from, to, items: [{ tokenId, amount }] }, or null
+function decodeNftTransfer(call) {
+    if (!call.data || call.data.length < 10) {
+        return null;
+    }
+    const nftFunction = NFT_TRANSFER_FUNCTIONS[call.data.slice(0, 10).toLowerCase()];
+    if (!nftFunction) {
+        return null;
+    }
+
+    try {
+        const args = ethers.utils.defaultAbiCoder.decode(nftFunction.types, '0x' + call.data.slice(10));
+        const ids = Array.isArray(args[2]) ? args[2] : [args[2]];
+        const amounts = nftFunction.standard === 'ERC-1155' ? (Array.isArray(args[3]) ? args[3] : [args[3]]) : ids.map(() => 1);
+        return {
+            standard: nftFunction.standard,
+            contractAddress: call.target,
+            from: args[0],
+            to: args[1],
+            items: ids.map((tokenId, index) => ({ tokenId: tokenId.toString(), amount: amounts[index].toString() }))
+        };
+    } catch (error) {
+        console.log('Error decoding NFT transfer data:', error);
+        return null;
+    }
+}
+
+// Token ids can be 78 digits long; keep titles readable
+function formatNftTokenId(tokenId) {
+    return tokenId.length > 14 ? `${tokenId.slice(0, 6)}...${tokenId.slice(-4)}` : tokenId;
+}
+
+function describeNftItems(transactionInfo) {
+    return transactionInfo.items.map(item =>
+        `#${formatNftTokenId(item.tokenId)}${transactionInfo.standard === 'ERC-1155' ? ` ×${item.amount}` : ''}`
+    ).join(', ');
+}
+
 // Analyze recovery transaction type
 function analyzeRecoveryTransactionType(operation) {
     const call = operation.calls[0];
@@ -54,13 +116,40 @@ function analyzeRecoveryTransactionType(operation) {
         }
     }
     
-    // Default: generic recovery operation
+    // Check for ERC721/ERC1155 transfer
+    const nftTransfer = decodeNftTransfer(call);
+    if (nftTransfer) {
+        return {
+            type: 'nft_transfer',
+            displayName: 'Recovery NFT Transfer',
+            ...nftTransfer
+        };
+    }
+    
+    // Default: generic recovery operation, named after the decoded function when we know it
+    const decoded = decodeCalldata(call.target, call.data);
     return {
         type: 'generic',
-        displayName: 'Recovery Operation'
+        displayName: decoded ? `Recovery: ${decoded.name}` : 'Recovery Operation'
     };
 }
 
+// Map a TimelockController OperationState to the label and style shown on cards
+function describeOperationState(state) {
+    switch (state) {
+        case 0: // Unset
+            return { status: 'Cancelled', statusClass: 'status-unset' };
+        case 1: // Waiting
+            return { status: 'Waiting', statusClass: 'status-waiting' };
+        case 2: // Ready
+            return { status: 'Ready', statusClass: 'status-ready' };
+        case 3: // Done
+            return { status: 'Executed', statusClass: 'status-done' };
+        default: // Unknown state or the call failed
+            return { status: 'Unknown', statusClass: 'status-unset' };
+    }
+}
+
 // Analyze transaction type for better display
 function analyzeTransactionType(calls) {
     if (calls.length === 1) {
@@ -124,12 +213,27 @@ function analyzeTransactionType(calls) {
                 }
             }
         }
+        
+        // Check for ERC721/ERC1155 transfer
+        const nftTransfer = decodeNftTransfer(call);
+        if (nftTransfer) {
+            return {
+                type: 'nft_transfer',
+                displayName: '🖼️ NFT Transfer',
+                ...nftTransfer
+            };
+        }
     }
     
     // Default: generic transaction
     let displayName = '⚙️ Smart Contract Call';
     if (calls.length > 1) {
         displayName = '📦 Batch Operation';
+    } else {
+        const decoded = decodeCalldata(calls[0].target, calls[0].data);
+        if (decoded) {
+            displayName = `⚙️ ${decoded.name}`;
+        }
     }
     
     return {
@@ -164,6 +268,8 @@ function createRoleManagementDisplay(transactionInfo, operation) {
                     <span class="detail-value address-value">${operation.transactionHash}</span>
                 </div>
             </div>
+            
+            ${createDecodedCallsSection(operation.calls)}
         </div>
     `;
 }
@@ -228,6 +334,8 @@ function createRecoveryTokenTransferDisplay(transactionInfo, operation) {
                     <span class="detail-value address-value">${operation.transactionHash}</span>
                 </div>
             </div>
+            
+            ${createDecodedCallsSection(operation.calls)}
         </div>
     `;
 }
@@ -262,6 +370,8 @@ function createRecoveryGenericDisplay(operation) {
                     <span class="detail-value address-value">${operation.transactionHash}</span>
                 </div>
             </div>
+            
+            ${createDecodedCallsSection(operation.calls)}
         </div>
     `;
 }
@@ -297,7 +407,7 @@ function createETHTransferDisplay(transactionInfo, operation) {
                 </div>
                 <div class="detail-row">
                     <span class="detail-label">Ready Time</span>
-                    <span class="detail-value">${new Date((Math.floor(Date.now() / 1000) + operation.delay) * 1000).toLocaleString()}</span>
+                    <span class="detail-value">${formatReadyTime(operation)}</span>
                 </div>
             </div>
         </div>
@@ -311,7 +421,7 @@ function createTokenTransferDisplay(transactionInfo, operation) {
             <div class="transaction-summary">
                 <div class="transaction-icon">🪙</div>
                 <div class="transaction-info">
-                    <div class="transaction-title">Send ${transactionInfo.amount} ${transactionInfo.tokenSymbol}</div>
+                    <div class="transaction-title">Send ${transactionInfo.amount} ${escapeHtml(transactionInfo.tokenSymbol)}</div>
                     <div class="transaction-subtitle">to ${formatAddress(transactionInfo.to)}</div>
                 </div>
             </div>
@@ -320,7 +430,7 @@ function createTokenTransferDisplay(transactionInfo, operation) {
                 <div class="detail-row">
                     <span class="detail-label">Token</span>
                     <span class="detail-value">
-                        ${transactionInfo.tokenName} (${transactionInfo.tokenSymbol})
+                        ${escapeHtml(transactionInfo.tokenName)} (${escapeHtml(transactionInfo.tokenSymbol)})
                         <span class="address-value">${transactionInfo.tokenAddress}</span>
                     </span>
                 </div>
@@ -330,7 +440,7 @@ function createTokenTransferDisplay(transactionInfo, operation) {
                 </div>
                 <div class="detail-row">
                     <span class="detail-label">Amount</span>
-                    <span class="detail-value">${transactionInfo.amount} ${transactionInfo.tokenSymbol}</span>
+                    <span class="detail-value">${transactionInfo.amount} ${escapeHtml(transactionInfo.tokenSymbol)}</span>
                 </div>
                 <div class="detail-row">
                     <span class="detail-label">Transaction Hash</span>
@@ -342,7 +452,92 @@ function createTokenTransferDisplay(transactionInfo, operation) {
                 </div>
                 <div class="detail-row">
                     <span class="detail-label">Ready Time</span>
-                    <span class="detail-value">${new Date((Math.floor(Date.now() / 1000) + operation.delay) * 1000).toLocaleString()}</span>
+                    <span class="detail-value">${formatReadyTime(operation)}</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Rows shared by the NFT transfer displays
+function createNftTransferRows(transactionInfo) {
+    const fromOtherAccount = window.CONFIG.CONTRACT_ADDRESS &&
+        transactionInfo.from.toLowerCase() !== window.CONFIG.CONTRACT_ADDRESS.toLowerCase();
+    return `
+        <div class="detail-row">
+            <span class="detail-label">${transactionInfo.standard} Contract</span>
+            <span class="detail-value address-value">${transactionInfo.contractAddress}</span>
+        </div>
+        <div class="detail-row">
+            <span class="detail-label">Token ID${transactionInfo.items.length > 1 ? 's' : ''}</span>
+            <span class="detail-value address-value">${transactionInfo.items.map(item =>
+                transactionInfo.standard === 'ERC-1155' ? `${item.tokenId} (×${item.amount})` : item.tokenId
+            ).join(', ')}</span>
+        </div>
+        ${fromOtherAccount ? `
+        <div class="detail-row">
+            <span class="detail-label">From</span>
+            <span class="detail-value address-value">${transactionInfo.from} (not the vault - needs an approval)</span>
+        </div>` : ''}
+        <div class="detail-row">
+            <span class="detail-label">Recipient</span>
+            <span class="detail-value address-value">${transactionInfo.to}</span>
+        </div>
+    `;
+}
+
+// Create NFT transfer display
+function createNftTransferDisplay(transactionInfo, operation) {
+    return `
+        <div class="operation-details transaction-display nft-transfer">
+            <div class="transaction-summary">
+                <div class="transaction-icon">🖼️</div>
+                <div class="transaction-info">
+                    <div class="transaction-title">Send ${transactionInfo.standard} ${describeNftItems(transactionInfo)}</div>
+                    <div class="transaction-subtitle">to ${formatAddress(transactionInfo.to)}</div>
+                </div>
+            </div>
+            
+            <div class="transaction-details">
+                ${createNftTransferRows(transactionInfo)}
+                <div class="detail-row">
+                    <span class="detail-label">Transaction Hash</span>
+                    <span class="detail-value address-value">${operation.transactionHash}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Delay Period</span>
+                    <span class="detail-value">${operation.delay} seconds (${Math.round(operation.delay / 3600)} hours)</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Ready Time</span>
+                    <span class="detail-value">${formatReadyTime(operation)}</span>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Create recovery NFT transfer display
+function createRecoveryNftTransferDisplay(transactionInfo, operation) {
+    return `
+        <div class="operation-details transaction-display recovery-nft-transfer">
+            <div class="transaction-summary">
+                <div class="transaction-icon">🚨🖼️</div>
+                <div class="transaction-info">
+                    <div class="transaction-title">Recovery ${transactionInfo.standard} Transfer: ${describeNftItems(transactionInfo)}</div>
+                    <div class="transaction-subtitle">to ${formatAddress(transactionInfo.to)}</div>
+                </div>
+            </div>
+            
+            <div class="transaction-details">
+                ${createNftTransferRows(transactionInfo)}
+                <div class="detail-row">
+                    <span class="detail-label">Recoverer</span>
+                    <span class="detail-value address-value">${operation.executor}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Transaction Hash</span>
+                    <span class="detail-value address-value">${operation.transactionHash}</span>
                 </div>
             </div>
         </div>
@@ -380,9 +575,144 @@ function createGenericTransactionDisplay(operation) {
                 </div>
                 <div class="detail-row">
                     <span class="detail-label">Ready Time</span>
-                    <span class="detail-value">${new Date((Math.floor(Date.now() / 1000) + operation.delay) * 1000).toLocaleString()}</span>
+                    <span class="detail-value">${formatReadyTime(operation)}</span>
                 </div>
             </div>
+            
+            ${createDecodedCallsSection(operation.calls)}
         </div>
     `;
 }
+
+// Render one decoded call (and any calls nested inside it)
+function createDecodedCallDisplay(call, label) {
+    const valueText = call.value && !call.value.isZero() ? `<span class="decoded-call-value">${ethers.utils.formatEther(call.value)} ETH</span>` : '';
+
+    if (!call.data || call.data === '0x') {
+        return `
+            <div class="decoded-call">
+                <div class="decoded-call-header">
+                    <span class="decoded-call-label">${label}</span>
+                    <span class="decoded-function">ETH transfer</span>
+                    to <span class="address-value">${call.target}</span>
+                    ${valueText}
+                </div>
+            </div>
+        `;
+    }
+
+    if (!call.decoded) {
+        return `
+            <div class="decoded-call">
+                <div class="decoded-call-header">
+                    <span class="decoded-call-label">${label}</span>
+                    <span class="decoded-function unknown">Unknown function ${call.data.slice(0, 10)}</span>
+                    on <span class="address-value">${call.target}</span>
+                    ${valueText}
+                </div>
+                <div class="decoded-raw-data">${call.data}</div>
+            </div>
+        `;
+    }
+
+    const decoded = call.decoded;
+    return `
+        <div class="decoded-call">
+            <div class="decoded-call-header">
+                <span class="decoded-call-label">${label}</span>
+                <span class="decoded-function" title="${escapeHtml(decoded.signature)}">${escapeHtml(decoded.name)}</span>
+                on <span class="address-value">${call.target}</span>
+                ${valueText}
+                <span class="decoded-source">${escapeHtml(decoded.source)}</span>
+            </div>
+            ${decoded.params.length > 0 ? `
+                <div class="decoded-args">
+                    ${decoded.params.map(param => `
+                        <div class="decoded-arg">
+                            <span class="decoded-arg-name">${escapeHtml(param.name)}</span>
+                            <span class="decoded-arg-type">${escapeHtml(param.type)}</span>
+                            <span class="decoded-arg-value">${escapeHtml(param.value)}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${decoded.nestedCalls.length > 0 ? `
+                <div class="decoded-nested">
+                    ${decoded.nestedCalls.map((nestedCall, index) => createDecodedCallDisplay(nestedCall, `↳ ${index + 1}`)).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// Decoded view of every call in an operation
+function createDecodedCallsSection(calls) {
+    return `
+        <div class="decoded-calls">
+            ${calls.map((call, index) => createDecodedCallDisplay(decodeOperationCall(call), calls.length > 1 ? `#${index + 1}` : '')).join('')}
+        </div>
+    `;
+}
+
+// Create the balance effect panel for a pending operation
+function createBalanceEffectDisplay(effect) {
+    if (!effect) {
+        return '';
+    }
+
+    if (effect.length === 0) {
+        return `
+            <div class="balance-effect">
+                <div class="balance-effect-title">Balance effect</div>
+                <div class="balance-effect-none">No change to the vault's ETH or token balances</div>
+            </div>
+        `;
+    }
+
+    const rows = effect.map(row => {
+        const sign = row.delta.isNegative() ? '' : '+';
+        const amount = `${sign}${ethers.utils.formatUnits(row.delta, row.decimals)} ${escapeHtml(row.symbol)}`;
+
+        let balanceText;
+        if (!row.tracked) {
+            balanceText = 'untracked token - raw units, balance unknown';
+        } else if (row.balance) {
+            balanceText = `${ethers.utils.formatUnits(row.balance, row.decimals)} → ${ethers.utils.formatUnits(row.after, row.decimals)}`;
+        } else {
+            balanceText = 'balance unavailable';
+        }
+
+        let warning = '';
+        if (row.insufficient) {
+            warning = `<div class="balance-effect-warning">⚠️ Insufficient balance: the vault holds ${ethers.utils.formatUnits(row.balance, row.decimals)} ${escapeHtml(row.symbol)}</div>`;
+        } else if (row.insufficientWithPending) {
+            warning = `<div class="balance-effect-warning">⚠️ Together with other pending operations this exceeds the vault's ${escapeHtml(row.symbol)} balance</div>`;
+        }
+
+        return `
+            <div class="balance-effect-row ${row.delta.isNegative() ? 'outflow' : 'inflow'}">
+                <span class="balance-effect-amount">${amount}</span>
+                <span class="balance-effect-balance">${balanceText}</span>
+                ${warning}
+            </div>
+        `;
+    });
+
+    const flagged = effect.some(row => row.insufficient);
+    return `
+        <div class="balance-effect ${flagged ? 'insufficient' : ''}">
+            <div class="balance-effect-title">Balance effect</div>
+            ${rows.join('')}
+        </div>
+    `;
+}
+
+// Save generated text (exports, unsigned transactions) as a file download
+function downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
@@ -0,0 +1,283 @@
+// wallets.js - Wallet discovery (EIP-6963) and pluggable wallet connectors
+//
+// A connector is an object with:
+//   id, name, icon (URL or emoji), canSign
+//   isAvailable()                    -> whether it can be offered in the picker
+//   connect({ silent })              -> { provider, address }; silent reconnects without prompting and
+//                                       returns a null address when the user has to approve first
+//   getSigner()                      -> ethers Signer for sending transactions
+//   subscribe({ onAccountsChanged, onChainChanged, onDisconnect }) -> unsubscribe function
+// Register extra connectors (e.g. WalletConnect) with registerWalletConnector().
+
+const WALLET_STORAGE_KEY = 'timelock-vault-wallet';
+const READONLY_RPC_STORAGE_KEY = 'timelock-vault-readonly-rpc';
+
+// How long to wait for EIP-6963 wallets to announce themselves
+const WALLET_DISCOVERY_TIMEOUT = 300;
+
+const walletConnectors = [];
+let activeWalletConnector = null;
+
+function registerWalletConnector(connector) {
+    const existing = walletConnectors.findIndex(item => item.id === connector.id);
+    if (existing >= 0) {
+        walletConnectors[existing] = connector;
+    } else {
+        walletConnectors.push(connector);
+    }
+    renderWalletPicker();
+}
+
+// Available connectors: browser wallets first, then other signers, then read-only
+function getWalletConnectors() {
+    const rank = connector => (connector.ethereum ? 2 : 0) + (connector.canSign ? 1 : 0);
+    return walletConnectors
+        .filter(connector => connector.isAvailable())
+        .sort((a, b) => rank(b) - rank(a));
+}
+
+function getWalletConnector(id) {
+    return getWalletConnectors().find(connector => connector.id === id) || null;
+}
+
+// Connector for an EIP-1193 provider injected into the page
+function createInjectedConnector({ id, name, icon, ethereum }) {
+    let web3Provider = null;
+
+    return {
+        id,
+        name,
+        icon,
+        canSign: true,
+        ethereum,
+        isAvailable: () => !!ethereum,
+        async connect({ silent = false } = {}) {
+            const accounts = await ethereum.request({ method: silent ? 'eth_accounts' : 'eth_requestAccounts' });
+            if (accounts.length === 0) {
+                if (silent) {
+                    return { provider: null, address: null };
+                }
+                throw new Error(`No accounts found. Please make sure ${name} is unlocked.`);
+            }
+
+            web3Provider = new ethers.providers.Web3Provider(ethereum);
+            const address = await web3Provider.getSigner().getAddress();
+            return { provider: web3Provider, address };
+        },
+        getSigner() {
+            return web3Provider.getSigner();
+        },
+        subscribe({ onAccountsChanged, onChainChanged, onDisconnect }) {
+            if (!ethereum.on) {
+                return () => {};
+            }
+            ethereum.on('accountsChanged', onAccountsChanged);
+            ethereum.on('chainChanged', onChainChanged);
+            ethereum.on('disconnect', onDisconnect);
+            return () => {
+                if (ethereum.removeListener) {
+                    ethereum.removeListener('accountsChanged', onAccountsChanged);
+                    ethereum.removeListener('chainChanged', onChainChanged);
+                    ethereum.removeListener('disconnect', onDisconnect);
+                }
+            };
+        }
+    };
+}
+
+// Read-only connector over a plain JSON-RPC endpoint: views the vault without a wallet, can't sign
+function createReadOnlyConnector() {
+    let rpcProvider = null;
+
+    return {
+        id: 'readonly',
+        name: 'Read-only (JSON-RPC)',
+        icon: '👁️',
+        canSign: false,
+        isAvailable: () => true,
+        async connect({ silent = false, rpcUrl = null } = {}) {
+            let url = rpcUrl || localStorage.getItem(READONLY_RPC_STORAGE_KEY);
+            if (!silent && !rpcUrl) {
+                url = prompt('JSON-RPC URL to read the vault from:', url || 'http://127.0.0.1:8545');
+            }
+            if (!url) {
+                if (silent) {
+                    return { provider: null, address: null };
+                }
+                throw new Error('No RPC URL entered');
+            }
+            if (!isHttpRpcUrl(url.trim())) {
+                throw new Error('The RPC URL must start with http:// or https://');
+            }
+
+            rpcProvider = new ethers.providers.JsonRpcProvider(url.trim());
+            await rpcProvider.getNetwork(); // Fail early on a bad URL
+            if (!rpcUrl) {
+                localStorage.setItem(READONLY_RPC_STORAGE_KEY, url.trim());
+            }
+            return { provider: rpcProvider, address: null };
+        },
+        getSigner() {
+            throw new Error('This is a read-only connection. Connect a wallet to sign transactions.');
+        },
+        subscribe() {
+            return () => {};
+        }
+    };
+}
+
+// EIP-6963: every wallet announces itself with its own provider, so several can coexist
+function handleWalletAnnouncement(event) {
+    const { info, provider: ethereum } = event.detail || {};
+    if (!info || !ethereum) {
+        return;
+    }
+
+    console.log('Wallet announced:', info.name, info.rdns);
+    registerWalletConnector(createInjectedConnector({
+        id: info.rdns || info.uuid,
+        name: info.name,
+        icon: info.icon,
+        ethereum
+    }));
+}
+
+window.addEventListener('eip6963:announceProvider', handleWalletAnnouncement);
+
+// Ask wallets to announce themselves, then add window.ethereum for wallets that don't support EIP-6963
+async function discoverWallets() {
+    window.dispatchEvent(new Event('eip6963:requestProvider'));
+    await new Promise(resolve => setTimeout(resolve, WALLET_DISCOVERY_TIMEOUT));
+
+    const legacy = window.ethereum;
+    const alreadyAnnounced = walletConnectors.some(connector => connector.ethereum === legacy);
+    if (legacy && !alreadyAnnounced) {
+        registerWalletConnector(createInjectedConnector({
+            id: 'injected',
+            name: legacy.isMetaMask ? 'MetaMask' : 'Browser Wallet',
+            icon: '🦊',
+            ethereum: legacy
+        }));
+    }
+
+    return getWalletConnectors();
+}
+
+function hasBrowserWallet() {
+    return getWalletConnectors().some(connector => !!connector.ethereum);
+}
+
+// Connect through a connector and remember it for the next visit (unless options.remember is false)
+async function connectWalletConnector(id, options = {}) {
+    const connector = getWalletConnector(id);
+    if (!connector) {
+        throw new Error(`Wallet "${id}" is not available`);
+    }
+
+    const connection = await connector.connect(options);
+    if (connection.provider) {
+        activeWalletConnector = connector;
+        if (options.remember !== false) {
+            localStorage.setItem(WALLET_STORAGE_KEY, id);
+        }
+    }
+    return connection;
+}
+
+function disconnectWalletConnector() {
+    activeWalletConnector = null;
+    localStorage.removeItem(WALLET_STORAGE_KEY);
+}
+
+function getSavedWalletId() {
+    return localStorage.getItem(WALLET_STORAGE_KEY);
+}
+
+// Signer for sending transactions. Every transaction in the dApp goes through here
+function getWalletSigner() {
+    if (!activeWalletConnector) {
+        throw new Error('No wallet connected');
+    }
+    return activeWalletConnector.getSigner();
+}
+
+function canActiveWalletSign() {
+    return !!activeWalletConnector && activeWalletConnector.canSign;
+}
+
+// The read-only connector uses a JsonRpcProvider, which only speaks HTTP(S) - ws(s):// URLs can't be opened
+function isHttpRpcUrl(url) {
+    return /^https?:\/\//i.test(url);
+}
+
+// Watch link parameters: ?rpc=<JSON-RPC URL>&vault=<address>. Either can be given on its own
+function getWatchParams() {
+    const params = new URLSearchParams(window.location.search);
+    const rpcUrl = params.get('rpc');
+    const vault = params.get('vault');
+
+    return {
+        rpcUrl: rpcUrl && isHttpRpcUrl(rpcUrl) ? rpcUrl : null,
+        vault: vault && ethers.utils.isAddress(vault) ? ethers.utils.getAddress(vault) : null
+    };
+}
+
+// Shareable link that opens the current vault in watch-only mode over an RPC URL
+function buildWatchLink(rpcUrl, vault) {
+    const url = new URL(window.location.href);
+    url.search = new URLSearchParams({ rpc: rpcUrl, vault }).toString();
+    url.hash = '';
+    return url.toString();
+}
+
+// Render an icon from a data/https URL or fall back to text (emoji)
+function renderWalletIcon(icon) {
+    if (icon && /^(data:image\/|https:\/\/)/.test(icon)) {
+        return `<img class="wallet-option-icon" src="${escapeHtml(icon)}" alt="">`;
+    }
+    return `<span class="wallet-option-icon">${escapeHtml(icon || '💼')}</span>`;
+}
+
+function renderWalletPicker() {
+    const list = document.getElementById('walletPickerList');
+    if (!list) {
+        return;
+    }
+
+    const connectors = getWalletConnectors();
+    const installHint = hasBrowserWallet() ? '' : `
+        <a class="wallet-install-link" href="${window.CONFIG.UI_CONFIG.METAMASK_INSTALL_URL}" target="_blank" rel="noopener">
+            No browser wallet found - install MetaMask
+        </a>
+    `;
+
+    list.innerHTML = connectors.map(connector => `
+        <button class="wallet-option" data-wallet-id="${escapeHtml(connector.id)}">
+            ${renderWalletIcon(connector.icon)}
+            <span>${escapeHtml(connector.name)}</span>
+        </button>
+    `).join('') + installHint;
+
+    // Ids can be EIP-6963 rdns strings announced by any extension, so they never go into inline handlers
+    list.querySelectorAll('.wallet-option').forEach(button => {
+        button.addEventListener('click', () => selectWallet(button.dataset.walletId));
+    });
+}
+
+function showWalletPicker() {
+    renderWalletPicker();
+    document.getElementById('walletPicker').style.display = 'block';
+}
+
+function hideWalletPicker() {
+    document.getElementById('walletPicker').style.display = 'none';
+}
+
+window.hideWalletPicker = hideWalletPicker;
+
+function selectWallet(id) {
+    hideWalletPicker();
+    connectWallet(id);
+}
+
+registerWalletConnector(createReadOnlyConnector());
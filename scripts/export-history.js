@@ -0,0 +1,178 @@
+const fs = require("fs");
+const path = require("path");
+const { loadDappScripts, loadAbiLibraryFile } = require("./utils/dapp");
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    rpcUrl: null,
+    vault: null,
+    fromBlock: null,
+    toBlock: null,
+    fromDate: null,
+    toDate: null,
+    format: null,
+    output: null,
+    abiLibrary: null,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--rpc') {
+      options.rpcUrl = args[++i];
+    } else if (arg === '--vault') {
+      options.vault = args[++i];
+    } else if (arg === '--from-block') {
+      options.fromBlock = parseInt(args[++i]);
+    } else if (arg === '--to-block') {
+      options.toBlock = parseInt(args[++i]);
+    } else if (arg === '--from-date') {
+      options.fromDate = args[++i];
+    } else if (arg === '--to-date') {
+      options.toDate = args[++i];
+    } else if (arg === '--format') {
+      options.format = args[++i];
+    } else if (arg === '--output' || arg === '-o') {
+      options.output = args[++i];
+    } else if (arg === '--abi-library') {
+      options.abiLibrary = args[++i];
+    }
+  }
+
+  // Then check environment variables as fallback
+  if (options.rpcUrl === null) {
+    options.rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  }
+  if (options.vault === null && process.env.VAULT_ADDRESS) {
+    options.vault = process.env.VAULT_ADDRESS;
+  }
+  if (options.abiLibrary === null && process.env.ABI_LIBRARY) {
+    options.abiLibrary = process.env.ABI_LIBRARY;
+  }
+  if (options.format === null) {
+    // Default to the output file's extension, then CSV
+    const extension = options.output ? path.extname(options.output).slice(1).toLowerCase() : "";
+    options.format = extension === "json" ? "json" : "csv";
+  }
+
+  return options;
+}
+
+// Dates are whole days in UTC, like the export form in the dApp
+function parseDate(value, endOfDay) {
+  const time = Date.parse(value);
+  if (isNaN(time)) {
+    throw new Error(`Invalid date: ${value} (expected YYYY-MM-DD)`);
+  }
+  return time / 1000 + (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? 24 * 60 * 60 - 1 : 0);
+}
+
+async function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    showUsage();
+    return;
+  }
+
+  // The dApp scripts log progress with console.log; keep stdout for the report
+  console.log = console.error;
+  loadDappScripts();
+  if (options.abiLibrary) {
+    loadAbiLibraryFile(options.abiLibrary);
+  }
+
+  if (!options.vault || !ethers.utils.isAddress(options.vault)) {
+    throw new Error("A valid vault address is required (--vault or VAULT_ADDRESS)");
+  }
+  if (!["csv", "json"].includes(options.format)) {
+    throw new Error(`Unknown format "${options.format}" (use csv or json)`);
+  }
+
+  const range = {
+    fromBlock: isNaN(options.fromBlock) ? null : options.fromBlock,
+    toBlock: isNaN(options.toBlock) ? null : options.toBlock,
+    fromTime: options.fromDate ? parseDate(options.fromDate, false) : null,
+    toTime: options.toDate ? parseDate(options.toDate, true) : null
+  };
+
+  const provider = new ethers.providers.JsonRpcProvider(options.rpcUrl);
+  const network = await provider.getNetwork();
+  window.CONFIG.updateTokensForChain(network.chainId);
+
+  const contract = new ethers.Contract(options.vault, window.CONFIG.CONTRACT_ABI, provider);
+  const latestBlock = await provider.getBlockNumber();
+
+  // Scan the vault's whole life: operations proposed before the range can still be executed inside it,
+  // and ones proposed inside it should show how they ended
+  const startBlock = await findDeploymentBlock(provider, options.vault, latestBlock);
+  console.error(`Scanning ${options.vault} on chain ${network.chainId} from block ${startBlock} to ${latestBlock}...`);
+
+  const filter = getVaultEventFilter(contract.interface, contract.address);
+  const logs = await scanLogs(provider, filter, startBlock, latestBlock);
+  const buckets = decodeVaultLogs(contract.interface, logs);
+  const records = await buildOperationHistory(contract, buckets, range);
+
+  const content = options.format === "csv"
+    ? toHistoryCsv(records)
+    : toHistoryJson(records, {
+      vault: ethers.utils.getAddress(options.vault),
+      chainId: network.chainId,
+      network: window.CONFIG.getCurrentChainInfo(network.chainId).name,
+      range
+    });
+
+  if (options.output) {
+    fs.writeFileSync(path.resolve(options.output), content);
+    console.error(`Wrote ${records.length} records to ${options.output}`);
+  } else {
+    process.stdout.write(content);
+  }
+}
+
+// Usage information
+function showUsage() {
+  console.log(`
+Usage: node scripts/export-history.js --vault <address> [options]
+
+Exports every operation of a TimelockVault with activity in a block or date range: id, status, calls,
+decoded intent, proposer and proposal transaction, scheduled/ready/executed timestamps and executor,
+plus recovery executions and cancel-all epochs. Produces the same report as the Operations tab's
+Export History.
+
+Options:
+  --rpc <url>                    JSON-RPC endpoint (default: http://127.0.0.1:8545)
+  --vault <address>              TimelockVault address
+  --from-block <number>          First block (default: the vault's deployment block)
+  --to-block <number>            Last block (default: latest)
+  --from-date <YYYY-MM-DD>       First day, UTC
+  --to-date <YYYY-MM-DD>         Last day, UTC (inclusive)
+  --format <csv|json>            Output format (default: from the --output extension, else csv)
+  --output, -o <file>            Write to a file instead of stdout
+  --abi-library <file>           Saved ABIs ({ "<address>": { "name": "...", "abi": [...] } }) for decoding
+  --help                         Show this help message
+
+Environment Variables (alternative to command line options):
+  RPC_URL, VAULT_ADDRESS, ABI_LIBRARY
+
+Examples:
+  # Everything the vault has done, as CSV
+  node scripts/export-history.js --vault 0x5FbDB2315678afecb367f032d93F642f64180aa3 > history.csv
+
+  # One quarter as JSON
+  node scripts/export-history.js --vault 0x5FbDB2315678afecb367f032d93F642f64180aa3 \\
+    --from-date 2024-01-01 --to-date 2024-03-31 -o q1.json
+`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,425 @@
+const fs = require("fs");
+const path = require("path");
+const { loadDappScripts, loadAbiLibraryFile } = require("./utils/dapp");
+const { createChannels, dispatchNotification } = require("./utils/notifiers");
+
+// Event types a channel can subscribe to
+const NOTIFICATION_TYPES = [
+  "CallScheduled",
+  "OperationReady",
+  "RecoveryModeTriggered",
+  "AllOperationsCancelled",
+  "RoleGranted",
+  "RoleRevoked"
+];
+
+// TimelockController operation states
+const OPERATION_STATE_WAITING = 1;
+const OPERATION_STATE_READY = 2;
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    rpcUrl: null,
+    vault: null,
+    config: null,
+    state: null,
+    abiLibrary: null,
+    fromBlock: null,
+    pollInterval: null,
+    once: false,
+    test: false,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--rpc') {
+      options.rpcUrl = args[++i];
+    } else if (arg === '--vault') {
+      options.vault = args[++i];
+    } else if (arg === '--config') {
+      options.config = args[++i];
+    } else if (arg === '--state') {
+      options.state = args[++i];
+    } else if (arg === '--abi-library') {
+      options.abiLibrary = args[++i];
+    } else if (arg === '--from-block') {
+      options.fromBlock = parseInt(args[++i]);
+    } else if (arg === '--poll-interval') {
+      options.pollInterval = parseInt(args[++i]);
+    } else if (arg === '--once') {
+      options.once = true;
+    } else if (arg === '--test') {
+      options.test = true;
+    }
+  }
+
+  // Then check environment variables as fallback
+  if (options.rpcUrl === null) {
+    options.rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  }
+  if (options.vault === null && process.env.VAULT_ADDRESS) {
+    options.vault = process.env.VAULT_ADDRESS;
+  }
+  if (options.config === null && process.env.NOTIFY_CONFIG) {
+    options.config = process.env.NOTIFY_CONFIG;
+  }
+  if (options.state === null && process.env.NOTIFY_STATE) {
+    options.state = process.env.NOTIFY_STATE;
+  }
+  if (options.abiLibrary === null && process.env.ABI_LIBRARY) {
+    options.abiLibrary = process.env.ABI_LIBRARY;
+  }
+  if (options.fromBlock === null && process.env.FROM_BLOCK) {
+    options.fromBlock = parseInt(process.env.FROM_BLOCK);
+  }
+  if (options.pollInterval === null) {
+    options.pollInterval = process.env.POLL_INTERVAL ? parseInt(process.env.POLL_INTERVAL) : 15;
+  }
+
+  return options;
+}
+
+// Last processed block, operations waiting to become Ready and notifications already sent for the
+// blocks after lastBlock, kept across restarts when --state is set
+function loadState(statePath) {
+  const state = { lastBlock: null, pending: {}, delivered: [] };
+  if (statePath && fs.existsSync(statePath)) {
+    return { ...state, ...JSON.parse(fs.readFileSync(statePath, "utf8")) };
+  }
+  return state;
+}
+
+function saveState(statePath, state) {
+  if (statePath) {
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  }
+}
+
+// One line per call, decoded the same way as the dApp's operations list
+function describeCalls(calls) {
+  return calls.map((call, index) => {
+    const { value, decoded } = decodeOperationCall(call);
+    const valueText = value.isZero() ? "" : ` (${ethers.utils.formatEther(value)} ETH)`;
+
+    let description;
+    if (decoded) {
+      description = `${decoded.name}(${decoded.params.map(param => `${param.name}=${param.value}`).join(", ")})`;
+    } else if (call.data === "0x") {
+      description = "ETH transfer";
+    } else {
+      description = `unknown call ${call.data.slice(0, 10)}`;
+    }
+    return `${index + 1}. ${call.target}${valueText}: ${description}`;
+  }).join("\n");
+}
+
+// Turn the vault's decoded logs into notifications, grouping batch CallScheduled logs by operation id
+async function buildNotifications(events, context) {
+  const { contract, state } = context;
+  const notifications = [];
+  const scheduled = new Map();
+
+  for (const event of events) {
+    const base = {
+      type: event.event,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      logIndex: event.logIndex
+    };
+
+    switch (event.event) {
+      case "CallScheduled": {
+        const id = event.args.id;
+        if (!scheduled.has(id)) {
+          const notification = { ...base, operationId: id, calls: [] };
+          scheduled.set(id, notification);
+          notifications.push(notification);
+        }
+        scheduled.get(id).calls[event.args.index.toNumber()] = {
+          target: event.args.target,
+          value: event.args.value.toString(),
+          data: event.args.data
+        };
+        break;
+      }
+      case "RecoveryModeTriggered":
+        notifications.push({
+          ...base,
+          title: "🚨 Recovery mode triggered",
+          message: `Recovery mode was triggered by ${event.args.recoveryTriggerer} in epoch ${event.args.currentEpoch.toString()}. Pending operations can no longer be executed.`
+        });
+        break;
+      case "AllOperationsCancelled":
+        notifications.push({
+          ...base,
+          title: "🛑 All operations cancelled",
+          message: `${event.args.canceller} cancelled every pending operation. The vault moved to epoch ${event.args.newEpoch.toString()}.`
+        });
+        break;
+      case "RoleGranted":
+      case "RoleRevoked": {
+        const roleName = getRoleName(event.args.role) || event.args.role;
+        const granted = event.event === "RoleGranted";
+        notifications.push({
+          ...base,
+          title: `🔑 ${roleName} ${granted ? "granted to" : "revoked from"} ${formatAddress(event.args.account)}`,
+          message: `${roleName} was ${granted ? "granted to" : "revoked from"} ${event.args.account} by ${event.args.sender}.`
+        });
+        break;
+      }
+    }
+  }
+
+  // Scheduled operations: describe them and start watching for them to become Ready
+  for (const notification of scheduled.values()) {
+    const transactionInfo = analyzeTransactionType(notification.calls);
+    const readyAt = (await contract.getTimestamp(notification.operationId)).toNumber();
+    const readyText = readyAt > 1 ? new Date(readyAt * 1000).toISOString() : "unknown";
+
+    notification.title = `${transactionInfo.displayName} scheduled`;
+    notification.message = `Operation ${notification.operationId} was scheduled and becomes executable at ${readyText}.\n${describeCalls(notification.calls)}`;
+    notification.readyAt = readyAt;
+
+    state.pending[notification.operationId] = { title: transactionInfo.displayName, readyAt };
+  }
+
+  return notifications;
+}
+
+// Check operations we're watching and report the ones that became executable.
+// They stay pending until their notification is delivered.
+async function checkReadyOperations(context) {
+  const { contract, state } = context;
+  const notifications = [];
+
+  for (const [id, pending] of Object.entries(state.pending)) {
+    const operationState = await contract.getOperationState(id);
+
+    if (operationState === OPERATION_STATE_WAITING) {
+      continue;
+    }
+
+    // Executed or cancelled before we saw it become Ready
+    if (operationState !== OPERATION_STATE_READY) {
+      delete state.pending[id];
+      continue;
+    }
+
+    notifications.push({
+      type: "OperationReady",
+      operationId: id,
+      title: `${pending.title} is ready to execute`,
+      message: `Operation ${id} passed its delay and can now be executed. If you don't recognise it, trigger recovery mode.`
+    });
+  }
+
+  return notifications;
+}
+
+// Fetch and decode every vault event we notify on between two blocks
+async function fetchVaultEvents(context, fromBlock, toBlock) {
+  const { provider, contract } = context;
+
+  // The dApp's indexed events plus RecoveryModeTriggered, which the operations list doesn't need
+  const filter = getVaultEventFilter(contract.interface, contract.address);
+  filter.topics[0].push(contract.interface.getEventTopic("RecoveryModeTriggered"));
+
+  const logs = await scanLogs(provider, filter, fromBlock, toBlock);
+  return logs
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+    .map(log => hydrateEventLog(log, contract.interface))
+    .filter(event => NOTIFICATION_TYPES.includes(event.event));
+}
+
+// Identifies an event notification within the blocks after lastBlock (a batch's CallScheduled logs share one)
+function getNotificationKey(notification) {
+  const id = notification.type === "CallScheduled" ? notification.operationId : notification.logIndex;
+  return `${notification.type}:${notification.transactionHash}:${id}`;
+}
+
+// Send notifications in order, saving the state after each one so a poll that fails partway through
+// doesn't send the ones before it again
+async function deliver(notifications, context) {
+  const { options, network, channels, state } = context;
+
+  for (const notification of notifications) {
+    const key = notification.type === "OperationReady" ? null : getNotificationKey(notification);
+    if (state && key && state.delivered.includes(key)) {
+      continue;
+    }
+
+    const full = {
+      ...notification,
+      vault: options.vault,
+      chainId: network.chainId,
+      network: window.CONFIG.getCurrentChainInfo(network.chainId).name,
+      timestamp: new Date().toISOString()
+    };
+    console.log(`\n${full.title}\n${full.message}`);
+    await dispatchNotification(full, channels);
+
+    if (state) {
+      if (key) {
+        state.delivered.push(key);
+      } else {
+        delete state.pending[notification.operationId];
+      }
+      saveState(options.state, state);
+    }
+  }
+}
+
+// Notify on the vault events since the last poll, then on operations that became Ready
+async function poll(context) {
+  const { options, provider, state } = context;
+
+  const currentBlock = await provider.getBlockNumber();
+  if (currentBlock > state.lastBlock) {
+    const events = await fetchVaultEvents(context, state.lastBlock + 1, currentBlock);
+    await deliver(await buildNotifications(events, context), context);
+    state.lastBlock = currentBlock;
+    state.delivered = [];
+  }
+  await deliver(await checkReadyOperations(context), context);
+  saveState(options.state, state);
+}
+
+async function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    showUsage();
+    return;
+  }
+
+  if (!options.config) {
+    throw new Error("A notifier config file is required (--config or NOTIFY_CONFIG)");
+  }
+  const config = JSON.parse(fs.readFileSync(path.resolve(options.config), "utf8"));
+  const channels = createChannels(config.channels || []);
+  if (channels.length === 0) {
+    throw new Error("The notifier config has no channels");
+  }
+
+  loadDappScripts();
+  if (options.abiLibrary) {
+    loadAbiLibraryFile(options.abiLibrary);
+  }
+
+  if (options.test) {
+    await deliver([{
+      type: "Test",
+      blockNumber: null,
+      transactionHash: null,
+      title: "🔔 Test notification",
+      message: "Vault notifications are set up correctly."
+    }], { options, network: { chainId: 0 }, channels: channels.map(channel => ({ ...channel, events: null })) });
+    return;
+  }
+
+  if (!options.vault || !ethers.utils.isAddress(options.vault)) {
+    throw new Error("A valid vault address is required (--vault or VAULT_ADDRESS)");
+  }
+
+  const provider = new ethers.providers.JsonRpcProvider(options.rpcUrl);
+  const network = await provider.getNetwork();
+  window.CONFIG.updateTokensForChain(network.chainId);
+  (config.tokens || []).forEach(token => window.CONFIG.addTokenToCurrentChain(network.chainId, token));
+
+  const contract = new ethers.Contract(options.vault, window.CONFIG.CONTRACT_ABI, provider);
+  const state = loadState(options.state);
+  const context = { options, provider, network, contract, channels, state };
+
+  console.log("Notifier configuration:");
+  console.log("- RPC:", options.rpcUrl, `(chain ${network.chainId})`);
+  console.log("- Vault:", options.vault);
+  channels.forEach(channel => console.log(`- Channel ${channel.name}:`, channel.events ? channel.events.join(", ") : "all events"));
+
+  if (options.fromBlock !== null) {
+    state.lastBlock = options.fromBlock - 1;
+    state.delivered = [];
+  } else if (state.lastBlock === null) {
+    state.lastBlock = await provider.getBlockNumber();
+  }
+  console.log(`\nWatching from block ${state.lastBlock + 1}...`);
+
+  while (true) {
+    try {
+      await poll(context);
+    } catch (error) {
+      // Keep watching through RPC hiccups; the same block range is retried on the next poll,
+      // skipping the notifications already delivered
+      console.error("Poll failed:", error.message);
+      if (options.once) {
+        throw error;
+      }
+    }
+
+    if (options.once) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, options.pollInterval * 1000));
+  }
+}
+
+// Usage information
+function showUsage() {
+  console.log(`
+Usage: node scripts/notify.js --vault <address> --config <file> [options]
+
+Watches a TimelockVault and sends notifications for new proposals (CallScheduled), operations becoming
+Ready, RecoveryModeTriggered, AllOperationsCancelled and RoleGranted/RoleRevoked. Calls are decoded with
+the same code as the dApp's operations list.
+
+Options:
+  --rpc <url>                    JSON-RPC endpoint (default: http://127.0.0.1:8545)
+  --vault <address>              TimelockVault address
+  --config <file>                Notifier config (see scripts/notify.config.example.json)
+  --state <file>                 Remember the last block and pending operations across restarts
+  --abi-library <file>           Saved ABIs ({ "<address>": { "name": "...", "abi": [...] } }) for decoding
+  --from-block <number>          First block to notify on (default: the saved state or the current block)
+  --poll-interval <seconds>      Seconds between polls (default: 15)
+  --once                         Check the blocks up to now once and exit
+  --test                         Send a test notification on every channel and exit
+  --help                         Show this help message
+
+Environment Variables (alternative to command line options):
+  RPC_URL, VAULT_ADDRESS, NOTIFY_CONFIG, NOTIFY_STATE, ABI_LIBRARY, FROM_BLOCK, POLL_INTERVAL
+
+Channels ("channels" in the config file; each accepts an optional "events" list):
+  webhook                        POST to "url" with optional "headers"; "format" is json, slack or discord
+  smtp                           Email via "host", "port", "secure", "user", "passwordEnv", "from", "to"
+  script                         Run "command" with the notification JSON on stdin
+
+Examples:
+  # Try the channels
+  node scripts/notify.js --config notify.json --test
+
+  # Watch a local vault, using scripts/webhook-receiver.js as the webhook endpoint
+  node scripts/webhook-receiver.js &
+  node scripts/notify.js --vault 0x5FbDB2315678afecb367f032d93F642f64180aa3 --config notify.json --state notify-state.json
+`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadState,
+  buildNotifications,
+  checkReadyOperations,
+  deliver,
+  poll
+};
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const DAPP_JS_DIR = path.join(__dirname, "..", "..", "docs", "js");
+
+// dApp scripts that only decode and describe - no DOM or wallet access at load time
+const DAPP_DECODING_SCRIPTS = [
+  "config.js",
+  "eventCache.js",
+  "logScanner.js",
+  "multicall.js",
+  "vaultEvents.js",
+  "signatures.js",
+  "abiBuilder.js",
+  "decoder.js",
+  "views.js",
+  "history.js"
+];
+
+let loaded = false;
+
+// Minimal in-memory localStorage so the dApp's storage helpers work headless
+function createMemoryStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key),
+    clear: () => items.clear()
+  };
+}
+
+// Run the browser scripts from docs/js in this process, so Node tools decode events exactly like the
+// operations list does. The scripts expect ethers v5 and a browser-like global scope.
+function loadDappScripts() {
+  if (loaded) {
+    return global;
+  }
+
+  global.window = global;
+  global.ethers = require("ethers-v5");
+  if (!global.localStorage) {
+    global.localStorage = createMemoryStorage();
+  }
+  if (!global.document) {
+    global.document = { addEventListener: () => {} };
+  }
+
+  for (const file of DAPP_DECODING_SCRIPTS) {
+    const filename = path.join(DAPP_JS_DIR, file);
+    vm.runInThisContext(fs.readFileSync(filename, "utf8"), { filename });
+  }
+
+  loaded = true;
+  return global;
+}
+
+// Saved ABIs in the same shape as the dApp's ABI library (address -> { name, abi })
+function loadAbiLibraryFile(filename) {
+  const entries = JSON.parse(fs.readFileSync(path.resolve(filename), "utf8"));
+  const library = {};
+  for (const [address, entry] of Object.entries(entries)) {
+    library[address.toLowerCase()] = { name: entry.name || address, abi: entry.abi, savedAt: entry.savedAt || 0 };
+  }
+  global.localStorage.setItem(vm.runInThisContext("ABI_LIBRARY_STORAGE_KEY"), JSON.stringify(library));
+}
+
+module.exports = {
+  loadDappScripts,
+  loadAbiLibraryFile
+};
@@ -0,0 +1,143 @@
+const { spawn } = require("child_process");
+
+// Seconds a script hook may run before it is killed
+const SCRIPT_HOOK_TIMEOUT = 30;
+
+// POST the notification to an HTTP endpoint. "format" picks the body shape:
+// json (the whole notification), slack ({ text }) or discord ({ content })
+function createWebhookChannel(config) {
+  if (!config.url) {
+    throw new Error("Webhook channel needs a url");
+  }
+  const format = config.format || "json";
+
+  return async (notification) => {
+    let body;
+    if (format === "slack") {
+      body = { text: `*${notification.title}*\n${notification.message}` };
+    } else if (format === "discord") {
+      body = { content: `**${notification.title}**\n${notification.message}` };
+    } else {
+      body = notification;
+    }
+
+    const response = await fetch(config.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(config.headers || {}) },
+      body: JSON.stringify(body)
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook responded ${response.status} ${response.statusText}`);
+    }
+  };
+}
+
+// Send a plain-text email through an SMTP server (uses nodemailer)
+function createSmtpChannel(config) {
+  if (!config.host || !config.from || !config.to) {
+    throw new Error("SMTP channel needs host, from and to");
+  }
+
+  const nodemailer = require("nodemailer");
+  const transport = nodemailer.createTransport({
+    host: config.host,
+    port: config.port || 587,
+    secure: !!config.secure,
+    auth: config.user ? {
+      user: config.user,
+      // Keep the password out of the config file
+      pass: config.passwordEnv ? process.env[config.passwordEnv] : config.password
+    } : undefined
+  });
+
+  return async (notification) => {
+    await transport.sendMail({
+      from: config.from,
+      to: Array.isArray(config.to) ? config.to.join(", ") : config.to,
+      subject: `${config.subjectPrefix || "[Vault]"} ${notification.title}`,
+      text: `${notification.message}\n\nVault: ${notification.vault}\nChain: ${notification.network} (${notification.chainId})\nBlock: ${notification.blockNumber}\nTransaction: ${notification.transactionHash || "-"}`
+    });
+  };
+}
+
+// Run a local command with the notification JSON on stdin
+function createScriptChannel(config) {
+  if (!config.command) {
+    throw new Error("Script channel needs a command");
+  }
+  const timeout = (config.timeout || SCRIPT_HOOK_TIMEOUT) * 1000;
+
+  return (notification) => new Promise((resolve, reject) => {
+    const child = spawn(config.command, {
+      shell: true,
+      stdio: ["pipe", "inherit", "inherit"],
+      env: {
+        ...process.env,
+        VAULT_EVENT_TYPE: notification.type,
+        VAULT_EVENT_TITLE: notification.title,
+        VAULT_ADDRESS: notification.vault
+      }
+    });
+
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`Script hook timed out after ${timeout / 1000}s`));
+    }, timeout);
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`Script hook exited with code ${code}`));
+      }
+    });
+
+    child.stdin.on("error", () => {}); // Hooks that don't read stdin close it early
+    child.stdin.end(JSON.stringify(notification) + "\n");
+  });
+}
+
+const CHANNEL_FACTORIES = {
+  webhook: createWebhookChannel,
+  smtp: createSmtpChannel,
+  script: createScriptChannel
+};
+
+// Build delivery channels from the "channels" section of the notifier config
+function createChannels(channelConfigs) {
+  return channelConfigs.map((config, index) => {
+    const factory = CHANNEL_FACTORIES[config.type];
+    if (!factory) {
+      throw new Error(`Unknown channel type "${config.type}" (expected ${Object.keys(CHANNEL_FACTORIES).join(", ")})`);
+    }
+    return {
+      name: config.name || `${config.type}#${index + 1}`,
+      events: config.events || null, // null = every event type
+      send: factory(config)
+    };
+  });
+}
+
+// Deliver a notification on every channel subscribed to its type. A failing channel doesn't block the others
+async function dispatchNotification(notification, channels) {
+  const targets = channels.filter(channel => !channel.events || channel.events.includes(notification.type));
+
+  const results = await Promise.allSettled(targets.map(channel => channel.send(notification)));
+  results.forEach((result, index) => {
+    if (result.status === "rejected") {
+      console.error(`- ${targets[index].name}: delivery failed:`, result.reason.message);
+    } else {
+      console.log(`- ${targets[index].name}: delivered`);
+    }
+  });
+}
+
+module.exports = {
+  createChannels,
+  dispatchNotification
+};
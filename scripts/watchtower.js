@@ -0,0 +1,496 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const VAULT_ABI = [
+  "event CallScheduled(bytes32 indexed id, uint256 indexed index, address target, uint256 value, bytes data, bytes32 predecessor, uint256 delay)",
+  "function isOperationPending(bytes32 id) view returns (bool)",
+  "function recoveryMode() view returns (bool)",
+  "function getMinDelay() view returns (uint256)",
+  "function triggerRecoveryMode()",
+  "function hasRole(bytes32 role, address account) view returns (bool)",
+  "function RECOVERY_TRIGGER_ROLE() view returns (bytes32)"
+];
+
+const ERC20_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function increaseAllowance(address spender, uint256 addedValue) returns (bool)",
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+// Calls that move or unlock NFTs (or a whole token balance) without an amount maxValue could limit
+const NFT_ABI = [
+  "function setApprovalForAll(address operator, bool approved)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId)",
+  "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+  "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)",
+  "function safeBatchTransferFrom(address from, address to, uint256[] ids, uint256[] amounts, bytes data)"
+];
+
+// Largest block range requested in a single eth_getLogs call
+const MAX_BLOCK_RANGE = 2000;
+
+// Parse command line arguments
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const options = {
+    rpcUrl: null,
+    vault: null,
+    policy: null,
+    fromBlock: null,
+    state: null,
+    pollInterval: null,
+    dryRun: false,
+    once: false,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg === '--rpc') {
+      options.rpcUrl = args[++i];
+    } else if (arg === '--vault') {
+      options.vault = args[++i];
+    } else if (arg === '--policy') {
+      options.policy = args[++i];
+    } else if (arg === '--from-block') {
+      options.fromBlock = parseInt(args[++i]);
+    } else if (arg === '--state') {
+      options.state = args[++i];
+    } else if (arg === '--poll-interval') {
+      options.pollInterval = parseInt(args[++i]);
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--once') {
+      options.once = true;
+    }
+  }
+
+  // Then check environment variables as fallback
+  if (options.rpcUrl === null) {
+    options.rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  }
+  if (options.vault === null && process.env.VAULT_ADDRESS) {
+    options.vault = process.env.VAULT_ADDRESS;
+  }
+  if (options.policy === null && process.env.WATCHTOWER_POLICY) {
+    options.policy = process.env.WATCHTOWER_POLICY;
+  }
+  if (options.fromBlock === null && process.env.FROM_BLOCK) {
+    options.fromBlock = parseInt(process.env.FROM_BLOCK);
+  }
+  if (options.state === null && process.env.WATCHTOWER_STATE) {
+    options.state = process.env.WATCHTOWER_STATE;
+  }
+  if (options.pollInterval === null) {
+    options.pollInterval = process.env.POLL_INTERVAL ? parseInt(process.env.POLL_INTERVAL) : 5;
+  }
+  if (process.env.DRY_RUN === 'true') {
+    options.dryRun = true;
+  }
+
+  // The key is only read from the environment so it doesn't end up in shell history
+  options.recoveryTriggerKey = process.env.RECOVERY_TRIGGER_KEY || null;
+
+  return options;
+}
+
+// Last checked block, kept across restarts when --state is set so blocks mined while the watchtower was down
+// are still checked
+function loadState(statePath) {
+  if (statePath && fs.existsSync(statePath)) {
+    return JSON.parse(fs.readFileSync(statePath, "utf8"));
+  }
+  return { lastBlock: null };
+}
+
+function saveState(statePath, state) {
+  if (statePath) {
+    fs.writeFileSync(statePath, JSON.stringify(state, null, 2));
+  }
+}
+
+// Load and normalise the allowlist policy file
+function loadPolicy(policyPath) {
+  const raw = JSON.parse(fs.readFileSync(path.resolve(policyPath), "utf8"));
+
+  const normaliseAddresses = (list, field) => {
+    if (list === undefined || list === null) {
+      return null; // Rule disabled
+    }
+    if (!Array.isArray(list)) {
+      throw new Error(`Policy field "${field}" must be an array of addresses`);
+    }
+    return new Set(list.map(address => {
+      if (!ethers.isAddress(address)) {
+        throw new Error(`Policy field "${field}" contains an invalid address: ${address}`);
+      }
+      return address.toLowerCase();
+    }));
+  };
+
+  const maxValue = {};
+  for (const [asset, amount] of Object.entries(raw.maxValue || {})) {
+    if (asset !== "ETH" && !ethers.isAddress(asset)) {
+      throw new Error(`Policy maxValue key must be "ETH" or a token address: ${asset}`);
+    }
+    maxValue[asset === "ETH" ? "ETH" : asset.toLowerCase()] = String(amount);
+  }
+
+  return {
+    allowedProposers: normaliseAddresses(raw.allowedProposers, "allowedProposers"),
+    allowedTargets: normaliseAddresses(raw.allowedTargets, "allowedTargets"),
+    // Unlike the other lists, omitting this one allows nothing: unpriced moves fail closed
+    allowedNftContracts: normaliseAddresses(raw.allowedNftContracts, "allowedNftContracts") || new Set(),
+    maxValue
+  };
+}
+
+// Resolve human readable maxValue amounts into base units, reading token decimals from the chain
+async function resolveLimits(policy, provider) {
+  const limits = new Map();
+
+  for (const [asset, amount] of Object.entries(policy.maxValue)) {
+    if (asset === "ETH") {
+      limits.set(asset, { symbol: "ETH", decimals: 18, max: ethers.parseEther(amount) });
+      continue;
+    }
+
+    const token = new ethers.Contract(asset, ERC20_ABI, provider);
+    const decimals = Number(await token.decimals());
+    let symbol = asset;
+    try {
+      symbol = await token.symbol();
+    } catch (error) {
+      // Symbol is optional in ERC20
+    }
+    limits.set(asset, { symbol, decimals, max: ethers.parseUnits(amount, decimals) });
+  }
+
+  return limits;
+}
+
+// Amount of each limited asset the vault sends out in an operation
+function getOutflows(calls, vaultAddress) {
+  const erc20Interface = new ethers.Interface(ERC20_ABI);
+  const outflows = new Map();
+
+  const add = (asset, amount) => {
+    outflows.set(asset, (outflows.get(asset) || 0n) + amount);
+  };
+
+  for (const call of calls) {
+    if (call.value > 0n) {
+      add("ETH", call.value);
+    }
+
+    let parsed = null;
+    try {
+      parsed = erc20Interface.parseTransaction({ data: call.data });
+    } catch (error) {
+      // Not an ERC20 call
+    }
+    if (!parsed) {
+      continue;
+    }
+
+    const token = call.target.toLowerCase();
+    if (parsed.name === "transfer" || parsed.name === "approve" || parsed.name === "increaseAllowance") {
+      add(token, parsed.args[1]);
+    } else if (parsed.name === "transferFrom" && parsed.args[0].toLowerCase() === vaultAddress.toLowerCase()) {
+      add(token, parsed.args[2]);
+    }
+  }
+
+  return outflows;
+}
+
+// Calls that hand out or move the vault's NFTs: approvals for all tokens, and ERC-721/ERC-1155 safe transfers
+// from the vault. maxValue can't price these, so they are listed separately.
+function getUnpricedMoves(calls, vaultAddress) {
+  const nftInterface = new ethers.Interface(NFT_ABI);
+  const moves = [];
+
+  calls.forEach((call, index) => {
+    let parsed = null;
+    try {
+      parsed = nftInterface.parseTransaction({ data: call.data });
+    } catch (error) {
+      // Not an NFT call
+    }
+    if (!parsed) {
+      return;
+    }
+
+    const granted = parsed.name === "setApprovalForAll" && parsed.args[1];
+    const fromVault = parsed.name !== "setApprovalForAll" && parsed.args[0].toLowerCase() === vaultAddress.toLowerCase();
+    if (granted || fromVault) {
+      moves.push({ index, target: call.target, method: parsed.name });
+    }
+  });
+
+  return moves;
+}
+
+// Check an operation against the policy. Returns a list of human readable violations
+function checkOperation(operation, policy, limits, vaultAddress) {
+  const violations = [];
+
+  if (policy.allowedProposers && !policy.allowedProposers.has(operation.proposer.toLowerCase())) {
+    violations.push(`proposer ${operation.proposer} is not on the allowlist`);
+  }
+
+  if (policy.allowedTargets) {
+    operation.calls.forEach((call, index) => {
+      if (!policy.allowedTargets.has(call.target.toLowerCase())) {
+        violations.push(`call ${index} targets ${call.target}, which is not on the allowlist`);
+      }
+    });
+  }
+
+  for (const [asset, amount] of getOutflows(operation.calls, vaultAddress)) {
+    const limit = limits.get(asset);
+    if (limit && amount > limit.max) {
+      violations.push(`moves ${ethers.formatUnits(amount, limit.decimals)} ${limit.symbol}, above the limit of ${ethers.formatUnits(limit.max, limit.decimals)}`);
+    }
+  }
+
+  for (const move of getUnpricedMoves(operation.calls, vaultAddress)) {
+    if (!policy.allowedNftContracts.has(move.target.toLowerCase())) {
+      violations.push(`call ${move.index} calls ${move.method} on ${move.target}, which is not in allowedNftContracts`);
+    }
+  }
+
+  return violations;
+}
+
+// Group CallScheduled logs into operations (batches emit one log per call)
+async function collectOperations(vault, provider, fromBlock, toBlock) {
+  const operations = new Map();
+
+  for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
+    const end = Math.min(start + MAX_BLOCK_RANGE - 1, toBlock);
+    const events = await vault.queryFilter(vault.filters.CallScheduled(), start, end);
+
+    for (const event of events) {
+      const id = event.args.id;
+      if (!operations.has(id)) {
+        const tx = await provider.getTransaction(event.transactionHash);
+        operations.set(id, {
+          id,
+          proposer: tx.from,
+          blockNumber: event.blockNumber,
+          transactionHash: event.transactionHash,
+          delay: event.args.delay,
+          calls: []
+        });
+      }
+      operations.get(id).calls[Number(event.args.index)] = {
+        target: event.args.target,
+        value: event.args.value,
+        data: event.args.data
+      };
+    }
+  }
+
+  return Array.from(operations.values());
+}
+
+// Put the vault into recovery mode, unless it already is
+async function triggerRecovery(vault, wallet, options) {
+  if (await vault.recoveryMode()) {
+    console.log("Vault is already in recovery mode, nothing to trigger");
+    return;
+  }
+
+  if (options.dryRun) {
+    console.log("[dry run] Would call triggerRecoveryMode now");
+    return;
+  }
+
+  if (!wallet) {
+    console.error("No RECOVERY_TRIGGER_KEY configured - cannot trigger recovery mode!");
+    return;
+  }
+
+  console.log("Calling triggerRecoveryMode from", wallet.address);
+  const tx = await vault.connect(wallet).triggerRecoveryMode();
+  console.log("- Transaction:", tx.hash);
+  const receipt = await tx.wait();
+  console.log("- Recovery mode triggered in block", receipt.blockNumber);
+}
+
+async function handleOperations(operations, context) {
+  const { vault, wallet, policy, limits, options } = context;
+
+  for (const operation of operations) {
+    console.log(`\nCallScheduled ${operation.id} (block ${operation.blockNumber}, proposer ${operation.proposer}, ${operation.calls.length} call(s))`);
+
+    const violations = checkOperation(operation, policy, limits, options.vault);
+    if (violations.length === 0) {
+      console.log("- Allowed by policy");
+      continue;
+    }
+
+    violations.forEach(violation => console.log("- VIOLATION:", violation));
+
+    // Operations that were already executed or cancelled can't do harm any more
+    if (!(await vault.isOperationPending(operation.id))) {
+      console.log("- Operation is no longer pending, skipping");
+      continue;
+    }
+
+    await triggerRecovery(vault, wallet, options);
+  }
+}
+
+async function main() {
+  const options = parseArgs();
+
+  if (options.help) {
+    showUsage();
+    return;
+  }
+
+  if (!options.vault || !ethers.isAddress(options.vault)) {
+    throw new Error("A valid vault address is required (--vault or VAULT_ADDRESS)");
+  }
+  if (!options.policy) {
+    throw new Error("A policy file is required (--policy or WATCHTOWER_POLICY)");
+  }
+
+  const provider = new ethers.JsonRpcProvider(options.rpcUrl);
+  const network = await provider.getNetwork();
+  const vault = new ethers.Contract(options.vault, VAULT_ABI, provider);
+  const policy = loadPolicy(options.policy);
+  const limits = await resolveLimits(policy, provider);
+
+  console.log("Watchtower configuration:");
+  console.log("- RPC:", options.rpcUrl, `(chain ${network.chainId})`);
+  console.log("- Vault:", options.vault);
+  console.log("- Allowed proposers:", policy.allowedProposers ? Array.from(policy.allowedProposers) : "any");
+  console.log("- Allowed targets:", policy.allowedTargets ? Array.from(policy.allowedTargets) : "any");
+  for (const limit of limits.values()) {
+    console.log(`- Max ${limit.symbol} per operation:`, ethers.formatUnits(limit.max, limit.decimals));
+  }
+  console.log("- Dry run:", options.dryRun);
+
+  let wallet = null;
+  if (options.recoveryTriggerKey) {
+    wallet = new ethers.Wallet(options.recoveryTriggerKey, provider);
+    const role = await vault.RECOVERY_TRIGGER_ROLE();
+    const hasRole = await vault.hasRole(role, wallet.address);
+    console.log("- Recovery triggerer:", wallet.address, hasRole ? "(has RECOVERY_TRIGGER_ROLE)" : "(MISSING RECOVERY_TRIGGER_ROLE)");
+    if (!hasRole) {
+      console.warn("Warning: the configured key cannot trigger recovery mode on this vault");
+    }
+  } else if (!options.dryRun) {
+    console.warn("Warning: RECOVERY_TRIGGER_KEY is not set, violations will only be logged");
+  }
+
+  const context = { vault, wallet, policy, limits, options };
+  const state = loadState(options.state);
+  if (options.fromBlock !== null) {
+    state.lastBlock = options.fromBlock - 1;
+  } else if (state.lastBlock === null) {
+    // A cold start only sees operations scheduled from now on; anything scheduled earlier may still be pending
+    state.lastBlock = await provider.getBlockNumber();
+    const minDelay = await vault.getMinDelay();
+    console.warn(`Warning: no saved state, starting at the current block. Pass --from-block to re-check at least the last ${minDelay} seconds (the vault's minimum delay) of blocks.`);
+  }
+  saveState(options.state, state);
+  console.log(`\nWatching from block ${state.lastBlock + 1}...`);
+
+  while (true) {
+    try {
+      const currentBlock = await provider.getBlockNumber();
+      if (currentBlock > state.lastBlock) {
+        const operations = await collectOperations(vault, provider, state.lastBlock + 1, currentBlock);
+        await handleOperations(operations, context);
+        state.lastBlock = currentBlock;
+        saveState(options.state, state);
+      }
+    } catch (error) {
+      // Keep watching through RPC hiccups; the same block range is retried on the next poll
+      console.error("Poll failed:", error.message);
+      if (options.once) {
+        throw error;
+      }
+    }
+
+    if (options.once) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, options.pollInterval * 1000));
+  }
+}
+
+// Usage information
+function showUsage() {
+  console.log(`
+Usage: node scripts/watchtower.js --vault <address> --policy <file> [options]
+
+Tails CallScheduled events from a TimelockVault and checks every scheduled operation against
+an allowlist policy. On a violation it calls triggerRecoveryMode with the configured key.
+
+Options:
+  --rpc <url>                    JSON-RPC endpoint (default: http://127.0.0.1:8545)
+  --vault <address>              TimelockVault address
+  --policy <file>                Policy JSON file (see scripts/watchtower.policy.example.json)
+  --from-block <number>          First block to check (default: the saved state or the current block)
+  --state <file>                 Remember the last checked block across restarts
+  --poll-interval <seconds>      Seconds between polls (default: 5)
+  --dry-run                      Log violations without triggering recovery mode
+  --once                         Check the blocks up to now once and exit
+  --help                         Show this help message
+
+Environment Variables (alternative to command line options):
+  RPC_URL                        JSON-RPC endpoint
+  VAULT_ADDRESS                  TimelockVault address
+  WATCHTOWER_POLICY              Policy JSON file
+  FROM_BLOCK                     First block to check
+  WATCHTOWER_STATE               State file
+  POLL_INTERVAL                  Seconds between polls
+  DRY_RUN                        Set to 'true' for a dry run
+  RECOVERY_TRIGGER_KEY           Private key of an account with RECOVERY_TRIGGER_ROLE (environment only)
+
+Policy file:
+  allowedProposers               Addresses allowed to schedule operations (omit to allow any)
+  allowedTargets                 Addresses operations may call (omit to allow any)
+  maxValue                       Max amount per operation, keyed by "ETH" or token address, in whole units
+  allowedNftContracts            Contracts the vault may setApprovalForAll on or safeTransferFrom NFTs out of
+                                 (omit to allow none)
+
+Examples:
+  # Watch a local vault
+  RECOVERY_TRIGGER_KEY=0x... node scripts/watchtower.js --vault 0x5FbDB2315678afecb367f032d93F642f64180aa3 --policy policy.json
+
+  # Re-check everything since deployment without sending a transaction
+  node scripts/watchtower.js --vault 0x... --policy policy.json --from-block 0 --once --dry-run
+`);
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  loadPolicy,
+  resolveLimits,
+  getOutflows,
+  getUnpricedMoves,
+  checkOperation,
+  collectOperations,
+  handleOperations
+};
@@ -0,0 +1,25 @@
+const http = require("http");
+
+// Local stand-in for a webhook endpoint: prints every POSTed notification so channels can be tested offline
+const port = parseInt(process.argv[2] || process.env.PORT || "8787");
+
+const server = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    console.log(`\n[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ ok: true }));
+  });
+});
+
+server.listen(port, "127.0.0.1", () => {
+  console.log(`Webhook receiver listening on http://127.0.0.1:${port}/`);
+});
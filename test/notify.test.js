@@ -0,0 +1,132 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { loadDappScripts } = require("../scripts/utils/dapp");
+const { createChannels } = require("../scripts/utils/notifiers");
+const { loadState, poll } = require("../scripts/notify");
+
+describe("notify", function () {
+  const DELAY = 60;
+
+  let vault;
+  let proposer;
+  let recipient;
+  let statePath;
+  let outputPath;
+  let context;
+  let consoleLog;
+
+  // The dApp scripts in docs/js run on ethers v5
+  const dapp = loadDappScripts();
+
+  async function schedule(value, salt) {
+    const tx = await vault.connect(proposer).schedule(recipient.address, value, "0x", ethers.ZeroHash, ethers.id(salt), DELAY);
+    return tx.wait();
+  }
+
+  // Notifications the script channel received, one JSON object per line
+  function readDelivered() {
+    if (!fs.existsSync(outputPath)) {
+      return [];
+    }
+    return fs.readFileSync(outputPath, "utf8").trim().split("\n").map(line => JSON.parse(line));
+  }
+
+  beforeEach(async function () {
+    [proposer, recipient] = await ethers.getSigners();
+
+    const TimelockVault = await ethers.getContractFactory("TimelockVault");
+    vault = await TimelockVault.deploy(DELAY, [proposer.address], [ethers.ZeroAddress], [proposer.address], [proposer.address]);
+
+    statePath = path.join(os.tmpdir(), `notify-state-${process.pid}.json`);
+    outputPath = path.join(os.tmpdir(), `notify-output-${process.pid}.jsonl`);
+
+    const provider = new dapp.ethers.providers.Web3Provider(hre.network.provider);
+    const options = { vault: await vault.getAddress(), state: statePath };
+    const state = loadState(statePath);
+    state.lastBlock = await provider.getBlockNumber();
+
+    context = {
+      options,
+      provider,
+      network: await provider.getNetwork(),
+      contract: new dapp.ethers.Contract(options.vault, dapp.CONFIG.CONTRACT_ABI, provider),
+      channels: createChannels([{ type: "script", name: "test", command: `cat >> "${outputPath}"` }]),
+      state
+    };
+
+    // deliver prints every notification it sends
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(statePath, { force: true });
+    fs.rmSync(outputPath, { force: true });
+  });
+
+  it("notifies when an operation is scheduled and again when it becomes ready", async function () {
+    await schedule(ethers.parseEther("0.5"), "scheduled");
+    await poll(context);
+
+    let delivered = readDelivered();
+    expect(delivered).to.have.length(1);
+    expect(delivered[0].type).to.equal("CallScheduled");
+    expect(delivered[0].title).to.contain("scheduled");
+    expect(delivered[0].message).to.contain(recipient.address);
+    const operationId = delivered[0].operationId;
+
+    // Still in its delay: nothing new
+    await poll(context);
+    expect(readDelivered()).to.have.length(1);
+
+    await ethers.provider.send("evm_increaseTime", [DELAY + 1]);
+    await ethers.provider.send("evm_mine", []);
+    await poll(context);
+
+    delivered = readDelivered();
+    expect(delivered).to.have.length(2);
+    expect(delivered[1].type).to.equal("OperationReady");
+    expect(delivered[1].operationId).to.equal(operationId);
+    expect(loadState(statePath).pending).to.deep.equal({});
+
+    // Reported once
+    await poll(context);
+    expect(readDelivered()).to.have.length(2);
+  });
+
+  it("doesn't resend notifications delivered before a poll failed", async function () {
+    await schedule(ethers.parseEther("0.1"), "first");
+    await schedule(ethers.parseEther("0.2"), "second");
+
+    // A channel that breaks on the second notification of the poll, before the others send it
+    let sent = 0;
+    const channels = context.channels;
+    context.channels = [{
+      name: "flaky",
+      events: null,
+      send: () => {
+        if (++sent === 2) {
+          throw new Error("channel down");
+        }
+      }
+    }, ...channels];
+    await expect(poll(context)).to.be.rejectedWith("channel down");
+    expect(readDelivered()).to.have.length(1);
+
+    // Restart from the saved state with the channel fixed
+    context.channels = channels;
+    context.state = loadState(statePath);
+    await poll(context);
+
+    const delivered = readDelivered();
+    expect(delivered).to.have.length(2);
+    expect(delivered[0].operationId).to.not.equal(delivered[1].operationId);
+    expect(delivered.map(notification => notification.message)).to.satisfy(messages =>
+      messages[0].includes("0.1 ETH") && messages[1].includes("0.2 ETH"));
+  });
+});
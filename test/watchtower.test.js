@@ -0,0 +1,204 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  loadPolicy,
+  resolveLimits,
+  getOutflows,
+  checkOperation,
+  collectOperations,
+  handleOperations
+} = require("../scripts/watchtower");
+
+describe("watchtower", function () {
+  const DELAY = 60;
+
+  let vault;
+  let token;
+  let proposer;
+  let triggerer;
+  let recipient;
+  let outsider;
+  let policy;
+  let limits;
+  let policyPath;
+  let consoleLog;
+
+  async function schedule(target, value, data, salt) {
+    const tx = await vault.connect(proposer).schedule(target, value, data, ethers.ZeroHash, ethers.id(salt), DELAY);
+    return tx.wait();
+  }
+
+  async function handleScheduledIn(receipt) {
+    const vaultAddress = await vault.getAddress();
+    const operations = await collectOperations(vault, ethers.provider, receipt.blockNumber, receipt.blockNumber);
+    const options = { vault: vaultAddress, dryRun: false };
+    await handleOperations(operations, { vault, wallet: triggerer, policy, limits, options });
+    return operations;
+  }
+
+  beforeEach(async function () {
+    [proposer, triggerer, recipient, outsider] = await ethers.getSigners();
+
+    const TimelockVault = await ethers.getContractFactory("TimelockVault");
+    vault = await TimelockVault.deploy(DELAY, [proposer.address], [ethers.ZeroAddress], [triggerer.address], [proposer.address]);
+
+    const TestToken = await ethers.getContractFactory("TestToken");
+    token = await TestToken.deploy("Gold", "GOLD", 18, await vault.getAddress(), ethers.parseEther("5000"));
+
+    policyPath = path.join(os.tmpdir(), `watchtower-policy-${process.pid}.json`);
+    fs.writeFileSync(policyPath, JSON.stringify({
+      allowedProposers: [proposer.address],
+      allowedTargets: [recipient.address, await token.getAddress()],
+      maxValue: { ETH: "1.0", [await token.getAddress()]: "500" }
+    }));
+    policy = loadPolicy(policyPath);
+    limits = await resolveLimits(policy, ethers.provider);
+
+    // handleOperations reports every operation it checks
+    consoleLog = console.log;
+    console.log = () => {};
+  });
+
+  afterEach(function () {
+    console.log = consoleLog;
+    fs.rmSync(policyPath, { force: true });
+  });
+
+  it("resolves token limits using the token's decimals", async function () {
+    const limit = limits.get((await token.getAddress()).toLowerCase());
+    expect(limit.symbol).to.equal("GOLD");
+    expect(limit.max).to.equal(ethers.parseEther("500"));
+  });
+
+  it("leaves the vault alone for an operation that meets the policy", async function () {
+    const data = token.interface.encodeFunctionData("transfer", [recipient.address, ethers.parseEther("100")]);
+    const operations = await handleScheduledIn(await schedule(await token.getAddress(), 0, data, "allowed"));
+
+    expect(operations).to.have.length(1);
+    expect(operations[0].proposer).to.equal(proposer.address);
+    expect(checkOperation(operations[0], policy, limits, await vault.getAddress())).to.deep.equal([]);
+    expect(await vault.recoveryMode()).to.equal(false);
+  });
+
+  it("triggers recovery mode for an operation that breaks the policy", async function () {
+    const data = token.interface.encodeFunctionData("transfer", [outsider.address, ethers.parseEther("1000")]);
+    const operations = await handleScheduledIn(await schedule(await token.getAddress(), 0, data, "violation"));
+
+    const violations = checkOperation(operations[0], policy, limits, await vault.getAddress());
+    expect(violations).to.have.length(1);
+    expect(violations[0]).to.contain("moves 1000.0 GOLD");
+    expect(await vault.recoveryMode()).to.equal(true);
+  });
+
+  it("flags targets that are not on the allowlist", async function () {
+    const operations = await handleScheduledIn(await schedule(outsider.address, ethers.parseEther("0.5"), "0x", "target"));
+
+    expect(checkOperation(operations[0], policy, limits, await vault.getAddress())[0]).to.contain("not on the allowlist");
+    expect(await vault.recoveryMode()).to.equal(true);
+  });
+
+  it("groups batch calls into one operation and sums their outflows", async function () {
+    const tokenAddress = await token.getAddress();
+    const data = token.interface.encodeFunctionData("transfer", [recipient.address, ethers.parseEther("300")]);
+    const tx = await vault.connect(proposer).scheduleBatch(
+      [tokenAddress, tokenAddress],
+      [0, 0],
+      [data, data],
+      ethers.ZeroHash,
+      ethers.id("batch"),
+      DELAY
+    );
+    const operations = await handleScheduledIn(await tx.wait());
+
+    expect(operations).to.have.length(1);
+    expect(operations[0].calls).to.have.length(2);
+    expect(checkOperation(operations[0], policy, limits, await vault.getAddress())[0]).to.contain("moves 600.0 GOLD");
+    expect(await vault.recoveryMode()).to.equal(true);
+  });
+
+  it("counts transferFrom only when it moves tokens out of the vault", async function () {
+    const vaultAddress = await vault.getAddress();
+    const tokenAddress = await token.getAddress();
+    const amount = ethers.parseEther("10");
+    const calls = [
+      { target: tokenAddress, value: 0n, data: token.interface.encodeFunctionData("transferFrom", [vaultAddress, recipient.address, amount]) },
+      { target: tokenAddress, value: 0n, data: token.interface.encodeFunctionData("transferFrom", [outsider.address, vaultAddress, amount]) },
+      { target: recipient.address, value: ethers.parseEther("0.25"), data: "0x" }
+    ];
+
+    const outflows = getOutflows(calls, vaultAddress);
+    expect(outflows.get(tokenAddress.toLowerCase())).to.equal(amount);
+    expect(outflows.get("ETH")).to.equal(ethers.parseEther("0.25"));
+  });
+
+  it("counts increaseAllowance as an outflow", async function () {
+    // OpenZeppelin 5 dropped increaseAllowance, but plenty of deployed tokens still have it
+    const allowanceInterface = new ethers.Interface(["function increaseAllowance(address spender, uint256 addedValue) returns (bool)"]);
+    const data = allowanceInterface.encodeFunctionData("increaseAllowance", [outsider.address, ethers.parseEther("1000000")]);
+    const operation = { proposer: proposer.address, calls: [{ target: await token.getAddress(), value: 0n, data }] };
+
+    const violations = checkOperation(operation, policy, limits, await vault.getAddress());
+    expect(violations).to.have.length(1);
+    expect(violations[0]).to.contain("moves 1000000.0 GOLD");
+  });
+
+  describe("calls maxValue can't price", function () {
+    const nftInterface = new ethers.Interface([
+      "function setApprovalForAll(address operator, bool approved)",
+      "function safeTransferFrom(address from, address to, uint256 tokenId)",
+      "function safeTransferFrom(address from, address to, uint256 id, uint256 amount, bytes data)"
+    ]);
+
+    async function checkNftCall(data) {
+      const operation = { proposer: proposer.address, calls: [{ target: recipient.address, value: 0n, data }] };
+      return checkOperation(operation, policy, limits, await vault.getAddress());
+    }
+
+    it("flags setApprovalForAll", async function () {
+      const violations = await checkNftCall(nftInterface.encodeFunctionData("setApprovalForAll", [outsider.address, true]));
+      expect(violations).to.have.length(1);
+      expect(violations[0]).to.contain("setApprovalForAll");
+
+      // Revoking an approval gives nothing away
+      expect(await checkNftCall(nftInterface.encodeFunctionData("setApprovalForAll", [outsider.address, false]))).to.deep.equal([]);
+    });
+
+    it("flags ERC-721 transfers out of the vault", async function () {
+      const data = nftInterface.encodeFunctionData("safeTransferFrom(address,address,uint256)", [await vault.getAddress(), outsider.address, 7]);
+      const violations = await checkNftCall(data);
+      expect(violations).to.have.length(1);
+      expect(violations[0]).to.contain("safeTransferFrom");
+    });
+
+    it("flags ERC-1155 transfers out of the vault", async function () {
+      const data = nftInterface.encodeFunctionData("safeTransferFrom(address,address,uint256,uint256,bytes)", [await vault.getAddress(), outsider.address, 1, 5, "0x"]);
+      const violations = await checkNftCall(data);
+      expect(violations).to.have.length(1);
+      expect(violations[0]).to.contain("safeTransferFrom");
+    });
+
+    it("allows them on contracts listed in allowedNftContracts", async function () {
+      policy.allowedNftContracts.add(recipient.address.toLowerCase());
+      const data = nftInterface.encodeFunctionData("safeTransferFrom(address,address,uint256)", [await vault.getAddress(), outsider.address, 7]);
+      expect(await checkNftCall(data)).to.deep.equal([]);
+    });
+
+    it("triggers recovery mode for a scheduled setApprovalForAll", async function () {
+      const data = nftInterface.encodeFunctionData("setApprovalForAll", [outsider.address, true]);
+      await handleScheduledIn(await schedule(recipient.address, 0, data, "approval-for-all"));
+      expect(await vault.recoveryMode()).to.equal(true);
+    });
+  });
+
+  it("does not send a transaction in dry-run mode", async function () {
+    const receipt = await schedule(outsider.address, 0, "0x", "dry-run");
+    const operations = await collectOperations(vault, ethers.provider, receipt.blockNumber, receipt.blockNumber);
+    const options = { vault: await vault.getAddress(), dryRun: true };
+    await handleOperations(operations, { vault, wallet: triggerer, policy, limits, options });
+
+    expect(await vault.recoveryMode()).to.equal(false);
+  });
+});